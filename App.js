@@ -8,162 +8,373 @@ import {
   ActivityIndicator,
   Button,
 } from 'react-native';
-import MapView, { Marker, Polyline } from 'react-native-maps';
+import MapView, {Circle, Marker, Polygon, Polyline} from 'react-native-maps';
 import Geolocation from '@react-native-community/geolocation';
 import { getDistance } from 'geolib';
-import { BleManager } from 'react-native-ble-plx';
 import { Buffer } from 'buffer';
+import {createBlePlxTransport} from './src/ble/blePlxTransport';
+import {
+  createWaypointLink,
+  deviceLabel,
+  LINK_ERROR,
+} from './src/ble/waypointLink';
+import {
+  ANY_DEVICE,
+  MISSION_FORMAT,
+  missionFormatFor,
+} from './src/mission/encoding';
+import {validateWaypoints} from './src/mission/validation';
+import {routeHasAttributes} from './src/mission/attributes';
+import {generateSurvey, SURVEY_PATTERN} from './src/mission/survey';
+import {diffMission, summarizeDiff} from './src/mission/verify';
+import {
+  canRedo,
+  canUndo,
+  createHistory,
+  recordEdit,
+  redo,
+  undo,
+} from './src/mission/history';
+import {
+  checkRoute,
+  createFence,
+  FENCE_TYPE,
+  MIN_FENCE_POINTS,
+  offendingSegments,
+  offendingWaypoints,
+} from './src/mission/geofence';
+import {
+  insertOnRoute,
+  moveWaypoint,
+  removeWaypoint,
+  reorderWaypoint,
+  waypointLabel,
+} from './src/mission/editing';
+import {
+  exportRoute,
+  importRoute,
+  ROUTE_FILE_FORMAT,
+  routeFileLabel,
+} from './src/formats';
+import {
+  discardPickedFile,
+  pickFirmwareFile,
+  pickRouteFile,
+  pickTilePackFile,
+  shareRouteFile,
+} from './src/storage/routeFiles';
+import {
+  deleteTilePack,
+  importMbtiles,
+  listTilePacks,
+  TILES_DIRECTORY,
+} from './src/storage/tileStore';
+import {
+  boundsPolygon,
+  shouldUseOfflineTiles,
+  TILE_MODE,
+  TILE_MODE_LABELS,
+} from './src/tiles/tilePacks';
+import {parseFirmwareImage} from './src/firmware/image';
+import {persistLogs} from './src/storage/logStore';
+import {
+  DEFAULT_PREFERENCES,
+  loadPreferences,
+  savePreferences,
+} from './src/storage/preferences';
+import {
+  COORDINATE_FORMAT_LABELS,
+  formatCoordinate,
+} from './src/geo/coordinates';
+import {createHome} from './src/mission/home';
+import {
+  formatAccuracy,
+  isPoorFix,
+  toPhonePosition,
+  WATCH_OPTIONS,
+} from './src/location/phoneLocation';
+import {createFollowMe} from './src/location/followMe';
+import {LOG_CATEGORY, logger} from './src/logging/logger';
+import {buildDiagnostics} from './src/logging/diagnostics';
+import {loadFleet, saveFleet} from './src/storage/fleetStore';
+import {
+  DEFAULT_DEVICE_SETTINGS,
+  friendlyName,
+  loadDeviceSettings,
+  saveDeviceSettings,
+  toLinkSettings,
+} from './src/storage/deviceSettings';
+import {
+  addVehicle,
+  assignRoute,
+  findVehicle,
+  removeVehicle,
+  UPLOAD_STATUS,
+  uploadFleet,
+} from './src/fleet/fleet';
+import LinkStatusBar from './src/components/LinkStatusBar';
+import VehicleOverlay from './src/components/VehicleOverlay';
+import TelemetryPanel from './src/components/TelemetryPanel';
+import RouteLibraryModal from './src/components/RouteLibraryModal';
+import WaypointMarker from './src/components/WaypointMarker';
+import WaypointListModal from './src/components/WaypointListModal';
+import RouteAnalyticsModal from './src/components/RouteAnalyticsModal';
+import WaypointDetailSheet from './src/components/WaypointDetailSheet';
+import FenceOverlay from './src/components/FenceOverlay';
+import FleetModal from './src/components/FleetModal';
+import DevicePickerModal from './src/components/DevicePickerModal';
+import SurveyPanel from './src/components/SurveyPanel';
+import MissionDiffOverlay from './src/components/MissionDiffOverlay';
+import LogViewerModal from './src/components/LogViewerModal';
+import DeviceConfigModal from './src/components/DeviceConfigModal';
+import FirmwareUpdateModal from './src/components/FirmwareUpdateModal';
+import CoordinateEntryModal from './src/components/CoordinateEntryModal';
+import OfflineTileOverlay from './src/components/OfflineTileOverlay';
+import TilePackModal from './src/components/TilePackModal';
+import {LINK_STATE} from './src/ble/connectionMachine';
+import {appendToTrail, hasFix} from './src/telemetry/telemetry';
+import {
+  applyProgressEvent,
+  isMissionComplete,
+  remainingDistance,
+  splitRoute,
+  waypointStatus,
+  WAYPOINT_STATUS,
+} from './src/mission/progress';
 
 global.Buffer = Buffer;
-let bleManager = new BleManager();
-
-const DEVICE_NAME_PATTERNS = ['lorav32', 'lora-v32', 'lora_v32'];
-const BLE_SCAN_TIMEOUT = 8000;
-const BLE_CONNECT_TIMEOUT = 10000;
-const BLE_RETRY_DELAY = 2000;
-const MAX_RETRIES = 3;
-const CHUNK_SIZE = 20;
-const CHUNK_DELAY = 50;
-const HARD_CODED_DEVICE_ID = null;
-
-// ESP32 BLE Service and Characteristic UUIDs
-const SERVICE_UUID = "12345678-1234-1234-1234-1234567890ab";
-const CHARACTERISTIC_UUID = "abcd1234-abcd-1234-abcd-1234567890ab";
-
-let lastKnownDevice = null;
-let isDisconnecting = false;
-let lastSentCoordinates = null;
-let isScanning = false;
-let currentScanTimeout = null;
-let isSendingInProgress = false;
-
-const cleanupBleState = async () => {
-  console.log('🧹 Cleaning up BLE state...');
-  try {
-    if (isScanning) {
-      bleManager.stopDeviceScan();
-      isScanning = false;
-    }
-    
-    if (currentScanTimeout) {
-      clearTimeout(currentScanTimeout);
-      currentScanTimeout = null;
-    }
-    
-    if (lastKnownDevice) {
-      try {
-        await safelyDisconnectDevice(lastKnownDevice);
-      } catch (err) {
-        console.log('⚠️ Failed to disconnect cached device:', err.message);
-      }
-      lastKnownDevice = null;
-    }
-    
-    isDisconnecting = false;
-    isSendingInProgress = false;
-    console.log('✅ BLE state cleanup complete');
-  } catch (err) {
-    console.log('⚠️ BLE cleanup failed:', err.message);
-  }
-};
 
-const forceResetBleManager = async () => {
-  if (isSendingInProgress) {
-    console.log('⚠️ BLE operation in progress, skipping reset');
-    return;
-  }
-
-  console.log('🔄 FORCE RESETTING BLE Manager (simulating Bluetooth toggle)...');
-  try {
-    isSendingInProgress = true;
-    await cleanupBleState();
-    
-    console.log('💥 Destroying BLE manager...');
-    await bleManager.destroy();
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    console.log('🆕 Creating fresh BLE manager...');
-    bleManager = new BleManager();
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    lastKnownDevice = null;
-    lastSentCoordinates = null;
-    isScanning = false;
-    isDisconnecting = false;
-    currentScanTimeout = null;
-    
-    console.log('✅ BLE Manager completely reset and ready');
-  } catch (err) {
-    console.log('⚠️ BLE reset failed:', err.message);
-    try {
-      bleManager = new BleManager();
-      await new Promise(resolve => setTimeout(resolve, 500));
-    } catch (fallbackErr) {
-      console.error('❌ Fallback BLE creation failed:', fallbackErr.message);
-    }
-  } finally {
-    isSendingInProgress = false;
-  }
-};
+const bleLog = logger.scope(LOG_CATEGORY.BLE);
+const gpsLog = logger.scope(LOG_CATEGORY.GPS);
+const routeLog = logger.scope(LOG_CATEGORY.ROUTE);
+const appLog = logger.scope(LOG_CATEGORY.APP);
 
-const terminateSendOperation = async (success = false, message = '') => {
-  console.log(`🏁 Terminating send operation (success: ${success})`);
-  try {
-    if (isScanning) {
-      bleManager.stopDeviceScan();
-      isScanning = false;
-    }
-    
-    if (currentScanTimeout) {
-      clearTimeout(currentScanTimeout);
-      currentScanTimeout = null;
-    }
-    
-    if (lastKnownDevice) {
-      try {
-        await safelyDisconnectDevice(lastKnownDevice);
-      } catch (err) {
-        console.log('⚠️ Disconnect during termination failed:', err.message);
-      }
-      
-      if (!success) {
-        console.log('🗑️ Clearing cached device due to failure');
-        lastKnownDevice = null;
-      } else {
-        console.log('💾 Keeping cached device for potential reuse');
-      }
-    }
-    
-    isDisconnecting = false;
-    isSendingInProgress = false;
-    
-    console.log('✅ Send operation terminated cleanly');
-    if (message) {
-      console.log(`📝 Result: ${message}`);
-    }
-  } catch (err) {
-    console.log('⚠️ Error during send operation termination:', err.message);
-    isScanning = false;
-    isSendingInProgress = false;
-    isDisconnecting = false;
-    if (currentScanTimeout) {
-      clearTimeout(currentScanTimeout);
-      currentScanTimeout = null;
-    }
-  }
+const waypointLink = createWaypointLink({
+  transport: createBlePlxTransport(),
+});
+
+const regionAround = ({latitude, longitude}) => ({
+  latitude,
+  longitude,
+  latitudeDelta: 0.01,
+  longitudeDelta: 0.01,
+});
+
+// How long the online basemap gets to finish loading before auto mode
+// falls back to offline tiles.
+const BASEMAP_TIMEOUT = 15000;
+
+const LINK_ERROR_TITLES = {
+  [LINK_ERROR.BUSY]: 'In Progress',
+  [LINK_ERROR.BLUETOOTH_OFF]: 'Bluetooth Off',
+  [LINK_ERROR.NO_DEVICES]: 'Timeout',
+  [LINK_ERROR.SCAN_FAILED]: 'Scan Error',
+  [LINK_ERROR.CONNECT_FAILED]: 'Connection Failed',
+  [LINK_ERROR.TRANSFER_FAILED]: 'Transfer Failed',
+  [LINK_ERROR.REJECTED]: 'Mission Rejected',
+  [LINK_ERROR.FIRMWARE_CURRENT]: 'Already Up to Date',
+  [LINK_ERROR.UPDATE_REJECTED]: 'Image Rejected',
+  [LINK_ERROR.UPDATE_FAILED]: 'Update Failed',
+  [LINK_ERROR.UPDATE_UNSUPPORTED]: 'Update Not Possible',
+  [LINK_ERROR.ROLLED_BACK]: 'Update Rolled Back',
 };
 
 export default function App() {
   const [location, setLocation] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [waypoints, setWaypoints] = useState([]);
+  const [history, setHistory] = useState(createHistory());
+  const waypoints = history.present;
   const [isChoosingWaypoint, setIsChoosingWaypoint] = useState(false);
+  const [formatDeviceId, setFormatDeviceId] = useState(ANY_DEVICE);
+  const [linkStatus, setLinkStatus] = useState(waypointLink.getState());
+  const [telemetry, setTelemetry] = useState(null);
+  const [trail, setTrail] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(null);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [showWaypointList, setShowWaypointList] = useState(false);
+  const [showRouteInfo, setShowRouteInfo] = useState(false);
+  const [showLog, setShowLog] = useState(false);
+  const [showDeviceConfig, setShowDeviceConfig] = useState(false);
+  const [showFirmware, setShowFirmware] = useState(false);
+  const [firmwareImage, setFirmwareImage] = useState(null);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [fences, setFences] = useState([]);
+  const [fenceDraft, setFenceDraft] = useState(null);
+  const [uploadFences, setUploadFences] = useState(false);
+  const [fleet, setFleet] = useState([]);
+  const [activeVehicleId, setActiveVehicleId] = useState(null);
+  const [showFleet, setShowFleet] = useState(false);
+  const [discoveredDevices, setDiscoveredDevices] = useState([]);
+  const [fleetResults, setFleetResults] = useState({});
+  const [fleetUploading, setFleetUploading] = useState(false);
+  const fleetLoadedRef = useRef(false);
+  const [deviceSettings, setDeviceSettings] = useState(DEFAULT_DEVICE_SETTINGS);
+  const [showDevicePicker, setShowDevicePicker] = useState(false);
+  const [liveDevices, setLiveDevices] = useState({});
+  const [scanning, setScanning] = useState(false);
+  const [survey, setSurvey] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const [showCoordinateEntry, setShowCoordinateEntry] = useState(false);
+  const [tilePacks, setTilePacks] = useState([]);
+  const [showTiles, setShowTiles] = useState(false);
+  const [showCoverage, setShowCoverage] = useState(false);
+  const [tileImport, setTileImport] = useState(null);
+  const [basemapLoaded, setBasemapLoaded] = useState(false);
+  const [basemapFailed, setBasemapFailed] = useState(false);
+  const [phonePosition, setPhonePosition] = useState(null);
+  const [home, setHome] = useState(null);
+  const [following, setFollowing] = useState(false);
   const mapRef = useRef(null);
+  const waypointCountRef = useRef(0);
+  const watchIdRef = useRef(null);
+  const phonePositionRef = useRef(null);
+  const mapPlacedRef = useRef(false);
+  const [followMe] = useState(() =>
+    createFollowMe({
+      getPosition: () => phonePositionRef.current,
+      send: waypointLink.sendFollowTarget,
+    }),
+  );
+
+  useEffect(() => waypointLink.on('state', setLinkStatus), []);
+
+  useEffect(
+    () =>
+      waypointLink.on('telemetry', sample => {
+        if (sample.type === 'reached' || sample.type === 'target') {
+          bleLog.info(
+            `🏁 Mission progress: ${sample.type} WP${sample.index + 1}`,
+          );
+          setActiveIndex(prev =>
+            applyProgressEvent(prev, sample, waypointCountRef.current),
+          );
+          return;
+        }
+        if (sample.type !== 'position') {
+          return;
+        }
+        setTelemetry(sample);
+        setTrail(prev => appendToTrail(prev, sample));
+      }),
+    [],
+  );
+
+  // Progress reports and read-back diffs refer to the route as uploaded; any
+  // edit invalidates them.
+  useEffect(() => {
+    waypointCountRef.current = waypoints.length;
+    setActiveIndex(null);
+    setVerification(null);
+  }, [waypoints]);
+
+  useEffect(() => {
+    loadDeviceSettings()
+      .then(settings => {
+        waypointLink.configure(toLinkSettings(settings));
+        setDeviceSettings(settings);
+      })
+      .catch(error => bleLog.error('❌ Error loading device settings:', error));
+  }, []);
+
+  useEffect(() => {
+    loadPreferences()
+      .then(setPreferences)
+      .catch(error => appLog.error('❌ Error loading preferences:', error));
+  }, []);
+
+  useEffect(() => {
+    refreshTilePacks();
+  }, []);
+
+  const offlineTiles = shouldUseOfflineTiles({
+    mode: preferences.tileMode,
+    basemapFailed,
+    packs: tilePacks,
+  });
+
+  // Without mobile data the online basemap never finishes loading and the
+  // map stays a blank grid.
+  useEffect(() => {
+    if (
+      loading ||
+      basemapLoaded ||
+      basemapFailed ||
+      preferences.tileMode === TILE_MODE.OFFLINE
+    ) {
+      return;
+    }
+    const timer = setTimeout(() => {
+      appLog.warn(
+        `⚠️ Online map did not load within ${BASEMAP_TIMEOUT / 1000} s`,
+      );
+      setBasemapFailed(true);
+    }, BASEMAP_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [loading, basemapLoaded, basemapFailed, preferences.tileMode]);
+
+  useEffect(
+    () =>
+      waypointLink.on('device', device => {
+        setLiveDevices(prev => ({...prev, [device.id]: device}));
+      }),
+    [],
+  );
+
+  useEffect(() => {
+    loadFleet()
+      .then(setFleet)
+      .catch(error => routeLog.error('❌ Error loading fleet:', error))
+      .finally(() => {
+        fleetLoadedRef.current = true;
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!fleetLoadedRef.current) {
+      return;
+    }
+    saveFleet(fleet).catch(error =>
+      routeLog.error('❌ Error saving fleet:', error),
+    );
+  }, [fleet]);
+
+  // While a vehicle is selected the map edits its route.
+  useEffect(() => {
+    if (activeVehicleId) {
+      setFleet(prev => assignRoute(prev, activeVehicleId, waypoints));
+    }
+  }, [waypoints, activeVehicleId]);
+
+  const activeVehicle = findVehicle(fleet, activeVehicleId);
+  const otherVehicles = fleet.filter(
+    v => v.id !== activeVehicleId && v.waypoints.length > 1,
+  );
+
+  const vehiclePosition = hasFix(telemetry)
+    ? {latitude: telemetry.latitude, longitude: telemetry.longitude}
+    : null;
+  const routeSegments = splitRoute(waypoints, activeIndex, vehiclePosition);
+  const remainingKm =
+    activeIndex === null
+      ? null
+      : remainingDistance(waypoints, activeIndex, vehiclePosition);
+
+  const isStreaming = linkStatus.state === LINK_STATE.STREAMING;
+  const missionFormat = missionFormatFor(
+    deviceSettings.missionFormats,
+    formatDeviceId,
+  );
+
+  const fenceViolations = checkRoute(waypoints, fences);
+  const offendingIndices = offendingWaypoints(fenceViolations);
+
+  useEffect(() => persistLogs(), []);
 
   useEffect(() => {
     return () => {
-      console.log('🧹 Component unmounting, cleaning up BLE state...');
-      cleanupBleState();
+      bleLog.info('🧹 Component unmounting, cleaning up BLE state...');
+      waypointLink.cleanup();
     };
   }, []);
 
@@ -198,62 +409,311 @@ export default function App() {
           result => result === PermissionsAndroid.RESULTS.GRANTED
         );
 
-        if (allGranted) getCurrentLocation();
-        else {
+        if (allGranted) {
+          startLocationTracking();
+        } else {
+          gpsLog.warn('⚠️ Permissions denied:', granted);
           Alert.alert('Permission Denied', 'Please grant all permissions.');
           setLocation(defaultLocation);
           setLoading(false);
         }
-      } else getCurrentLocation();
+      } else {
+        startLocationTracking();
+      }
     };
 
     requestPermissions();
+    return () => {
+      if (watchIdRef.current !== null) {
+        Geolocation.clearWatch(watchIdRef.current);
+      }
+      followMe.stop();
+    };
   }, []);
 
-  const getCurrentLocation = () => {
-    Geolocation.getCurrentPosition(
-      position => {
-        setLocation({
-          latitude: position.coords.latitude,
-          longitude: position.coords.longitude,
-          latitudeDelta: 0.01,
-          longitudeDelta: 0.01,
-        });
-        setLoading(false);
+  // The phone's position is followed for as long as the app runs. The first
+  // fix centres the map; later ones move the location marker and feed
+  // follow-me.
+  const startLocationTracking = () => {
+    watchIdRef.current = Geolocation.watchPosition(
+      raw => {
+        const position = toPhonePosition(raw);
+        if (!phonePositionRef.current) {
+          gpsLog.info(
+            `📍 Location fix: ${position.latitude}, ${
+              position.longitude
+            } (${formatAccuracy(position.accuracy)})`,
+          );
+          mapPlacedRef.current = true;
+          setLocation(regionAround(position));
+          setLoading(false);
+        }
+        phonePositionRef.current = position;
+        setPhonePosition(position);
       },
       error => {
+        if (mapPlacedRef.current) {
+          gpsLog.warn('⚠️ Location update failed:', error.message);
+          return;
+        }
+        gpsLog.error('❌ Location error:', error.message);
+        mapPlacedRef.current = true;
         Alert.alert('Location Error', error.message);
         setLocation(defaultLocation);
         setLoading(false);
-      }
+      },
+      WATCH_OPTIONS,
+    );
+  };
+
+  const waitForFix = () => {
+    Alert.alert(
+      'No Location',
+      'Still waiting for the phone to get a location fix.',
+    );
+  };
+
+  const recentreOnPhone = () => {
+    if (!phonePosition) {
+      waitForFix();
+      return;
+    }
+    if (mapRef.current) {
+      mapRef.current.animateToRegion(regionAround(phonePosition), 500);
+    }
+  };
+
+  // The home point goes with every mission, to devices that take it, until
+  // it is cleared, so it is only taken from a fix that can be trusted.
+  const setHomeHere = () => {
+    if (!phonePosition) {
+      waitForFix();
+      return;
+    }
+    const position = phonePosition;
+    const apply = () => {
+      gpsLog.info(
+        `🏠 Home set to ${position.latitude}, ${
+          position.longitude
+        } (${formatAccuracy(position.accuracy)})`,
+      );
+      setHome(createHome(position));
+    };
+    if (!isPoorFix(position)) {
+      apply();
+      return;
+    }
+    Alert.alert(
+      'Poor Location Fix',
+      position.accuracy === null
+        ? 'The phone cannot tell how accurate its position is. Set home here anyway?'
+        : `The phone's position is only good to ${formatAccuracy(
+            position.accuracy,
+          )}. Set home here anyway?`,
+      [
+        {text: 'Cancel', style: 'cancel'},
+        {text: 'Set Home', onPress: apply},
+      ],
     );
   };
 
+  const chooseHomeAction = () => {
+    if (!home) {
+      setHomeHere();
+      return;
+    }
+    Alert.alert(
+      'Home Point',
+      `Home is at ${formatCoordinate(
+        home,
+        preferences.coordinateFormat,
+      )} (${formatAccuracy(
+        home.accuracy,
+      )}) and is sent with every mission to devices that take it.`,
+      [
+        {text: 'Cancel', style: 'cancel'},
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: () => {
+            gpsLog.info('🏠 Home cleared');
+            setHome(null);
+          },
+        },
+        {text: 'Move Here', onPress: setHomeHere},
+      ],
+    );
+  };
+
+  // Follow-me only uses a link that is already open; if it drops, updates
+  // pause until it is back.
+  const toggleFollowMe = () => {
+    if (following) {
+      followMe.stop();
+      setFollowing(false);
+      return;
+    }
+    if (!waypointLink.canFollow()) {
+      Alert.alert(
+        'No Connection',
+        'Follow-me streams over an open link. Turn on Stay Connected and send a mission, or start Live Telemetry, first.',
+      );
+      return;
+    }
+    followMe.start();
+    setFollowing(true);
+  };
+
   const handleMapPress = async (e) => {
     try {
       const coord = e.nativeEvent.coordinate;
+
+      if (survey) {
+        setSurvey(prev => ({...prev, points: [...prev.points, coord]}));
+        return;
+      }
+
+      if (fenceDraft) {
+        setFenceDraft(prev => ({...prev, points: [...prev.points, coord]}));
+        return;
+      }
       
       if (isChoosingWaypoint) {
-        console.log('📍 Adding new waypoint...');
+        routeLog.info('📍 Adding new waypoint...');
         setWaypoints(prev => [...prev, coord]);
         setIsChoosingWaypoint(false);
-        console.log('📍 New waypoint added, forcing BLE reset...');
-        await forceResetBleManager();
-        console.log('✅ Waypoint addition complete');
+        routeLog.info('📍 New waypoint added, forcing BLE reset...');
+        await waypointLink.reset();
+        routeLog.info('✅ Waypoint addition complete');
       }
     } catch (error) {
-      console.error('❌ Error handling map press:', error);
+      routeLog.error('❌ Error handling map press:', error);
       Alert.alert('Error', 'Failed to add waypoint. Please try again.');
       setIsChoosingWaypoint(false);
     }
   };
 
-  const calculateTotalDistance = () => {
-    if (waypoints.length < 2) return 0;
-    
+  // Surveyed points are typed or pasted rather than tapped, which is only
+  // accurate to a few metres.
+  const addCoordinateWaypoints = async coordinates => {
+    try {
+      routeLog.info(
+        `📍 Adding ${coordinates.length} waypoints from typed coordinates...`,
+      );
+      setWaypoints(prev => [...prev, ...coordinates]);
+      setShowCoordinateEntry(false);
+      await waypointLink.reset();
+    } catch (error) {
+      routeLog.error('❌ Error adding typed waypoints:', error);
+      Alert.alert('Error', 'Failed to add waypoints. Please try again.');
+    }
+  };
+
+  const updatePreferences = async changes => {
+    const next = {...preferences, ...changes};
+    setPreferences(next);
+    try {
+      await savePreferences(next);
+    } catch (error) {
+      appLog.error('❌ Error saving preferences:', error);
+    }
+  };
+
+  const changeCoordinateFormat = coordinateFormat => {
+    appLog.info(
+      `🧭 Showing coordinates as ${COORDINATE_FORMAT_LABELS[coordinateFormat]}`,
+    );
+    updatePreferences({coordinateFormat});
+  };
+
+  // Choosing a mode again gives the online map another chance to load.
+  const changeTileMode = tileMode => {
+    appLog.info(`🗺️ Map tiles set to ${TILE_MODE_LABELS[tileMode]}`);
+    setBasemapFailed(false);
+    updatePreferences({tileMode});
+  };
+
+  const refreshTilePacks = async () => {
+    try {
+      setTilePacks(await listTilePacks());
+    } catch (error) {
+      appLog.error('❌ Error listing tile packs:', error);
+      Alert.alert('Map Tiles', `Could not list tile packs: ${error.message}`);
+    }
+  };
+
+  const importTilePack = async () => {
+    let file = null;
+    try {
+      file = await pickTilePackFile();
+      if (!file) {
+        return;
+      }
+      appLog.info(`🗺️ Importing tile pack "${file.name}"...`);
+      setTileImport({name: file.name, count: 0});
+      const pack = await importMbtiles(file, count =>
+        setTileImport({name: file.name, count}),
+      );
+      await refreshTilePacks();
+      Alert.alert(
+        'Tiles Imported',
+        `${pack.name}: ${pack.tileCount} tiles, zoom ${pack.minZoom}–${pack.maxZoom}.`,
+      );
+    } catch (error) {
+      appLog.error('❌ Error importing tile pack:', error);
+      Alert.alert('Import Failed', error.message);
+    } finally {
+      setTileImport(null);
+      if (file) {
+        discardPickedFile(file).catch(error =>
+          appLog.warn('⚠️ Could not remove cached tile file:', error.message),
+        );
+      }
+    }
+  };
+
+  const removeTilePack = async pack => {
+    try {
+      await deleteTilePack(pack);
+      await refreshTilePacks();
+    } catch (error) {
+      appLog.error('❌ Error deleting tile pack:', error);
+      Alert.alert('Delete Failed', error.message);
+    }
+  };
+
+  const showTilePack = pack => {
+    setShowTiles(false);
+    setShowCoverage(true);
+    fitMapToRoute(boundsPolygon(pack.bounds));
+  };
+
+  // Every route change, including loading a saved or fleet route, is
+  // recorded so it can be undone.
+  const setWaypoints = edit =>
+    setHistory(prev =>
+      recordEdit(prev, typeof edit === 'function' ? edit(prev.present) : edit),
+    );
+
+  const stepHistory = async (step, description) => {
+    try {
+      routeLog.info(`↩️ ${description}...`);
+      setHistory(step);
+      await waypointLink.reset();
+    } catch (error) {
+      routeLog.error(`❌ ${description} failed:`, error);
+      Alert.alert('Error', `${description} failed`);
+    }
+  };
+
+  const calculateTotalDistance = (points = waypoints) => {
+    if (points.length < 2) {
+      return 0;
+    }
+
     let totalDistance = 0;
-    for (let i = 0; i < waypoints.length - 1; i++) {
-      totalDistance += getDistance(waypoints[i], waypoints[i + 1]);
+    for (let i = 0; i < points.length - 1; i++) {
+      totalDistance += getDistance(points[i], points[i + 1]);
     }
     return totalDistance / 1000; // Convert to km
   };
@@ -263,20 +723,7 @@ export default function App() {
       Alert.alert('No Waypoints', 'Add waypoints first.');
       return;
     }
-    
-    const waypointsList = waypoints.map((wp, index) => {
-      const label = index === 0 ? 'Source' : 
-                   index === waypoints.length - 1 ? 'Destination' : 
-                   `Waypoint ${index + 1}`;
-      return `${label}: ${wp.latitude.toFixed(6)}, ${wp.longitude.toFixed(6)}`;
-    }).join('\n');
-    
-    const totalKm = calculateTotalDistance();
-    
-    Alert.alert(
-      'Route Information',
-      `${waypointsList}\n\nTotal Distance: ${totalKm.toFixed(2)} km`
-    );
+    setShowRouteInfo(true);
   };
 
   const removeLastWaypoint = async () => {
@@ -286,146 +733,350 @@ export default function App() {
         return;
       }
       
-      console.log('📍 Removing last waypoint...');
+      routeLog.info('📍 Removing last waypoint...');
       setWaypoints(prev => prev.slice(0, -1));
-      console.log('📍 Last waypoint removed, forcing BLE reset...');
-      await forceResetBleManager();
-      console.log('✅ Waypoint removal complete');
+      routeLog.info('📍 Last waypoint removed, forcing BLE reset...');
+      await waypointLink.reset();
+      routeLog.info('✅ Waypoint removal complete');
     } catch (error) {
-      console.error('❌ Error removing waypoint:', error);
+      routeLog.error('❌ Error removing waypoint:', error);
       Alert.alert('Error', 'Failed to remove waypoint');
     }
   };
 
+  // Any edit changes the mission, so the device must be re-sent from scratch.
+  const editWaypoints = async (edit, description) => {
+    try {
+      routeLog.info(`📍 ${description}...`);
+      setWaypoints(edit);
+      await waypointLink.reset();
+      routeLog.info(`✅ ${description} complete`);
+    } catch (error) {
+      routeLog.error(`❌ ${description} failed:`, error);
+      Alert.alert('Error', `${description} failed`);
+    }
+  };
+
+  const handleWaypointDragEnd = (index, coord) =>
+    editWaypoints(
+      prev => moveWaypoint(prev, index, coord),
+      `Moving waypoint ${index + 1}`,
+    );
+
+  const handleRoutePress = e => {
+    const coord = e.nativeEvent.coordinate;
+    if (!coord) {
+      return;
+    }
+    editWaypoints(prev => insertOnRoute(prev, coord), 'Inserting waypoint');
+  };
+
+  const deleteWaypoint = index =>
+    editWaypoints(
+      prev => removeWaypoint(prev, index),
+      `Deleting waypoint ${index + 1}`,
+    );
+
+  const confirmDeleteWaypoint = index => {
+    Alert.alert('Delete Waypoint', `Delete ${getMarkerTitle(index)}?`, [
+      {text: 'Cancel', style: 'cancel'},
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => {
+          setEditingIndex(null);
+          deleteWaypoint(index);
+        },
+      },
+    ]);
+  };
+
+  const saveWaypointDetails = (index, updated) => {
+    setEditingIndex(null);
+    editWaypoints(
+      prev => prev.map((wp, i) => (i === index ? updated : wp)),
+      `Updating waypoint ${index + 1}`,
+    );
+  };
+
+  const handleWaypointReorder = (from, to) =>
+    editWaypoints(
+      prev => reorderWaypoint(prev, from, to),
+      `Moving waypoint ${from + 1} to ${to + 1}`,
+    );
+
   const clearAllWaypoints = async () => {
     try {
-      console.log('📍 Clearing all waypoints...');
+      routeLog.info('📍 Clearing all waypoints...');
       setWaypoints([]);
-      console.log('📍 All waypoints cleared, forcing BLE reset...');
-      await forceResetBleManager();
-      console.log('✅ All waypoints cleared');
+      routeLog.info('📍 All waypoints cleared, forcing BLE reset...');
+      await waypointLink.reset();
+      routeLog.info('✅ All waypoints cleared');
     } catch (error) {
-      console.error('❌ Error clearing waypoints:', error);
+      routeLog.error('❌ Error clearing waypoints:', error);
       Alert.alert('Error', 'Failed to clear waypoints');
     }
   };
 
-  const safelyDisconnectDevice = async device => {
-    if (!device) return;
+  const fitMapToRoute = coords => {
+    if (!mapRef.current || coords.length === 0) {
+      return;
+    }
+    mapRef.current.fitToCoordinates(coords, {
+      edgePadding: {top: 80, right: 40, bottom: 260, left: 40},
+      animated: true,
+    });
+  };
+
+  const loadSavedRoute = async route => {
     try {
-      isDisconnecting = true;
-      console.log('🔌 Disconnecting from device...');
-      await device.cancelConnection();
-      console.log('✅ Device disconnected successfully');
-      await new Promise(resolve => setTimeout(resolve, 200));
-    } catch (err) {
-      console.warn('⚠️ Disconnect error:', err.message);
-    } finally {
-      isDisconnecting = false;
+      routeLog.info(
+        `📂 Loading saved route "${route.name}" (${route.waypoints.length} waypoints)...`,
+      );
+      setWaypoints(route.waypoints);
+      setFences(route.fences || []);
+      setShowLibrary(false);
+      fitMapToRoute(route.waypoints);
+      await waypointLink.reset();
+      routeLog.info('✅ Saved route loaded');
+    } catch (error) {
+      routeLog.error('❌ Error loading route:', error);
+      Alert.alert('Error', 'Failed to load route');
     }
   };
 
-  const connectToDevice = async (device, retries = 0) => {
+  const importRouteFile = async () => {
     try {
-      console.log(`🔗 Attempting to connect to device: ${device.id}`);
-      
-      const connectPromise = bleManager.connectToDevice(device.id, { 
-        requestMTU: 128,
-        timeout: BLE_CONNECT_TIMEOUT 
-      });
-      
-      const connected = await connectPromise;
-      console.log('🔗 Device connected, discovering services...');
-      
-      await connected.discoverAllServicesAndCharacteristics();
-      console.log('✅ Services discovered successfully');
-      
-      return connected;
-    } catch (err) {
-      console.warn(`❌ Connect attempt ${retries + 1} failed:`, err.message);
-      if (retries < MAX_RETRIES) {
-        console.log(`⏳ Retrying in ${BLE_RETRY_DELAY}ms...`);
-        await new Promise(res => setTimeout(res, BLE_RETRY_DELAY));
-        return connectToDevice(device, retries + 1);
+      const file = await pickRouteFile();
+      if (!file) {
+        return;
       }
-      throw err;
+      routeLog.info(`📥 Importing route file "${file.name}"...`);
+      const route = importRoute(file.name, file.text);
+      setWaypoints(route.waypoints);
+      fitMapToRoute(route.waypoints);
+      await waypointLink.reset();
+      routeLog.info(
+        `✅ Imported ${route.waypoints.length} waypoints from ${routeFileLabel(
+          route.format,
+        )}`,
+      );
+    } catch (error) {
+      routeLog.error('❌ Error importing route:', error);
+      Alert.alert('Import Failed', error.message);
     }
   };
 
-  const findWritableCharacteristic = async device => {
+  const exportRouteFile = async format => {
     try {
-      const services = await device.services();
-      console.log('📋 Available services:', services.length);
-      
-      for (const service of services) {
-        console.log('🔍 Checking service:', service.uuid);
-        const chars = await service.characteristics();
-        for (const char of chars) {
-          console.log('📝 Characteristic:', char.uuid, 'Writable:', char.isWritableWithResponse || char.isWritableWithoutResponse);
-          
-          if (char.uuid.toLowerCase() === CHARACTERISTIC_UUID.toLowerCase()) {
-            console.log('✅ Found target characteristic!');
-            return char;
-          }
-          
-          if (char.isWritableWithResponse || char.isWritableWithoutResponse) {
-            console.log('⚠️ Using fallback writable characteristic:', char.uuid);
-            return char;
-          }
-        }
-      }
-      throw new Error('No writable characteristic found.');
+      const file = exportRoute(waypoints, format, 'Waypoint Route');
+      routeLog.info(
+        `📤 Exporting ${waypoints.length} waypoints as ${file.fileName}...`,
+      );
+      await shareRouteFile(file);
     } catch (error) {
-      console.log('❌ Error finding characteristic:', error.message);
-      throw error;
+      routeLog.error('❌ Error exporting route:', error);
+      Alert.alert('Export Failed', error.message);
     }
   };
 
-  const sendDataInChunks = async (device, serviceUUID, characteristicUUID, base64String) => {
-    console.log('📤 Starting chunked transmission...');
-    console.log('📤 Base64 data to send:', base64String);
-    console.log('📤 Data length:', base64String.length);
-    
-    const chunks = [];
-    for (let i = 0; i < base64String.length; i += CHUNK_SIZE) {
-      chunks.push(base64String.slice(i, i + CHUNK_SIZE));
+  const chooseExportFormat = () => {
+    Alert.alert(
+      'Export Route',
+      'Choose a file format',
+      Object.values(ROUTE_FILE_FORMAT).map(format => ({
+        text: routeFileLabel(format),
+        onPress: () => exportRouteFile(format),
+      })),
+      {cancelable: true},
+    );
+  };
+
+  const startSurvey = () => {
+    setIsChoosingWaypoint(false);
+    setFenceDraft(null);
+    setSurvey({
+      points: [],
+      options: {
+        pattern: SURVEY_PATTERN.LAWNMOWER,
+        spacing: '20',
+        heading: '0',
+        overshoot: '0',
+      },
+    });
+  };
+
+  const buildSurveyPreview = () => {
+    if (!survey || survey.points.length < 3) {
+      return {waypoints: [], distanceKm: 0};
     }
-    
-    console.log('📦 Split into', chunks.length, 'chunks');
-    
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
-      
-      console.log(`📤 Sending chunk ${i + 1}/${chunks.length}: "${chunk}" (${chunk.length} chars)`);
-      
-      try {
-        const chunkBuffer = Buffer.from(chunk, 'utf-8').toString('base64');
-        await device.writeCharacteristicWithoutResponseForService(
-          serviceUUID,
-          characteristicUUID,
-          chunkBuffer
-        );
-        console.log(`✅ Chunk ${i + 1} sent successfully`);
-        await new Promise(res => setTimeout(res, CHUNK_DELAY));
-      } catch (error) {
-        console.log(`❌ Failed to send chunk ${i + 1}:`, error.message);
-        throw error;
-      }
+    try {
+      const generated = generateSurvey(survey.points, {
+        pattern: survey.options.pattern,
+        spacing: parseFloat(survey.options.spacing),
+        heading: parseFloat(survey.options.heading),
+        overshoot: parseFloat(survey.options.overshoot),
+      });
+      return {
+        waypoints: generated,
+        distanceKm: calculateTotalDistance(generated),
+      };
+    } catch (error) {
+      return {waypoints: [], distanceKm: 0, error: error.message};
+    }
+  };
+
+  const applySurvey = generated => {
+    routeLog.info(
+      `🗺️ Using ${generated.length}-waypoint ${survey.options.pattern} survey`,
+    );
+    setSurvey(null);
+    editWaypoints(() => generated, 'Applying survey route');
+    fitMapToRoute(generated);
+  };
+
+  const startFenceDraft = () => {
+    setIsChoosingWaypoint(false);
+    Alert.alert('Draw Fence', 'Tap the map to place the fence corners.', [
+      {text: 'Cancel', style: 'cancel'},
+      {
+        text: 'Keep-in',
+        onPress: () => setFenceDraft({type: FENCE_TYPE.KEEP_IN, points: []}),
+      },
+      {
+        text: 'Keep-out',
+        onPress: () => setFenceDraft({type: FENCE_TYPE.KEEP_OUT, points: []}),
+      },
+    ]);
+  };
+
+  const finishFenceDraft = () => {
+    try {
+      const fence = createFence(fenceDraft.type, fenceDraft.points);
+      setFences(prev => [...prev, fence]);
+      setFenceDraft(null);
+      routeLog.info(
+        `🚧 Added ${fence.type} fence with ${fence.points.length} points`,
+      );
+    } catch (error) {
+      Alert.alert('Fence', error.message);
+    }
+  };
+
+  const handleFencePress = fence => {
+    if (fenceDraft) {
+      return;
+    }
+    const label =
+      fence.type === FENCE_TYPE.KEEP_IN ? 'keep-in fence' : 'keep-out zone';
+    Alert.alert('Delete Fence', `Delete this ${label}?`, [
+      {text: 'Cancel', style: 'cancel'},
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => setFences(prev => prev.filter(f => f.id !== fence.id)),
+      },
+    ]);
+  };
+
+  const toggleFenceUpload = () => {
+    setUploadFences(prev => !prev);
+  };
+
+  const selectVehicle = id => {
+    if (id === activeVehicleId) {
+      routeLog.info('🚚 Stopped editing fleet route');
+      setActiveVehicleId(null);
+      return;
     }
-    
-    console.log('✅ All chunks sent successfully!');
+    const vehicle = findVehicle(fleet, id);
+    routeLog.info(`🚚 Editing route for ${vehicle.name}`);
+    setActiveVehicleId(id);
+    setWaypoints(vehicle.waypoints);
+    setShowFleet(false);
+    fitMapToRoute(vehicle.waypoints);
   };
 
-  const validateCoordinates = (coord, name) => {
-    if (!coord || typeof coord.latitude !== 'number' || typeof coord.longitude !== 'number') {
-      throw new Error(`Invalid ${name} coordinate`);
+  const assignCurrentRoute = id => {
+    setFleet(prev => assignRoute(prev, id, waypoints));
+    setActiveVehicleId(id);
+    setShowFleet(false);
+  };
+
+  const removeFleetVehicle = id => {
+    const vehicle = findVehicle(fleet, id);
+    Alert.alert(
+      'Remove Vehicle',
+      `Remove ${vehicle.name} and its route from the fleet?`,
+      [
+        {text: 'Cancel', style: 'cancel'},
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => {
+            if (id === activeVehicleId) {
+              setActiveVehicleId(null);
+            }
+            setFleet(prev => removeVehicle(prev, id));
+          },
+        },
+      ],
+    );
+  };
+
+  const scanForFleet = async () => {
+    try {
+      const found = await waypointLink.scanDevices();
+      bleLog.info(`🚚 Fleet scan found ${found.length} devices`);
+      setDiscoveredDevices(found);
+    } catch (err) {
+      Alert.alert(LINK_ERROR_TITLES[err.code] || 'Scan Error', err.message);
     }
-    if (coord.latitude < -90 || coord.latitude > 90) {
-      throw new Error(`Invalid ${name} latitude: ${coord.latitude}`);
+  };
+
+  const runFleetUpload = async () => {
+    setFleetUploading(true);
+    setFleetResults({});
+    try {
+      const results = await uploadFleet(waypointLink, fleet, {
+        fences: uploadFences ? fences : [],
+        home,
+        onResult: result =>
+          setFleetResults(prev => ({...prev, [result.id]: result})),
+      });
+      const sent = results.filter(r => r.status === UPLOAD_STATUS.SENT).length;
+      const failed = results.filter(
+        r => r.status === UPLOAD_STATUS.FAILED,
+      ).length;
+      Alert.alert(
+        'Fleet Upload',
+        `${sent} sent, ${failed} failed, ${
+          results.length - sent - failed
+        } skipped.`,
+      );
+    } finally {
+      setFleetUploading(false);
     }
-    if (coord.longitude < -180 || coord.longitude > 180) {
-      throw new Error(`Invalid ${name} longitude: ${coord.longitude}`);
+  };
+
+  const uploadAllRoutes = () => {
+    const offenders = fleet.filter(
+      v => checkRoute(v.waypoints, fences).length > 0,
+    );
+    if (offenders.length === 0) {
+      runFleetUpload();
+      return;
     }
+    Alert.alert(
+      'Geofence Violation',
+      `These routes break a fence:\n${offenders
+        .map(v => `• ${v.name}`)
+        .join('\n')}`,
+      [
+        {text: 'Cancel', style: 'cancel'},
+        {text: 'Upload Anyway', style: 'destructive', onPress: runFleetUpload},
+      ],
+    );
   };
 
   const sendCoordinates = async () => {
@@ -434,291 +1085,351 @@ export default function App() {
         Alert.alert('Error', 'Add at least 2 waypoints (source and destination).');
         return;
       }
-      
+
       // Validate all waypoints
-      waypoints.forEach((waypoint, index) => {
-        validateCoordinates(waypoint, `waypoint ${index + 1}`);
-      });
-      
+      validateWaypoints(waypoints);
     } catch (error) {
-      console.error('❌ Waypoint validation failed:', error);
+      routeLog.error('❌ Waypoint validation failed:', error);
       Alert.alert('Error', `Invalid coordinates: ${error.message}`);
       return;
     }
 
-    // Format waypoints as: WP1:lat,lng;WP2:lat,lng;WP3:lat,lng...
-    const waypointStrings = waypoints.map((wp, index) => 
-      `WP${index + 1}:${wp.latitude},${wp.longitude}`
-    );
-    const raw = waypointStrings.join(';');
-    const base64String = Buffer.from(raw, 'utf-8').toString('base64');
-
-    // Check if waypoints have changed
-    const waypointsChanged = lastSentCoordinates !== raw;
-    console.log('📊 Waypoints Change Analysis:');
-    console.log('  🔄 Previous waypoints:', lastSentCoordinates || 'none');
-    console.log('  🆕 Current waypoints:', raw);
-    console.log('  📏 String comparison result:', waypointsChanged ? 'CHANGED' : 'SAME');
-    console.log('  📱 Cached device present:', lastKnownDevice ? 'YES' : 'NO');
-    
-    const shouldScan = waypointsChanged || !lastKnownDevice;
-    console.log('  🔍 Should perform scan:', shouldScan ? 'YES' : 'NO');
-    
-    if (waypointsChanged) {
-      console.log('📍 ✅ Waypoints have changed - will perform fresh scan');
-      lastKnownDevice = null;
-      console.log('🗑️ Cleared cached device due to waypoint change');
-    } else if (!lastKnownDevice) {
-      console.log('📍 🔍 No cached device available - will perform scan');
-    } else {
-      console.log('📍 ♻️ Same waypoints and cached device available - will try cache first');
-    }
-
-    console.log('📍 Current waypoints:');
+    if (fenceViolations.length > 0) {
+      routeLog.info(`🚧 Route breaks ${fenceViolations.length} fence rule(s)`);
+      Alert.alert(
+        'Geofence Violation',
+        `${fenceViolations
+          .map(v => `• ${v.message}`)
+          .join('\n')}\n\nOffending legs are highlighted in red.`,
+        [
+          {text: 'Cancel', style: 'cancel'},
+          {text: 'Send Anyway', style: 'destructive', onPress: transmitMission},
+        ],
+      );
+      return;
+    }
+
+    await transmitMission();
+  };
+
+  const transmitMission = async () => {
+    bleLog.debug('📍 Current waypoints:');
     waypoints.forEach((wp, index) => {
       const label = index === 0 ? 'Source' : 
                    index === waypoints.length - 1 ? 'Destination' : 
                    `Waypoint ${index + 1}`;
-      console.log(`  ${label}: ${wp.latitude}, ${wp.longitude}`);
+      bleLog.debug(`  ${label}: ${wp.latitude}, ${wp.longitude}`);
     });
-    console.log('📤 Raw message:', raw);
-    console.log('📤 Base64 encoded:', base64String);
-    console.log('📤 Message length:', base64String.length);
 
     try {
-      if (isScanning || isSendingInProgress) {
-        console.log('⚠️ Operation already in progress, ignoring send request');
-        Alert.alert('In Progress', 'Please wait for current operation to complete.');
-        return;
-      }
-
-      isSendingInProgress = true;
-      console.log('🚀 Starting waypoints send operation...');
-
-      if (waypointsChanged) {
-        console.log('🔄 Waypoints changed - forcing complete BLE reset...');
-        await forceResetBleManager();
-        console.log('⏳ Allowing BLE stack to settle after reset...');
-        await new Promise(resolve => setTimeout(resolve, 500));
-      } else {
-        console.log('🧹 Same waypoints - using simple cleanup...');
-        await cleanupBleState();
-      }
-      
-      const state = await bleManager.state();
-      console.log('📡 BLE State:', state);
-      
-      if (state !== 'PoweredOn') {
-        Alert.alert('Bluetooth Off', 'Enable Bluetooth and try again.');
-        await terminateSendOperation(false, 'Bluetooth not powered on');
+      bleLog.info('🚀 Starting waypoints send operation...');
+      const {device, format, unchanged, skipped} =
+        await waypointLink.sendMission(waypoints, {
+          fences: uploadFences ? fences : [],
+          home,
+        });
+      setFormatDeviceId(device.id);
+      setActiveIndex(null);
+      if (unchanged) {
+        Alert.alert(
+          'Already Sent',
+          'The connected device already holds this route.',
+        );
         return;
       }
-
-      // Try cached device ONLY if waypoints are exactly the same
-      if (!waypointsChanged && lastKnownDevice && !shouldScan) {
-        console.log('🚀 Attempting to use cached device for identical waypoints...');
-        try {
-          const connected = await connectToDevice(lastKnownDevice);
-          await sendDataInChunks(connected, SERVICE_UUID, CHARACTERISTIC_UUID, base64String);
-          
-          Alert.alert('Success', 'Waypoints sent!');
-          await terminateSendOperation(true, 'Cached device send successful');
-          return;
-        } catch (err) {
-          console.log('❌ Cached device failed, falling back to scan:', err.message);
-          lastKnownDevice = null;
-        }
+      const droppedAttributes =
+        format !== MISSION_FORMAT.EXTENDED && routeHasAttributes(waypoints);
+      const notes = [];
+      if (droppedAttributes) {
+        notes.push(
+          `The ${format} format carries coordinates only; switch to the extended format to send altitude, speed, hold, radius and actions.`,
+        );
       }
-      
-      console.log('🔄 Proceeding with device scan...');
-
-      if (HARD_CODED_DEVICE_ID) {
-        console.log('🔧 Using hardcoded device ID:', HARD_CODED_DEVICE_ID);
-        try {
-          const connected = await connectToDevice({ id: HARD_CODED_DEVICE_ID });
-          await sendDataInChunks(connected, SERVICE_UUID, CHARACTERISTIC_UUID, base64String);
-          
-          lastSentCoordinates = raw;
-          lastKnownDevice = { id: HARD_CODED_DEVICE_ID };
-          
-          Alert.alert('Success', 'Waypoints sent!');
-          await terminateSendOperation(true, 'Hardcoded device send successful');
-          return;
-        } catch (err) {
-          Alert.alert('Hardcoded Connect Failed', err.message);
-          await terminateSendOperation(false, `Hardcoded device failed: ${err.message}`);
-          return;
-        }
+      if (skipped.length > 0) {
+        const left = skipped.join(', ');
+        notes.push(
+          `Not sent, as this device does not take them: ${left}. Turn on Fences & Home for it under Devices if its firmware does.`,
+        );
       }
+      Alert.alert(
+        'Success',
+        ['Mission accepted by device!', ...notes].join('\n\n'),
+      );
+    } catch (err) {
+      bleLog.error('❌ Send coordinates error:', err.message);
+      Alert.alert(LINK_ERROR_TITLES[err.code] || 'BLE Error', err.message);
+    }
+  };
 
-      console.log('🔍 Starting BLE device scan...');
-      isScanning = true;
-      const scannedDevices = new Set();
-      let foundDevices = [];
-
-      const stopScanAndCleanup = () => {
-        if (isScanning) {
-          bleManager.stopDeviceScan();
-          isScanning = false;
-        }
-        if (currentScanTimeout) {
-          clearTimeout(currentScanTimeout);
-          currentScanTimeout = null;
-        }
-      };
-
-      currentScanTimeout = setTimeout(async () => {
-        console.log('⏰ Scan timeout reached');
-        stopScanAndCleanup();
-        
-        if (foundDevices.length > 0) {
-          console.log(`🔄 Found ${foundDevices.length} devices total. Trying fallback connection to first found device...`);
-          foundDevices.forEach((dev, index) => {
-            console.log(`  Device ${index}: ${dev.id} - ${dev.name || dev.localName || 'unnamed'}`);
-          });
-          await tryConnectToDevice(foundDevices[0]);
-        } else {
-          Alert.alert('Timeout', 'Could not find any BLE devices. Make sure ESP32 is powered on and advertising.');
-          await terminateSendOperation(false, 'Scan timeout - no devices found');
-        }
-      }, BLE_SCAN_TIMEOUT);
-
-      const tryConnectToDevice = async (device) => {
-        try {
-          console.log(`🔗 Attempting connection to device: ${device.id}`);
-          const connected = await connectToDevice(device);
-          console.log('🔗 Connected to device, sending data...');
-          await sendDataInChunks(connected, SERVICE_UUID, CHARACTERISTIC_UUID, base64String);
-          
-          lastSentCoordinates = raw;
-          lastKnownDevice = device;
-          console.log('✅ Waypoints sent successfully and cached');
-          
-          Alert.alert('Success', 'Waypoints sent!');
-          await terminateSendOperation(true, 'Waypoints sent successfully');
-        } catch (err) {
-          console.log('❌ Connection failed:', err.message);
-          Alert.alert('Connection Failed', err.message);
-          await terminateSendOperation(false, `Connection failed: ${err.message}`);
-        }
-      };
-
-      bleManager.startDeviceScan(null, { allowDuplicates: false }, async (error, device) => {
-        if (error) {
-          console.log('❌ Scan error:', error.message);
-          stopScanAndCleanup();
-          Alert.alert('Scan Error', error.message);
-          await terminateSendOperation(false, `Scan error: ${error.message}`);
-          return;
-        }
+  const scanBleDevices = async () => {
+    setShowDevicePicker(true);
+    setLiveDevices({});
+    setScanning(true);
+    try {
+      bleLog.info('🔍 Device scan - forcing BLE reset for clean state...');
+      const foundDevices = await waypointLink.scanDevices();
+      bleLog.info(
+        `📋 Device scan finished with ${foundDevices.length} devices`,
+      );
+    } catch (err) {
+      const title =
+        err.code === LINK_ERROR.BUSY
+          ? 'Already Scanning'
+          : LINK_ERROR_TITLES[err.code];
+      Alert.alert(title || 'Scan Error', err.message);
+    } finally {
+      setScanning(false);
+    }
+  };
 
-        if (!device || scannedDevices.has(device.id)) return;
+  // Keeps the link to the last device open between sends instead of
+  // resetting Bluetooth after every edit.
+  const toggleStayConnected = () => {
+    updateDeviceSettings({
+      ...deviceSettings,
+      stayConnected: !deviceSettings.stayConnected,
+    });
+  };
 
-        scannedDevices.add(device.id);
-        foundDevices.push(device);
-        
-        const name = (device.name || device.localName || '').toLowerCase();
-        console.log(`🛰️ Scanned device: ${device.id} | name: "${name}" | original: "${device.name || device.localName || 'null'}"`);
+  const updateDeviceSettings = async next => {
+    try {
+      await saveDeviceSettings(next);
+      waypointLink.configure(toLinkSettings(next));
+      setDeviceSettings(next);
+    } catch (err) {
+      bleLog.error('❌ Error saving device settings:', err);
+      Alert.alert('Settings Error', err.message);
+    }
+  };
 
-        const advertisedServices = device.serviceUUIDs || [];
-        const hasOurService = advertisedServices.some(uuid => 
-          uuid.toLowerCase() === SERVICE_UUID.toLowerCase()
-        );
+  // Reads back what the device (or the active fleet vehicle) actually stored
+  // and marks every waypoint that differs from the route on screen.
+  const verifyMission = async () => {
+    if (waypoints.length === 0) {
+      Alert.alert('No Waypoints', 'Add waypoints first.');
+      return;
+    }
 
-        const shouldConnect = DEVICE_NAME_PATTERNS.some(pattern => {
-          const matches = name.includes(pattern);
-          console.log(`🔍 Checking pattern "${pattern}" against "${name}": ${matches}`);
-          return matches;
-        }) || hasOurService;
+    try {
+      bleLog.info('🔎 Reading mission back from device...');
+      const stored = await waypointLink.readMission({
+        target: activeVehicle
+          ? {id: activeVehicle.id, name: activeVehicle.name}
+          : null,
+      });
+      const diff = diffMission(waypoints, stored.waypoints, {
+        compareAttributes: stored.format === MISSION_FORMAT.EXTENDED,
+      });
+      setVerification({stored: stored.waypoints, diff});
+      bleLog.info(`🔎 Verify result: ${summarizeDiff(diff)}`);
+      Alert.alert(
+        diff.matches ? 'Mission Verified' : 'Mission Differs',
+        `${deviceLabel(stored.device)} holds ${
+          stored.waypoints.length
+        } waypoints (${stored.format}).\n\n${summarizeDiff(diff)}`,
+      );
+    } catch (err) {
+      bleLog.error('❌ Verify error:', err.message);
+      Alert.alert(LINK_ERROR_TITLES[err.code] || 'Verify Failed', err.message);
+    }
+  };
 
-        console.log(`📡 Device services: [${advertisedServices.join(', ')}]`);
-        console.log(`🎯 Has our service (${SERVICE_UUID}): ${hasOurService}`);
+  // Firmware parameters of the chosen board (null: last used or default
+  // device). Both resolve with the values the board reports, or null after
+  // telling the user why not.
+  const readDeviceConfig = async target => {
+    try {
+      bleLog.info('⚙️ Reading device config...');
+      const {values} = await waypointLink.readConfig({target});
+      return values;
+    } catch (err) {
+      bleLog.error('❌ Config read error:', err.message);
+      Alert.alert(
+        LINK_ERROR_TITLES[err.code] || 'Config Read Failed',
+        err.message,
+      );
+      return null;
+    }
+  };
 
-        if (shouldConnect) {
-          console.log(`✅ Found matching device: ${device.id} (name match: ${name.length > 0}, service match: ${hasOurService})`);
-          stopScanAndCleanup();
-          await tryConnectToDevice(device);
-        }
+  const writeDeviceConfig = async (changes, target) => {
+    try {
+      bleLog.info(`⚙️ Writing device config: ${JSON.stringify(changes)}`);
+      const {device, values} = await waypointLink.writeConfig(changes, {
+        target,
       });
+      Alert.alert(
+        'Config Written',
+        `${deviceLabel(device)} applied ${
+          Object.keys(changes).length
+        } setting(s).`,
+      );
+      return values;
     } catch (err) {
-      console.log('❌ Send coordinates error:', err.message);
-      Alert.alert('BLE Error', err.message);
-      await terminateSendOperation(false, `General error: ${err.message}`);
+      bleLog.error('❌ Config write error:', err.message);
+      Alert.alert(
+        LINK_ERROR_TITLES[err.code] || 'Config Write Failed',
+        err.message,
+      );
+      return null;
     }
   };
 
-  const scanBleDevices = async () => {
+  const pickFirmwareImage = async () => {
     try {
-      if (isScanning) {
-        Alert.alert('Already Scanning', 'Please wait for current scan to complete.');
+      const file = await pickFirmwareFile();
+      if (!file) {
         return;
       }
+      const image = parseFirmwareImage(file.bytes, file.name);
+      bleLog.info(
+        `🧩 Loaded firmware image ${image.name} (${image.project} ${image.version}, ${image.size} bytes)`,
+      );
+      setFirmwareImage(image);
+    } catch (error) {
+      bleLog.error('❌ Error loading firmware image:', error.message);
+      Alert.alert('Invalid Image', error.message);
+    }
+  };
 
-      console.log('🔍 Debug scan - forcing BLE reset for clean state...');
-      await forceResetBleManager();
-      
-      const state = await bleManager.state();
-      if (state !== 'PoweredOn') {
-        Alert.alert('Bluetooth Off', 'Enable Bluetooth first.');
+  const updateFirmware = async (target, allowDowngrade = false) => {
+    try {
+      bleLog.info(`🧩 Starting firmware update to ${firmwareImage.version}...`);
+      const {device, previousVersion, version} =
+        await waypointLink.updateFirmware(firmwareImage, {
+          target,
+          allowDowngrade,
+        });
+      Alert.alert(
+        'Firmware Updated',
+        `${deviceLabel(
+          device,
+        )} now runs firmware ${version} (was ${previousVersion}).`,
+      );
+    } catch (err) {
+      bleLog.error('❌ Firmware update error:', err.message);
+      if (err.code === LINK_ERROR.FIRMWARE_DOWNGRADE) {
+        Alert.alert('Older Firmware', `${err.message}\n\nInstall it anyway?`, [
+          {text: 'Cancel', style: 'cancel'},
+          {
+            text: 'Downgrade',
+            style: 'destructive',
+            onPress: () => updateFirmware(target, true),
+          },
+        ]);
         return;
       }
+      const hint =
+        err.code === LINK_ERROR.UPDATE_FAILED ||
+        err.code === LINK_ERROR.CONNECT_FAILED
+          ? '\n\nThe device keeps its current firmware. Run the update again to resume the upload where it stopped.'
+          : '';
+      Alert.alert(
+        LINK_ERROR_TITLES[err.code] || 'Update Failed',
+        `${err.message}${hint}`,
+      );
+    }
+  };
 
-      console.log('🔍 Starting BLE device scan for debugging...');
-      isScanning = true;
-      const foundDevices = [];
-      let scanTimeout;
-
-      scanTimeout = setTimeout(() => {
-        if (isScanning) {
-          bleManager.stopDeviceScan();
-          isScanning = false;
-        }
-        
-        const deviceList = foundDevices.map((dev, index) => {
-          const services = (dev.serviceUUIDs || []).join(', ');
-          return `${index + 1}. ${dev.name || dev.localName || 'Unnamed'}\n   ID: ${dev.id}\n   Services: ${services || 'None'}`;
-        }).join('\n\n');
-        
-        Alert.alert(
-          'BLE Scan Results', 
-          foundDevices.length > 0 
-            ? `Found ${foundDevices.length} devices:\n\n${deviceList}`
-            : 'No BLE devices found. Check if ESP32 is powered on.'
-        );
-      }, 5000);
-
-      bleManager.startDeviceScan(null, { allowDuplicates: false }, (error, device) => {
-        if (error) {
-          if (scanTimeout) clearTimeout(scanTimeout);
-          isScanning = false;
-          Alert.alert('Scan Error', error.message);
-          return;
-        }
-
-        if (device && !foundDevices.find(d => d.id === device.id)) {
-          foundDevices.push(device);
-          const services = (device.serviceUUIDs || []).join(', ');
-          console.log(`🛰️ Found: ${device.id} - ${device.name || device.localName || 'unnamed'} - Services: [${services}]`);
-        }
+  // Everything needed to debug a field report in one file: phone, link
+  // state and settings, the loaded route and the whole log.
+  const exportDiagnostics = async () => {
+    try {
+      const file = buildDiagnostics({
+        entries: logger.getEntries(),
+        platform: {
+          os: Platform.OS,
+          version: Platform.Version,
+          constants: Platform.constants,
+        },
+        link: {
+          state: waypointLink.getState(),
+          settings: waypointLink.getSettings(),
+          lastDevice: waypointLink.getLastDevice(),
+          deviceSettings,
+        },
+        route: {waypoints, fences, home, fleet, activeVehicleId},
       });
+      appLog.info(`🧾 Exporting diagnostics as ${file.fileName}...`);
+      await shareRouteFile(file);
+    } catch (error) {
+      appLog.error('❌ Error exporting diagnostics:', error);
+      Alert.alert('Export Failed', error.message);
+    }
+  };
+
+  const toggleTelemetry = async () => {
+    try {
+      if (isStreaming) {
+        await waypointLink.stopTelemetry();
+        return;
+      }
+      bleLog.info('📡 Starting telemetry stream...');
+      setTelemetry(null);
+      setTrail([]);
+      await waypointLink.startTelemetry();
     } catch (err) {
-      isScanning = false;
-      Alert.alert('Scan Error', err.message);
+      bleLog.error('❌ Telemetry error:', err.message);
+      Alert.alert(
+        LINK_ERROR_TITLES[err.code] || 'Telemetry Error',
+        err.message,
+      );
     }
   };
 
+  // The format is kept per device with the other device settings, so it
+  // survives restarts.
+  const toggleMissionFormat = () => {
+    const lastDevice = waypointLink.getLastDevice();
+    const targetId = lastDevice ? lastDevice.id : ANY_DEVICE;
+    const {missionFormats} = deviceSettings;
+    const formats = Object.values(MISSION_FORMAT);
+    const next =
+      formats[
+        (formats.indexOf(missionFormatFor(missionFormats, targetId)) + 1) %
+          formats.length
+      ];
+    updateDeviceSettings({
+      ...deviceSettings,
+      missionFormats: {...missionFormats, [targetId]: next},
+    });
+    setFormatDeviceId(targetId);
+    bleLog.info(`🧾 Mission format for ${targetId} set to ${next}`);
+    Alert.alert(
+      'Mission Format',
+      `${
+        lastDevice ? deviceLabel(lastDevice) : 'New devices'
+      } will receive the ${next} mission format.`,
+    );
+  };
+
   const getMarkerColor = (index) => {
+    const status = waypointStatus(index, activeIndex);
+    if (status === WAYPOINT_STATUS.REACHED) {
+      return 'gray';
+    }
+    if (status === WAYPOINT_STATUS.ACTIVE) {
+      return 'orange';
+    }
+    if (offendingIndices.includes(index)) {
+      return 'yellow';
+    } // Breaks a fence
     if (index === 0) return "green"; // Source
     if (index === waypoints.length - 1) return "red"; // Destination
     return "blue"; // Intermediate waypoints
   };
 
   const getMarkerTitle = (index) => {
-    if (index === 0) return "Source";
-    if (index === waypoints.length - 1) return "Destination";
-    return `Waypoint ${index + 1}`;
+    const status = waypointStatus(index, activeIndex);
+    const suffix =
+      status === WAYPOINT_STATUS.PENDING || activeIndex === null
+        ? ''
+        : ` (${status})`;
+    return `${waypointLabel(index, waypoints.length)}${suffix}`;
   };
 
+  const surveyPreview = buildSurveyPreview();
+
   return (
     <View style={styles.container}>
       {loading ? (
@@ -730,51 +1441,424 @@ export default function App() {
             style={styles.map}
             showsUserLocation
             region={location}
+            mapType={
+              offlineTiles && Platform.OS === 'android' ? 'none' : 'standard'
+            }
+            onMapLoaded={() => !offlineTiles && setBasemapLoaded(true)}
             onPress={handleMapPress}>
-            <Marker coordinate={location} title="Current Location" />
-            {waypoints.map((waypoint, index) => (
+            <OfflineTileOverlay
+              packs={tilePacks}
+              offline={offlineTiles}
+              showCoverage={showCoverage}
+            />
+            {phonePosition && phonePosition.accuracy !== null && (
+              <Circle
+                center={{
+                  latitude: phonePosition.latitude,
+                  longitude: phonePosition.longitude,
+                }}
+                radius={phonePosition.accuracy}
+                strokeColor="rgba(25, 118, 210, 0.6)"
+                fillColor="rgba(25, 118, 210, 0.12)"
+              />
+            )}
+            {phonePosition && (
+              <Marker
+                coordinate={{
+                  latitude: phonePosition.latitude,
+                  longitude: phonePosition.longitude,
+                }}
+                title="Current Location"
+                description={`${formatCoordinate(
+                  phonePosition,
+                  preferences.coordinateFormat,
+                )} (${formatAccuracy(phonePosition.accuracy)})`}
+              />
+            )}
+            {home && (
               <Marker
+                coordinate={{
+                  latitude: home.latitude,
+                  longitude: home.longitude,
+                }}
+                title="Home"
+                description={formatCoordinate(
+                  home,
+                  preferences.coordinateFormat,
+                )}
+                pinColor="gold"
+              />
+            )}
+            {waypoints.map((waypoint, index) => (
+              <WaypointMarker
                 key={index}
-                coordinate={waypoint}
+                waypoint={waypoint}
                 title={getMarkerTitle(index)}
-                description={`${waypoint.latitude.toFixed(6)}, ${waypoint.longitude.toFixed(6)}`}
-                pinColor={getMarkerColor(index)}
+                color={getMarkerColor(index)}
+                coordinateFormat={preferences.coordinateFormat}
+                onDragEnd={coord => handleWaypointDragEnd(index, coord)}
+                onEdit={() => setEditingIndex(index)}
               />
             ))}
-            {waypoints.length > 1 && (
+            {routeSegments.completed.length > 1 && (
               <Polyline
-                coordinates={waypoints}
-                strokeColor="#000"
+                coordinates={routeSegments.completed}
+                strokeColor="#9e9e9e"
                 strokeWidth={2}
+                tappable
+                onPress={handleRoutePress}
               />
             )}
-          </MapView>
-          <View style={styles.buttonContainer}>
-            <View style={styles.buttonGroup}>
-              <Button
-                title={isChoosingWaypoint ? 'Tap Map for Waypoint' : 'Add Waypoint'}
-                onPress={() => setIsChoosingWaypoint(true)}
+            {routeSegments.remaining.length > 1 && (
+              <Polyline
+                coordinates={routeSegments.remaining}
+                strokeColor={activeVehicle ? activeVehicle.color : '#000'}
+                strokeWidth={2}
+                tappable
+                onPress={handleRoutePress}
               />
-              <Button
-                title="Remove Last"
-                onPress={removeLastWaypoint}
-                disabled={waypoints.length === 0}
+            )}
+            {otherVehicles.map(vehicle => (
+              <Polyline
+                key={vehicle.id}
+                coordinates={vehicle.waypoints}
+                strokeColor={vehicle.color}
+                strokeWidth={3}
+                lineDashPattern={[8, 4]}
+                tappable
+                onPress={() => selectVehicle(vehicle.id)}
               />
-            </View>
-            <View style={styles.buttonGroup}>
-              <Button
-                title="Clear All"
-                onPress={clearAllWaypoints}
-                disabled={waypoints.length === 0}
+            ))}
+            {survey &&
+              survey.points.map((point, index) => (
+                <Marker
+                  key={`survey-${index}`}
+                  coordinate={point}
+                  pinColor="purple"
+                  title={`Survey corner ${index + 1}`}
+                />
+              ))}
+            {survey && survey.points.length > 2 && (
+              <Polygon
+                coordinates={survey.points}
+                strokeColor="#6a1b9a"
+                fillColor="rgba(106, 27, 154, 0.1)"
+                strokeWidth={2}
+              />
+            )}
+            {surveyPreview.waypoints.length > 1 && (
+              <Polyline
+                coordinates={surveyPreview.waypoints}
+                strokeColor="#6a1b9a"
+                strokeWidth={2}
+                lineDashPattern={[6, 3]}
               />
-              <Button
-                title="Show Route Info"
-                onPress={showWaypoints}
+            )}
+            <FenceOverlay
+              fences={fences}
+              draft={fenceDraft}
+              waypoints={waypoints}
+              offendingSegments={offendingSegments(fenceViolations)}
+              onFencePress={handleFencePress}
+            />
+            {verification && (
+              <MissionDiffOverlay
+                stored={verification.stored}
+                diff={verification.diff}
               />
+            )}
+            <VehicleOverlay telemetry={telemetry} trail={trail} />
+          </MapView>
+          <LinkStatusBar status={linkStatus} />
+          <RouteLibraryModal
+            visible={showLibrary}
+            onClose={() => setShowLibrary(false)}
+            waypoints={waypoints}
+            fences={fences}
+            onLoad={loadSavedRoute}
+          />
+          <FleetModal
+            visible={showFleet}
+            onClose={() => setShowFleet(false)}
+            fleet={fleet}
+            activeVehicleId={activeVehicleId}
+            discovered={discoveredDevices}
+            results={fleetResults}
+            busy={fleetUploading || waypointLink.isBusy()}
+            onScan={scanForFleet}
+            onAdd={device =>
+              setFleet(prev =>
+                addVehicle(prev, {
+                  ...device,
+                  name: friendlyName(deviceSettings, device) || device.name,
+                }),
+              )
+            }
+            onRemove={removeFleetVehicle}
+            onSelect={selectVehicle}
+            onAssignCurrent={assignCurrentRoute}
+            onUploadAll={uploadAllRoutes}
+          />
+          <DevicePickerModal
+            visible={showDevicePicker}
+            onClose={() => setShowDevicePicker(false)}
+            devices={Object.values(liveDevices)}
+            scanning={scanning}
+            onScan={scanBleDevices}
+            settings={deviceSettings}
+            onSaveSettings={updateDeviceSettings}
+          />
+          <WaypointDetailSheet
+            visible={editingIndex !== null}
+            waypoint={editingIndex === null ? null : waypoints[editingIndex]}
+            title={editingIndex === null ? '' : getMarkerTitle(editingIndex)}
+            coordinateFormat={preferences.coordinateFormat}
+            onSave={updated => saveWaypointDetails(editingIndex, updated)}
+            onDelete={() => confirmDeleteWaypoint(editingIndex)}
+            onClose={() => setEditingIndex(null)}
+          />
+          <WaypointListModal
+            visible={showWaypointList}
+            onClose={() => setShowWaypointList(false)}
+            waypoints={waypoints}
+            coordinateFormat={preferences.coordinateFormat}
+            onMove={handleWaypointReorder}
+            onDelete={deleteWaypoint}
+          />
+          <DeviceConfigModal
+            visible={showDeviceConfig}
+            onClose={() => setShowDeviceConfig(false)}
+            targets={fleet.map(vehicle => ({
+              id: vehicle.id,
+              name: vehicle.name,
+            }))}
+            busy={!waypointLink.canSend()}
+            onRead={readDeviceConfig}
+            onWrite={writeDeviceConfig}
+          />
+          <FirmwareUpdateModal
+            visible={showFirmware}
+            onClose={() => setShowFirmware(false)}
+            image={firmwareImage}
+            onPickImage={pickFirmwareImage}
+            onUpdate={updateFirmware}
+            targets={fleet.map(vehicle => ({
+              id: vehicle.id,
+              name: vehicle.name,
+            }))}
+            status={linkStatus}
+            busy={!waypointLink.canSend()}
+          />
+          <LogViewerModal
+            visible={showLog}
+            onClose={() => setShowLog(false)}
+            onExport={exportDiagnostics}
+          />
+          <RouteAnalyticsModal
+            visible={showRouteInfo}
+            onClose={() => setShowRouteInfo(false)}
+            waypoints={waypoints}
+            coordinateFormat={preferences.coordinateFormat}
+          />
+          <TilePackModal
+            visible={showTiles}
+            onClose={() => setShowTiles(false)}
+            packs={tilePacks}
+            directory={TILES_DIRECTORY}
+            mode={preferences.tileMode}
+            onChangeMode={changeTileMode}
+            offline={offlineTiles}
+            basemapFailed={basemapFailed}
+            showCoverage={showCoverage}
+            onToggleCoverage={() => setShowCoverage(prev => !prev)}
+            importing={tileImport}
+            onImport={importTilePack}
+            onRefresh={refreshTilePacks}
+            onShow={showTilePack}
+            onDelete={removeTilePack}
+          />
+          <CoordinateEntryModal
+            visible={showCoordinateEntry}
+            onClose={() => setShowCoordinateEntry(false)}
+            onAdd={addCoordinateWaypoints}
+            format={preferences.coordinateFormat}
+            onChangeFormat={changeCoordinateFormat}
+          />
+          {isStreaming && (
+            <TelemetryPanel
+              telemetry={telemetry}
+              activeIndex={activeIndex}
+              waypointCount={waypoints.length}
+              remainingKm={remainingKm}
+              complete={isMissionComplete(activeIndex, waypoints.length)}
+            />
+          )}
+          {survey ? (
+            <SurveyPanel
+              options={survey.options}
+              onChange={options => setSurvey(prev => ({...prev, options}))}
+              cornerCount={survey.points.length}
+              preview={surveyPreview}
+              onApply={() => applySurvey(surveyPreview.waypoints)}
+              onCancel={() => setSurvey(null)}
+            />
+          ) : (
+            <View style={styles.buttonContainer}>
+              <View style={styles.buttonGroup}>
+                <Button
+                  title={
+                    isChoosingWaypoint ? 'Tap Map for Waypoint' : 'Add Waypoint'
+                  }
+                  onPress={() => setIsChoosingWaypoint(true)}
+                />
+                <Button
+                  title="Remove Last"
+                  onPress={removeLastWaypoint}
+                  disabled={waypoints.length === 0}
+                />
+                <Button
+                  title="Edit List"
+                  onPress={() => setShowWaypointList(true)}
+                  disabled={waypoints.length === 0}
+                />
+              </View>
+              <View style={styles.buttonGroup}>
+                <Button
+                  title="Undo"
+                  onPress={() => stepHistory(undo, 'Undoing last edit')}
+                  disabled={!canUndo(history)}
+                />
+                <Button
+                  title="Redo"
+                  onPress={() => stepHistory(redo, 'Redoing edit')}
+                  disabled={!canRedo(history)}
+                />
+                <Button
+                  title="Enter Coords"
+                  onPress={() => setShowCoordinateEntry(true)}
+                />
+              </View>
+              <View style={styles.buttonGroup}>
+                <Button
+                  title="Clear All"
+                  onPress={clearAllWaypoints}
+                  disabled={waypoints.length === 0}
+                />
+                <Button title="Show Route Info" onPress={showWaypoints} />
+                <Button title="Routes" onPress={() => setShowLibrary(true)} />
+              </View>
+              <View style={styles.buttonGroup}>
+                <Button title="Import File" onPress={importRouteFile} />
+                <Button
+                  title="Export File"
+                  onPress={chooseExportFormat}
+                  disabled={waypoints.length === 0}
+                />
+              </View>
+              <View style={styles.buttonGroup}>
+                {fenceDraft ? (
+                  <>
+                    <Button
+                      title={`Finish Fence (${fenceDraft.points.length})`}
+                      onPress={finishFenceDraft}
+                      disabled={fenceDraft.points.length < MIN_FENCE_POINTS}
+                    />
+                    <Button
+                      title="Cancel Fence"
+                      onPress={() => setFenceDraft(null)}
+                    />
+                  </>
+                ) : (
+                  <>
+                    <Button title="Draw Fence" onPress={startFenceDraft} />
+                    <Button title="Survey" onPress={startSurvey} />
+                  </>
+                )}
+                <Button
+                  title={`Fence Upload: ${uploadFences ? 'On' : 'Off'}`}
+                  onPress={toggleFenceUpload}
+                  disabled={fences.length === 0}
+                />
+              </View>
+              <View style={styles.buttonGroup}>
+                <Button
+                  title="Send Waypoints"
+                  onPress={sendCoordinates}
+                  disabled={!waypointLink.canSend()}
+                />
+                <Button
+                  title={verification ? 'Clear Verify' : 'Verify'}
+                  onPress={
+                    verification ? () => setVerification(null) : verifyMission
+                  }
+                  disabled={!verification && !waypointLink.canSend()}
+                />
+                <Button
+                  title={`Format: ${missionFormat}`}
+                  onPress={toggleMissionFormat}
+                />
+              </View>
+              <View style={styles.buttonGroup}>
+                <Button
+                  title={
+                    phonePosition
+                      ? `Recentre (${formatAccuracy(phonePosition.accuracy)})`
+                      : 'Recentre'
+                  }
+                  onPress={recentreOnPhone}
+                />
+                <Button
+                  title={home ? 'Home: Set' : 'Set Home Here'}
+                  onPress={chooseHomeAction}
+                />
+                <Button
+                  title={
+                    following
+                      ? `Follow Me: ${
+                          waypointLink.canFollow() ? 'On' : 'Paused'
+                        }`
+                      : 'Follow Me: Off'
+                  }
+                  onPress={toggleFollowMe}
+                />
+              </View>
+              <View style={styles.buttonGroup}>
+                <Button title="Devices" onPress={scanBleDevices} />
+                <Button
+                  title={
+                    activeVehicle ? `Fleet: ${activeVehicle.name}` : 'Fleet'
+                  }
+                  onPress={() => setShowFleet(true)}
+                />
+                <Button
+                  title={isStreaming ? 'Stop Telemetry' : 'Live Telemetry'}
+                  onPress={toggleTelemetry}
+                  disabled={!isStreaming && waypointLink.isBusy()}
+                />
+                <Button
+                  title={offlineTiles ? 'Map: Offline' : 'Map Tiles'}
+                  onPress={() => setShowTiles(true)}
+                />
+              </View>
+              <View style={styles.buttonGroup}>
+                <Button
+                  title={`Stay Connected: ${
+                    deviceSettings.stayConnected ? 'On' : 'Off'
+                  }`}
+                  onPress={toggleStayConnected}
+                />
+                <Button
+                  title="Config"
+                  onPress={() => setShowDeviceConfig(true)}
+                />
+                <Button
+                  title="Firmware"
+                  onPress={() => setShowFirmware(true)}
+                />
+                <Button title="Log" onPress={() => setShowLog(true)} />
+              </View>
             </View>
-            <Button title="Send Waypoints" onPress={sendCoordinates} />
-            <Button title="Scan BLE Devices" onPress={scanBleDevices} />
-          </View>
+          )}
         </>
       )}
     </View>
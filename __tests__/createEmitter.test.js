@@ -0,0 +1,33 @@
+import {createEmitter} from '../src/utils/createEmitter';
+
+describe('createEmitter', () => {
+  it('delivers to every listener until it unsubscribes', () => {
+    const emitter = createEmitter();
+    const first = jest.fn();
+    const second = jest.fn();
+    emitter.on('change', first);
+    const unsubscribe = emitter.on('change', second);
+
+    emitter.emit('change', 1);
+    unsubscribe();
+    emitter.emit('change', 2);
+
+    expect(first.mock.calls).toEqual([[1], [2]]);
+    expect(second.mock.calls).toEqual([[1]]);
+  });
+
+  it('logs a failing listener as a warning and carries on', () => {
+    const log = {warn: jest.fn()};
+    const emitter = createEmitter({log});
+    const after = jest.fn();
+    emitter.on('state', () => {
+      throw new Error('boom');
+    });
+    emitter.on('state', after);
+
+    emitter.emit('state', 'idle');
+
+    expect(after).toHaveBeenCalledWith('idle');
+    expect(log.warn).toHaveBeenCalledWith('⚠️ state listener failed:', 'boom');
+  });
+});
@@ -0,0 +1,48 @@
+import {buildFirmwareImage} from '../src/ble/simulatedTransport';
+import {compareVersions, parseFirmwareImage} from '../src/firmware/image';
+import {sha256} from '../src/utils/bits';
+
+describe('compareVersions', () => {
+  it.each([
+    ['1.9.0', '1.10.0'],
+    ['v1.2.0', '1.2.1'],
+    ['1.2', '1.2.0'],
+    ['1.2.0-rc1', '1.2.0'],
+    ['1.2.0-alpha', '1.2.0-beta'],
+    ['1.2.0-rc.2', '1.2.0-rc.10'],
+    ['1.2.0-rc.1', '1.2.0-rc.beta'],
+    ['1.2.0-rc', '1.2.0-rc.1'],
+    ['1.2.0', '1.2.1-rc1'],
+  ])('puts %s before %s', (older, newer) => {
+    expect(compareVersions(older, newer)).toBe(-1);
+    expect(compareVersions(newer, older)).toBe(1);
+  });
+
+  it.each([
+    ['1.2.0', 'v1.2.0'],
+    ['1.2.0-rc1', '1.2.0-rc1'],
+    ['1.2.0+build5', '1.2.0+build7'],
+  ])('treats %s and %s as the same version', (a, b) => {
+    expect(compareVersions(a, b)).toBe(0);
+  });
+});
+
+describe('parseFirmwareImage', () => {
+  it('reads the version and project from the app description', () => {
+    const bytes = buildFirmwareImage({version: '2.1.0-rc1', project: 'rover'});
+    const image = parseFirmwareImage(bytes, 'rover.bin');
+
+    expect(image.version).toBe('2.1.0-rc1');
+    expect(image.project).toBe('rover');
+    expect(image.size).toBe(bytes.length);
+    expect(image.hash.equals(sha256(bytes))).toBe(true);
+  });
+
+  it('rejects a file that is not an ESP32 image', () => {
+    const bytes = buildFirmwareImage({version: '1.0.0'});
+    bytes[0] = 0;
+    expect(() => parseFirmwareImage(bytes, 'notes.bin')).toThrow(
+      'notes.bin is not an ESP32 firmware image',
+    );
+  });
+});
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  detectRouteFileFormat,
+  exportRoute,
+  importRoute,
+  ROUTE_FILE_FORMAT,
+} from '../src/formats';
+
+const fixture = name =>
+  fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const HARBOUR_LOOP = [
+  {latitude: 37.80867, longitude: -122.40982},
+  {latitude: 37.81175, longitude: -122.41376},
+  {latitude: 37.81021, longitude: -122.42314},
+  {latitude: 37.80571, longitude: -122.42103},
+];
+
+const FORMATS = Object.values(ROUTE_FILE_FORMAT);
+
+describe('importRoute', () => {
+  it('reads the route points of a GPX file over its loose waypoints', () => {
+    const route = importRoute('harbour-loop.gpx', fixture('harbour-loop.gpx'));
+
+    expect(route.format).toBe(ROUTE_FILE_FORMAT.GPX);
+    expect(route.name).toBe('Harbour & Bay Loop');
+    expect(route.waypoints).toEqual(HARBOUR_LOOP);
+  });
+
+  it('reads the line of a KML file over its point placemarks', () => {
+    const route = importRoute('harbour-loop.kml', fixture('harbour-loop.kml'));
+
+    expect(route.format).toBe(ROUTE_FILE_FORMAT.KML);
+    expect(route.name).toBe('Harbour Loop');
+    expect(route.waypoints).toEqual(HARBOUR_LOOP);
+  });
+
+  it('reads the line of a GeoJSON file over its point features', () => {
+    const route = importRoute(
+      'harbour-loop.geojson',
+      fixture('harbour-loop.geojson'),
+    );
+
+    expect(route.format).toBe(ROUTE_FILE_FORMAT.GEOJSON);
+    expect(route.name).toBe('Harbour Loop');
+    expect(route.waypoints).toEqual(HARBOUR_LOOP);
+  });
+
+  it('sniffs the format when the picker gives no usable file name', () => {
+    expect(importRoute(null, fixture('harbour-loop.gpx')).format).toBe(
+      ROUTE_FILE_FORMAT.GPX,
+    );
+    expect(importRoute('download', fixture('harbour-loop.kml')).format).toBe(
+      ROUTE_FILE_FORMAT.KML,
+    );
+    expect(
+      importRoute('export.txt', fixture('harbour-loop.geojson')).format,
+    ).toBe(ROUTE_FILE_FORMAT.GEOJSON);
+  });
+
+  it('rejects a GPX file that ends mid-route', () => {
+    expect(() =>
+      importRoute('truncated.gpx', fixture('truncated.gpx')),
+    ).toThrow('Unclosed <rte>');
+  });
+
+  it('rejects a GeoJSON file that is not valid JSON', () => {
+    expect(() =>
+      importRoute('truncated.geojson', fixture('truncated.geojson')),
+    ).toThrow(/^Not a GeoJSON file/);
+  });
+
+  it('rejects a KML file with latitude and longitude swapped', () => {
+    expect(() =>
+      importRoute('swapped-axes.kml', fixture('swapped-axes.kml')),
+    ).toThrow(/latitude/i);
+  });
+
+  it('rejects a file of one format named as another', () => {
+    expect(() =>
+      importRoute('harbour-loop.gpx', fixture('harbour-loop.kml')),
+    ).toThrow('Not a GPX file: missing <gpx> element');
+  });
+
+  it('rejects a file without any waypoints', () => {
+    expect(() =>
+      importRoute('empty.geojson', '{"type": "FeatureCollection"}'),
+    ).toThrow('No waypoints found in GeoJSON file');
+  });
+
+  it('rejects content it does not recognise', () => {
+    expect(() => detectRouteFileFormat('notes', 'lat,lng\n1,2')).toThrow(
+      'Unrecognised route file; expected GPX, KML or GeoJSON',
+    );
+  });
+});
+
+describe('exportRoute', () => {
+  it.each(FORMATS)('round-trips a route through %s', format => {
+    const {content, fileName} = exportRoute(
+      HARBOUR_LOOP,
+      format,
+      'Harbour & Bay <Loop>',
+    );
+    const route = importRoute(fileName, content);
+
+    expect(route.format).toBe(format);
+    expect(route.name).toBe('Harbour & Bay <Loop>');
+    expect(route.waypoints).toEqual(HARBOUR_LOOP);
+  });
+
+  it.each(FORMATS)('round-trips an imported fixture through %s', format => {
+    const imported = importRoute(
+      'harbour-loop.gpx',
+      fixture('harbour-loop.gpx'),
+    );
+    const {content, fileName} = exportRoute(
+      imported.waypoints,
+      format,
+      imported.name,
+    );
+
+    expect(importRoute(fileName, content).waypoints).toEqual(HARBOUR_LOOP);
+  });
+
+  it('names the file after the route with unsafe characters replaced', () => {
+    const {fileName, mimeType} = exportRoute(
+      HARBOUR_LOOP,
+      ROUTE_FILE_FORMAT.KML,
+      'Harbour / Bay: Loop',
+    );
+
+    expect(fileName).toBe('Harbour_Bay_Loop.kml');
+    expect(mimeType).toBe('application/vnd.google-earth.kml+xml');
+  });
+});
@@ -0,0 +1,224 @@
+import {
+  generateSurvey,
+  MAX_SURVEY_WAYPOINTS,
+  SURVEY_PATTERN,
+} from '../src/mission/survey';
+
+// Positions are built and measured in metres east and north of ORIGIN on
+// the same flat approximation the generator uses.
+const ORIGIN = {latitude: 37.8, longitude: -122.4};
+const EARTH_RADIUS = 6371008.8;
+const SCALE = Math.cos((ORIGIN.latitude * Math.PI) / 180);
+const METRES_PER_DEGREE = (EARTH_RADIUS * Math.PI) / 180;
+
+const at = (east, north) => ({
+  latitude: ORIGIN.latitude + north / METRES_PER_DEGREE,
+  longitude: ORIGIN.longitude + east / (METRES_PER_DEGREE * SCALE),
+});
+
+const local = p => ({
+  x: (p.longitude - ORIGIN.longitude) * METRES_PER_DEGREE * SCALE,
+  y: (p.latitude - ORIGIN.latitude) * METRES_PER_DEGREE,
+});
+
+const distance = (a, b) => {
+  const p = local(a);
+  const q = local(b);
+  return Math.hypot(q.x - p.x, q.y - p.y);
+};
+
+// Degrees clockwise from north, 0-360.
+const bearing = (a, b) => {
+  const p = local(a);
+  const q = local(b);
+  const degrees = (Math.atan2(q.x - p.x, q.y - p.y) * 180) / Math.PI;
+  return (degrees + 360) % 360;
+};
+
+const inside = (point, polygon) => {
+  const {x, y} = local(point);
+  let result = false;
+  polygon.map(local).forEach((a, i, ring) => {
+    const b = ring[(i + 1) % ring.length];
+    if (
+      a.y > y !== b.y > y &&
+      x < a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x)
+    ) {
+      result = !result;
+    }
+  });
+  return result;
+};
+
+// Lawnmower paths are pass start, pass end, next pass start, ...
+const passesOf = path =>
+  path
+    .filter((_, i) => i % 2 === 0)
+    .map((start, i) => [start, path[i * 2 + 1]]);
+
+const SQUARE = [at(0, 0), at(200, 0), at(200, 200), at(0, 200)];
+
+// A U opening north: two 60 m arms either side of an 80 m wide notch.
+const U_SHAPE = [
+  at(0, 0),
+  at(200, 0),
+  at(200, 200),
+  at(140, 200),
+  at(140, 80),
+  at(60, 80),
+  at(60, 200),
+  at(0, 200),
+];
+
+describe('generateSurvey lawnmower', () => {
+  it('runs passes along the heading, spacing apart', () => {
+    const path = generateSurvey(SQUARE, {spacing: 20, heading: 0});
+    const passes = passesOf(path);
+
+    expect(passes).toHaveLength(10);
+    passes.forEach(([start, end], i) => {
+      expect(bearing(start, end)).toBeCloseTo(i % 2 === 0 ? 0 : 180, 3);
+      expect(distance(start, end)).toBeCloseTo(200, 1);
+    });
+    for (let i = 1; i < passes.length; i++) {
+      expect(distance(passes[i - 1][1], passes[i][0])).toBeCloseTo(20, 1);
+    }
+  });
+
+  it('keeps the first and last pass half a spacing inside the edges', () => {
+    const passes = passesOf(generateSurvey(SQUARE, {spacing: 20}));
+
+    expect(local(passes[0][0]).x).toBeCloseTo(10, 1);
+    expect(local(passes[passes.length - 1][0]).x).toBeCloseTo(190, 1);
+  });
+
+  it('turns the passes to the requested heading', () => {
+    const path = generateSurvey(SQUARE, {spacing: 20, heading: 45});
+
+    passesOf(path).forEach(([start, end], i) => {
+      expect(bearing(start, end)).toBeCloseTo(i % 2 === 0 ? 45 : 225, 2);
+    });
+  });
+
+  it('extends each pass by the overshoot at both ends', () => {
+    const path = generateSurvey(SQUARE, {spacing: 20, overshoot: 15});
+
+    passesOf(path).forEach(([start, end]) => {
+      expect(distance(start, end)).toBeCloseTo(230, 1);
+    });
+    expect(local(path[0]).y).toBeCloseTo(-15, 1);
+  });
+
+  it('splits passes where they cross a concave notch', () => {
+    const path = generateSurvey(U_SHAPE, {spacing: 20, heading: 90});
+    const passes = passesOf(path);
+
+    passes.forEach(([start, end]) => {
+      const middle = {
+        latitude: (start.latitude + end.latitude) / 2,
+        longitude: (start.longitude + end.longitude) / 2,
+      };
+      expect(inside(middle, U_SHAPE)).toBe(true);
+    });
+    // Four full-width passes below the notch, then two per row beside it.
+    const rows = new Set(passes.map(([start]) => Math.round(local(start).y)));
+    expect(rows.size).toBe(10);
+    expect(passes).toHaveLength(4 + 6 * 2);
+  });
+
+  it('gives the same route whichever way the corners were drawn', () => {
+    const forward = generateSurvey(SQUARE, {spacing: 25, heading: 30});
+    const backward = generateSurvey([...SQUARE].reverse(), {
+      spacing: 25,
+      heading: 30,
+    });
+
+    expect(backward).toHaveLength(forward.length);
+    backward.forEach((point, i) => {
+      expect(distance(point, forward[i])).toBeLessThan(0.01);
+    });
+  });
+});
+
+describe('generateSurvey spiral', () => {
+  it('closes rings spacing apart, working inwards', () => {
+    const path = generateSurvey(SQUARE, {
+      pattern: SURVEY_PATTERN.SPIRAL,
+      spacing: 20,
+    });
+
+    // Insets of 10, 30, 50, 70 and 90 m leave squares 180 m down to 20 m.
+    expect(path).toHaveLength(5 * 5);
+    for (let ring = 0; ring < 5; ring++) {
+      const corners = path.slice(ring * 5, ring * 5 + 5);
+      expect(distance(corners[0], corners[4])).toBeLessThan(0.01);
+      expect(distance(corners[0], corners[1])).toBeCloseTo(180 - ring * 40, 1);
+    }
+  });
+
+  it('covers the convex hull of a concave area', () => {
+    const path = generateSurvey(U_SHAPE, {
+      pattern: SURVEY_PATTERN.SPIRAL,
+      spacing: 20,
+    });
+
+    expect(distance(path[0], path[1])).toBeCloseTo(180, 1);
+    path.forEach(point => expect(inside(point, SQUARE)).toBe(true));
+  });
+});
+
+describe('generateSurvey with unusable areas', () => {
+  it('needs at least three corners', () => {
+    expect(() => generateSurvey([])).toThrow(
+      'Draw at least 3 corners for the survey area',
+    );
+    expect(() => generateSurvey([at(0, 0), at(100, 100)])).toThrow(
+      'Draw at least 3 corners for the survey area',
+    );
+  });
+
+  it.each(Object.values(SURVEY_PATTERN))(
+    'rejects corners on one line for %s',
+    pattern => {
+      const line = [at(0, 0), at(100, 50), at(200, 100)];
+      expect(() => generateSurvey(line, {pattern})).toThrow(
+        'The survey area has no width; spread the corners out',
+      );
+    },
+  );
+
+  it.each(Object.values(SURVEY_PATTERN))(
+    'rejects an area narrower than the spacing for %s',
+    pattern => {
+      const strip = [at(0, 0), at(200, 0), at(200, 8), at(0, 8)];
+      expect(() =>
+        generateSurvey(strip, {pattern, spacing: 20, heading: 90}),
+      ).toThrow('The survey area is narrower than the line spacing');
+    },
+  );
+
+  it('rejects a spacing below the minimum', () => {
+    expect(() => generateSurvey(SQUARE, {spacing: 0})).toThrow(
+      'Line spacing must be at least 1 m',
+    );
+    expect(() => generateSurvey(SQUARE, {spacing: NaN})).toThrow(
+      'Line spacing must be at least 1 m',
+    );
+  });
+
+  it('rejects a heading or overshoot that is not a number', () => {
+    expect(() => generateSurvey(SQUARE, {heading: NaN})).toThrow(
+      'Heading and overshoot must be numbers',
+    );
+    expect(() => generateSurvey(SQUARE, {overshoot: -5})).toThrow(
+      'Heading and overshoot must be numbers',
+    );
+  });
+
+  it('refuses a survey with too many waypoints', () => {
+    const field = [at(0, 0), at(3000, 0), at(3000, 3000), at(0, 3000)];
+    expect(() => generateSurvey(field, {spacing: 1})).toThrow(
+      `Survey needs more than ${MAX_SURVEY_WAYPOINTS} waypoints; increase the spacing`,
+    );
+  });
+});
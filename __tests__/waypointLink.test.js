@@ -0,0 +1,710 @@
+import {Buffer} from 'buffer';
+import {LINK_STATE} from '../src/ble/connectionMachine';
+import {DFU_STATUS} from '../src/ble/dfu';
+import {FRAME_TYPE, frameSeq, frameType} from '../src/ble/framing';
+import {
+  buildFirmwareImage,
+  createSimulatedPeripheral,
+  createSimulatedTransport,
+} from '../src/ble/simulatedTransport';
+import {createWaypointLink, LINK_ERROR} from '../src/ble/waypointLink';
+import {DEFAULT_CONFIG} from '../src/deviceConfig/deviceConfig';
+import {parseFirmwareImage} from '../src/firmware/image';
+import {createFollowMe} from '../src/location/followMe';
+import {
+  ANY_DEVICE,
+  encodeMission,
+  MISSION_FORMAT,
+} from '../src/mission/encoding';
+import {createFence, FENCE_TYPE} from '../src/mission/geofence';
+import {applyProgressEvent, isMissionComplete} from '../src/mission/progress';
+import {
+  encodePosition,
+  encodeWaypointEvent,
+  TELEMETRY_TYPE,
+} from '../src/telemetry/telemetry';
+
+const ROUTE = [
+  {latitude: 37.78825, longitude: -122.4324},
+  {latitude: 37.7749, longitude: -122.4194},
+  {latitude: 37.7694, longitude: -122.4862},
+];
+
+// Short delays so a whole transfer takes milliseconds.
+const createLink = (peripherals, options = {}) =>
+  createWaypointLink({
+    transport: createSimulatedTransport({peripherals}),
+    scanTimeout: 200,
+    retryDelay: 1,
+    settleDelay: 1,
+    ackTimeout: 50,
+    reconnectDelay: 10,
+    ...options,
+  });
+
+const waitForState = (link, state, timeout = 2000) =>
+  new Promise((resolve, reject) => {
+    if (link.getState().state === state) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(() => {
+      unsubscribe();
+      reject(new Error(`Link never reached ${state}`));
+    }, timeout);
+    const unsubscribe = link.on('state', snapshot => {
+      if (snapshot.state === state) {
+        clearTimeout(timer);
+        unsubscribe();
+        resolve();
+      }
+    });
+  });
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const nextTelemetry = (link, timeout = 1000) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      unsubscribe();
+      reject(new Error('No telemetry arrived'));
+    }, timeout);
+    const unsubscribe = link.on('telemetry', sample => {
+      clearTimeout(timer);
+      unsubscribe();
+      resolve(sample);
+    });
+  });
+
+const dataFrames = peripheral =>
+  peripheral.received.filter(frame => frameType(frame) === FRAME_TYPE.DATA);
+
+beforeEach(() => {
+  ['debug', 'info', 'log', 'warn', 'error'].forEach(method =>
+    jest.spyOn(console, method).mockImplementation(() => {}),
+  );
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createWaypointLink over the simulated transport', () => {
+  it('scans, connects and sends a mission the device accepts', async () => {
+    const peripheral = createSimulatedPeripheral({
+      id: 'AA:01',
+      name: 'ESP32-Waypoints',
+    });
+    const link = createLink([peripheral]);
+
+    const result = await link.sendMission(ROUTE);
+
+    expect(result.device.id).toBe('AA:01');
+    expect(result.format).toBe('text');
+    expect(peripheral.missions).toHaveLength(1);
+    expect(peripheral.missions[0].waypoints.map(wp => wp.latitude)).toEqual(
+      ROUTE.map(wp => wp.latitude),
+    );
+    expect(link.getState().state).toBe(LINK_STATE.DONE);
+    expect(link.getLastDevice().id).toBe('AA:01');
+  });
+
+  it('picks the matching device over an unrelated one', async () => {
+    const other = createSimulatedPeripheral({
+      id: 'BB:01',
+      name: 'Headphones',
+      serviceUUIDs: [],
+    });
+    const board = createSimulatedPeripheral({
+      id: 'AA:02',
+      name: 'ESP32-Waypoints',
+    });
+    const link = createLink([other, board]);
+
+    const {device} = await link.sendMission(ROUTE);
+
+    expect(device.id).toBe('AA:02');
+    expect(other.missions).toHaveLength(0);
+  });
+
+  it('retransmits a data frame that was lost on the air', async () => {
+    const peripheral = createSimulatedPeripheral({
+      id: 'AA:03',
+      name: 'ESP32-Waypoints',
+      dropFrames: [2],
+    });
+    const link = createLink([peripheral]);
+
+    await link.sendMission(ROUTE);
+
+    const seqs = dataFrames(peripheral).map(frameSeq);
+    expect(seqs).toEqual([...new Set(seqs)]);
+    expect(seqs).toContain(2);
+    expect(peripheral.missions).toHaveLength(1);
+  });
+
+  it('fails with REJECTED when the device rejects the mission', async () => {
+    const peripheral = createSimulatedPeripheral({
+      id: 'AA:04',
+      name: 'ESP32-Waypoints',
+      rejectMissions: true,
+    });
+    const link = createLink([peripheral]);
+
+    await expect(link.sendMission(ROUTE)).rejects.toMatchObject({
+      code: LINK_ERROR.REJECTED,
+    });
+    expect(peripheral.missions).toHaveLength(0);
+    // A rejection is final, so the END frame is not sent again.
+    const ends = peripheral.received.filter(
+      frame => frameType(frame) === FRAME_TYPE.END,
+    );
+    expect(ends).toHaveLength(1);
+    expect(link.getState().state).toBe(LINK_STATE.FAILED);
+  });
+
+  it('fails with NO_DEVICES when nothing advertises', async () => {
+    const link = createLink([]);
+
+    await expect(link.sendMission(ROUTE)).rejects.toMatchObject({
+      code: LINK_ERROR.NO_DEVICES,
+    });
+  });
+
+  describe('with stay-connected mode', () => {
+    it('reconnects after the device drops the link', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:05',
+        name: 'ESP32-Waypoints',
+      });
+      const link = createLink([peripheral], {stayConnected: true});
+
+      await link.sendMission(ROUTE);
+      expect(link.getState().state).toBe(LINK_STATE.CONNECTED);
+
+      peripheral.dropConnection();
+      await waitForState(link, LINK_STATE.RECONNECTING);
+      await waitForState(link, LINK_STATE.CONNECTED);
+      expect(peripheral.connected).toBe(true);
+
+      link.configure({stayConnected: false});
+      await waitForState(link, LINK_STATE.IDLE);
+    });
+
+    it('sends again on the held connection without scanning', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:06',
+        name: 'ESP32-Waypoints',
+      });
+      const link = createLink([peripheral], {stayConnected: true});
+
+      await link.sendMission(ROUTE);
+      const again = await link.sendMission(ROUTE);
+      expect(again.unchanged).toBe(true);
+
+      await link.sendMission(ROUTE.slice(0, 2));
+      expect(peripheral.missions).toHaveLength(2);
+
+      link.configure({stayConnected: false});
+      await waitForState(link, LINK_STATE.IDLE);
+    });
+
+    it('stays idle when turned off while a reconnect is connecting', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:07',
+        name: 'ESP32-Waypoints',
+      });
+      const link = createLink([peripheral], {stayConnected: true});
+
+      await link.sendMission(ROUTE);
+      peripheral.dropConnection();
+      await waitForState(link, LINK_STATE.CONNECTING);
+      link.configure({stayConnected: false});
+
+      await waitForState(link, LINK_STATE.IDLE);
+      await sleep(100);
+      expect(link.getState().state).toBe(LINK_STATE.IDLE);
+      expect(peripheral.connected).toBe(false);
+    });
+
+    it('stays idle when turned off while waiting to reconnect', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:08',
+        name: 'ESP32-Waypoints',
+      });
+      const link = createLink([peripheral], {
+        stayConnected: true,
+        reconnectDelay: 50,
+      });
+
+      await link.sendMission(ROUTE);
+      peripheral.dropConnection();
+      await waitForState(link, LINK_STATE.RECONNECTING);
+      link.configure({stayConnected: false});
+
+      await waitForState(link, LINK_STATE.IDLE);
+      await sleep(100);
+      expect(link.getState().state).toBe(LINK_STATE.IDLE);
+      expect(peripheral.connected).toBe(false);
+    });
+  });
+
+  describe('fences and the home point', () => {
+    const HOME = {latitude: 37.7793, longitude: -122.4193};
+    const FENCES = [
+      createFence(FENCE_TYPE.KEEP_IN, [
+        {latitude: 37.8, longitude: -122.5},
+        {latitude: 37.8, longitude: -122.4},
+        {latitude: 37.7, longitude: -122.4},
+      ]),
+    ];
+
+    const send = async options => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:09',
+        name: 'ESP32-Waypoints',
+      });
+      const link = createLink([peripheral], options);
+      const result = await link.sendMission(ROUTE, {
+        fences: FENCES,
+        home: HOME,
+      });
+      return {peripheral, result};
+    };
+
+    it('leaves them out for a text-format device', async () => {
+      const {peripheral, result} = await send();
+
+      expect(result.skipped).toEqual(['fences', 'home point']);
+      expect(peripheral.missions).toHaveLength(1);
+      expect(peripheral.fences).toHaveLength(0);
+      expect(peripheral.homes).toHaveLength(0);
+    });
+
+    it('sends them to a device on a binary format', async () => {
+      const {peripheral, result} = await send({
+        missionFormats: {[ANY_DEVICE]: MISSION_FORMAT.BINARY},
+      });
+
+      expect(result.skipped).toEqual([]);
+      expect(peripheral.fences).toHaveLength(1);
+      expect(peripheral.homes).toEqual([HOME]);
+    });
+
+    it('follows the per-device choice over the format', async () => {
+      const optedIn = await send({missionExtras: {'AA:09': true}});
+      expect(optedIn.peripheral.homes).toHaveLength(1);
+
+      const optedOut = await send({
+        missionFormats: {'AA:09': MISSION_FORMAT.BINARY},
+        missionExtras: {'AA:09': false},
+      });
+      expect(optedOut.result.skipped).toEqual(['fences', 'home point']);
+      expect(optedOut.peripheral.homes).toHaveLength(0);
+    });
+  });
+
+  describe('telemetry', () => {
+    const POSITION = {
+      latitude: 37.7749,
+      longitude: -122.4194,
+      heading: 271.5,
+      speed: 3.25,
+      battery: 87,
+      fix: 2,
+    };
+
+    const stream = async (options = {}) => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:17',
+        name: 'ESP32-Waypoints',
+      });
+      const link = createLink([peripheral], options);
+      await link.startTelemetry();
+      return {peripheral, link};
+    };
+
+    it('streams decoded positions until stopped', async () => {
+      const {peripheral, link} = await stream();
+      expect(link.getState().state).toBe(LINK_STATE.STREAMING);
+
+      const sample = nextTelemetry(link);
+      peripheral.sendTelemetry(encodePosition(POSITION));
+      expect(await sample).toMatchObject({
+        type: 'position',
+        latitude: expect.closeTo(POSITION.latitude, 6),
+        longitude: expect.closeTo(POSITION.longitude, 6),
+        heading: 271.5,
+        speed: 3.25,
+        battery: 87,
+        fix: 2,
+      });
+
+      await link.stopTelemetry();
+      expect(link.getState().state).toBe(LINK_STATE.IDLE);
+      expect(peripheral.connected).toBe(false);
+    });
+
+    it('skips a message too short to decode', async () => {
+      const {peripheral, link} = await stream();
+      const samples = [];
+      link.on('telemetry', sample => samples.push(sample));
+
+      peripheral.sendTelemetry(Buffer.from([TELEMETRY_TYPE.POSITION, 1, 2]));
+      peripheral.sendTelemetry(encodePosition(POSITION));
+      await sleep(20);
+
+      expect(samples.map(sample => sample.type)).toEqual(['position']);
+      await link.stopTelemetry();
+    });
+
+    it('reports waypoints reached as mission progress', async () => {
+      const {peripheral, link} = await stream();
+      const events = [];
+      link.on('telemetry', sample => events.push(sample));
+
+      peripheral.sendTelemetry(encodeWaypointEvent(TELEMETRY_TYPE.TARGET, 0));
+      ROUTE.forEach((_, index) => {
+        peripheral.sendTelemetry(
+          encodeWaypointEvent(TELEMETRY_TYPE.REACHED, index),
+        );
+      });
+      await sleep(20);
+
+      expect(events.map(({type, index}) => [type, index])).toEqual([
+        ['target', 0],
+        ['reached', 0],
+        ['reached', 1],
+        ['reached', 2],
+      ]);
+      const progress = events.reduce(
+        (active, event) => applyProgressEvent(active, event, ROUTE.length),
+        null,
+      );
+      expect(isMissionComplete(progress, ROUTE.length)).toBe(true);
+      await link.stopTelemetry();
+    });
+
+    it('resumes the stream after a reconnect in stay-connected mode', async () => {
+      const {peripheral, link} = await stream({stayConnected: true});
+
+      peripheral.dropConnection();
+      await waitForState(link, LINK_STATE.RECONNECTING);
+      await waitForState(link, LINK_STATE.STREAMING);
+
+      const sample = nextTelemetry(link);
+      peripheral.sendTelemetry(encodePosition(POSITION));
+      expect((await sample).battery).toBe(87);
+
+      await link.stopTelemetry();
+      expect(link.getState().state).toBe(LINK_STATE.CONNECTED);
+      link.configure({stayConnected: false});
+      await waitForState(link, LINK_STATE.IDLE);
+    });
+  });
+
+  describe('follow-me', () => {
+    const PHONE = {
+      latitude: 37.7793,
+      longitude: -122.4193,
+      accuracy: 4.5,
+      heading: 90,
+      speed: 1.4,
+    };
+
+    it('streams the phone position on a held connection', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:18',
+        name: 'ESP32-Waypoints',
+      });
+      const link = createLink([peripheral], {stayConnected: true});
+      await link.sendMission(ROUTE);
+      expect(link.canFollow()).toBe(true);
+
+      let step = 0;
+      const followMe = createFollowMe({
+        getPosition: () => ({
+          ...PHONE,
+          latitude: PHONE.latitude + step++ * 0.0001,
+          timestamp: Date.now(),
+        }),
+        send: position => link.sendFollowTarget(position),
+        interval: 20,
+      });
+      followMe.start();
+      while (peripheral.followTargets.length < 3) {
+        await sleep(10);
+      }
+      followMe.stop();
+
+      const targets = peripheral.followTargets;
+      expect(targets.map(target => target.seq)).toEqual(
+        targets.map((_, i) => i + 1),
+      );
+      targets.forEach((target, i) => {
+        expect(target.latitude).toBeCloseTo(PHONE.latitude + i * 0.0001, 6);
+        expect(target.longitude).toBeCloseTo(PHONE.longitude, 6);
+        expect(target).toMatchObject({accuracy: 4.5, heading: 90, speed: 1.4});
+      });
+      // Follow frames are not mission data and leave the mission alone.
+      expect(peripheral.missions).toHaveLength(1);
+
+      link.configure({stayConnected: false});
+      await waitForState(link, LINK_STATE.IDLE);
+    });
+
+    it('sends alongside a telemetry stream', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:19',
+        name: 'ESP32-Waypoints',
+      });
+      const link = createLink([peripheral]);
+      await link.startTelemetry();
+
+      expect(await link.sendFollowTarget(PHONE)).toBe(true);
+      expect(peripheral.followTargets).toHaveLength(1);
+
+      await link.stopTelemetry();
+    });
+
+    it('sends nothing without an open link', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:20',
+        name: 'ESP32-Waypoints',
+      });
+      const link = createLink([peripheral]);
+      await link.sendMission(ROUTE);
+
+      expect(link.canFollow()).toBe(false);
+      expect(await link.sendFollowTarget(PHONE)).toBe(false);
+      expect(peripheral.followTargets).toHaveLength(0);
+    });
+
+    it('skips a stale fix', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:21',
+        name: 'ESP32-Waypoints',
+      });
+      const link = createLink([peripheral], {stayConnected: true});
+      await link.sendMission(ROUTE);
+
+      const followMe = createFollowMe({
+        getPosition: () => ({...PHONE, timestamp: Date.now() - 60000}),
+        send: position => link.sendFollowTarget(position),
+        interval: 20,
+      });
+      followMe.start();
+      await sleep(60);
+      followMe.stop();
+
+      expect(peripheral.followTargets).toHaveLength(0);
+      link.configure({stayConnected: false});
+      await waitForState(link, LINK_STATE.IDLE);
+    });
+  });
+
+  describe('mission read-back', () => {
+    // Enough waypoints that the read-back spans several frames.
+    const LONG_ROUTE = Array.from({length: 40}, (_, i) => ({
+      latitude: 37.7 + i * 0.001,
+      longitude: -122.4 - i * 0.001,
+    }));
+
+    const expectRoute = (waypoints, route) => {
+      expect(waypoints).toHaveLength(route.length);
+      waypoints.forEach((wp, i) => {
+        expect(wp.latitude).toBeCloseTo(route[i].latitude, 6);
+        expect(wp.longitude).toBeCloseTo(route[i].longitude, 6);
+      });
+    };
+
+    it('reads back the mission it just sent', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:13',
+        name: 'ESP32-Waypoints',
+      });
+      const link = createLink([peripheral]);
+
+      await link.sendMission(ROUTE);
+      const mission = await link.readMission();
+
+      expect(mission.device.id).toBe('AA:13');
+      expect(mission.format).toBe(MISSION_FORMAT.TEXT);
+      expectRoute(mission.waypoints, ROUTE);
+    });
+
+    it('reads back a multi-frame binary mission at MTU 185', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:14',
+        name: 'ESP32-Waypoints',
+        mtu: 185,
+      });
+      const link = createLink([peripheral], {
+        missionFormats: {[ANY_DEVICE]: MISSION_FORMAT.BINARY},
+      });
+
+      await link.sendMission(LONG_ROUTE);
+      const mission = await link.readMission();
+
+      expect(mission.format).toBe(MISSION_FORMAT.BINARY);
+      expectRoute(mission.waypoints, LONG_ROUTE);
+    });
+
+    it('reads a mission the device already held', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:15',
+        name: 'ESP32-Waypoints',
+        storedMission: encodeMission(LONG_ROUTE, MISSION_FORMAT.EXTENDED),
+      });
+      const link = createLink([peripheral]);
+
+      const mission = await link.readMission();
+
+      expect(mission.format).toBe(MISSION_FORMAT.EXTENDED);
+      expectRoute(mission.waypoints, LONG_ROUTE);
+      expect(peripheral.missions).toHaveLength(0);
+    });
+
+    it('fails when the device holds no mission', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:16',
+        name: 'ESP32-Waypoints',
+      });
+      const link = createLink([peripheral]);
+
+      await expect(link.readMission()).rejects.toMatchObject({
+        code: LINK_ERROR.REJECTED,
+      });
+    });
+  });
+
+  describe('device config', () => {
+    it('writes settings and reads them back', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:11',
+        name: 'ESP32-Waypoints',
+      });
+      const link = createLink([peripheral]);
+      const changes = {cruiseSpeed: 7.5, failsafeAction: 'land'};
+
+      const written = await link.writeConfig(changes);
+      expect(written.values).toEqual({...DEFAULT_CONFIG, ...changes});
+      expect(peripheral.config).toEqual({...DEFAULT_CONFIG, ...changes});
+
+      const {device, values} = await link.readConfig();
+      expect(device.id).toBe('AA:11');
+      expect(values).toEqual({...DEFAULT_CONFIG, ...changes});
+    });
+
+    it('fails a write the device did not apply', async () => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:12',
+        name: 'ESP32-Waypoints',
+        ignoreConfig: ['loraTxPower'],
+      });
+      const link = createLink([peripheral]);
+
+      await expect(
+        link.writeConfig({arrivalRadius: 10, loraTxPower: 20}),
+      ).rejects.toThrow('Device did not apply loraTxPower');
+      expect(peripheral.config.arrivalRadius).toBe(10);
+      expect(peripheral.config.loraTxPower).toBe(DEFAULT_CONFIG.loraTxPower);
+      expect(link.getState().state).toBe(LINK_STATE.FAILED);
+    });
+  });
+
+  describe('firmware updates', () => {
+    const image = (version = '1.1.0') =>
+      parseFirmwareImage(buildFirmwareImage({version}), 'update.bin');
+
+    const update = (options, linkOptions = {}) => {
+      const peripheral = createSimulatedPeripheral({
+        id: 'AA:10',
+        name: 'ESP32-Waypoints',
+        mtu: 185,
+        ...options,
+      });
+      const link = createLink([peripheral], {rebootDelay: 10, ...linkOptions});
+      const states = [];
+      link.on('state', snapshot => states.push(snapshot.state));
+      return {peripheral, link, states};
+    };
+
+    const connects = states =>
+      states.filter(state => state === LINK_STATE.CONNECTING).length;
+
+    it('installs a newer image at MTU 185', async () => {
+      const {peripheral, link, states} = update();
+
+      const result = await link.updateFirmware(image());
+
+      expect(result).toMatchObject({
+        previousVersion: '1.0.0',
+        version: '1.1.0',
+      });
+      expect(peripheral.firmwareVersion).toBe('1.1.0');
+      expect(connects(states)).toBe(2);
+      expect(link.getState().state).toBe(LINK_STATE.IDLE);
+    });
+
+    it('stops before the upload at MTU 23 without reconnecting', async () => {
+      const {peripheral, link, states} = update({mtu: 23});
+
+      await expect(link.updateFirmware(image())).rejects.toMatchObject({
+        code: LINK_ERROR.UPDATE_UNSUPPORTED,
+        message: expect.stringContaining('need a BLE MTU of at least 46'),
+      });
+      expect(connects(states)).toBe(1);
+      expect(peripheral.firmwareVersion).toBe('1.0.0');
+      expect(peripheral.connected).toBe(false);
+    });
+
+    it('resumes the upload after the link drops', async () => {
+      const {peripheral, link, states} = update({dropUploadAt: 2048});
+
+      await link.updateFirmware(image());
+
+      // Connect, reconnect after the drop, reconnect after the restart.
+      expect(connects(states)).toBe(3);
+      expect(peripheral.firmwareVersion).toBe('1.1.0');
+    });
+
+    it('fails with UPDATE_REJECTED when the device rejects the image', async () => {
+      const {peripheral, link} = update({
+        rejectImage: DFU_STATUS.INVALID_IMAGE,
+      });
+
+      await expect(link.updateFirmware(image())).rejects.toMatchObject({
+        code: LINK_ERROR.UPDATE_REJECTED,
+        message: expect.stringContaining('keeps running firmware 1.0.0'),
+      });
+      expect(peripheral.firmwareVersion).toBe('1.0.0');
+    });
+
+    it('fails with ROLLED_BACK when the new image does not boot', async () => {
+      const {link} = update({rollbackImage: true});
+
+      await expect(link.updateFirmware(image())).rejects.toMatchObject({
+        code: LINK_ERROR.ROLLED_BACK,
+      });
+    });
+
+    it('does not send the version the device already runs', async () => {
+      const {link} = update();
+
+      await expect(link.updateFirmware(image('1.0.0'))).rejects.toMatchObject({
+        code: LINK_ERROR.FIRMWARE_CURRENT,
+      });
+    });
+
+    it('sends an older version only when allowed', async () => {
+      const {peripheral, link} = update({firmwareVersion: '1.2.0'});
+
+      await expect(link.updateFirmware(image())).rejects.toMatchObject({
+        code: LINK_ERROR.FIRMWARE_DOWNGRADE,
+      });
+      await link.updateFirmware(image(), {allowDowngrade: true});
+      expect(peripheral.firmwareVersion).toBe('1.1.0');
+    });
+  });
+});
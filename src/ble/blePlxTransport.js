@@ -0,0 +1,142 @@
+import {BleManager} from 'react-native-ble-plx';
+import {Buffer} from 'buffer';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+
+const log = logger.scope(LOG_CATEGORY.BLE);
+
+// Transport backed by react-native-ble-plx. A transport exposes:
+//   state()                       -> Promise<'PoweredOn' | ...>
+//   startScan(listener(err, adv), {allowDuplicates}) / stopScan()
+//   connect(deviceId, options)    -> Promise<connection>
+//   reset()                       -> Promise, recreates the native stack
+// and a connection exposes:
+//   id, name, mtu
+//   discover(), negotiateMtu(requested), characteristics(), disconnect()
+//   write(serviceUUID, characteristicUUID, bytes, {withResponse})
+//   read(serviceUUID, characteristicUUID) -> Promise<bytes>
+//   monitor(serviceUUID, characteristicUUID, listener(err, bytes)) -> {remove}
+//   onDisconnected(listener(err))  -> {remove}, fires however the link ends
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const toAdvertisement = device => ({
+  id: device.id,
+  name: device.name || device.localName || null,
+  serviceUUIDs: device.serviceUUIDs || [],
+  rssi: device.rssi,
+});
+
+const wrapDevice = device => ({
+  id: device.id,
+  name: device.name || device.localName || null,
+  mtu: device.mtu,
+
+  discover: () => device.discoverAllServicesAndCharacteristics(),
+
+  // Android negotiates on request; iOS negotiates on its own and just
+  // reports what it settled on.
+  negotiateMtu: async requested => {
+    try {
+      const updated = await device.requestMTU(requested);
+      return updated.mtu;
+    } catch (err) {
+      log.warn('⚠️ MTU request failed:', err.message);
+      return device.mtu;
+    }
+  },
+
+  characteristics: async () => {
+    const result = [];
+    const services = await device.services();
+    for (const service of services) {
+      const chars = await service.characteristics();
+      chars.forEach(char =>
+        result.push({
+          serviceUUID: service.uuid,
+          uuid: char.uuid,
+          isWritableWithResponse: char.isWritableWithResponse,
+          isWritableWithoutResponse: char.isWritableWithoutResponse,
+          isNotifiable: char.isNotifiable || char.isIndicatable,
+          isReadable: char.isReadable,
+        }),
+      );
+    }
+    return result;
+  },
+
+  write: (serviceUUID, characteristicUUID, bytes, {withResponse} = {}) => {
+    const value = Buffer.from(bytes).toString('base64');
+    return withResponse
+      ? device.writeCharacteristicWithResponseForService(
+          serviceUUID,
+          characteristicUUID,
+          value,
+        )
+      : device.writeCharacteristicWithoutResponseForService(
+          serviceUUID,
+          characteristicUUID,
+          value,
+        );
+  },
+
+  read: async (serviceUUID, characteristicUUID) => {
+    const characteristic = await device.readCharacteristicForService(
+      serviceUUID,
+      characteristicUUID,
+    );
+    return Buffer.from(characteristic.value || '', 'base64');
+  },
+
+  monitor: (serviceUUID, characteristicUUID, listener) =>
+    device.monitorCharacteristicForService(
+      serviceUUID,
+      characteristicUUID,
+      (error, characteristic) => {
+        if (error) {
+          listener(error);
+        } else if (characteristic && characteristic.value) {
+          listener(null, Buffer.from(characteristic.value, 'base64'));
+        }
+      },
+    ),
+
+  onDisconnected: listener => device.onDisconnected(error => listener(error)),
+
+  disconnect: () => device.cancelConnection(),
+});
+
+export const createBlePlxTransport = () => {
+  let manager = new BleManager();
+
+  return {
+    state: () => manager.state(),
+
+    // allowDuplicates keeps reporting a device so its RSSI stays current.
+    startScan: (listener, {allowDuplicates = false} = {}) =>
+      manager.startDeviceScan(null, {allowDuplicates}, (error, device) =>
+        listener(error, device ? toAdvertisement(device) : null),
+      ),
+
+    stopScan: () => manager.stopDeviceScan(),
+
+    connect: async (deviceId, options) =>
+      wrapDevice(await manager.connectToDevice(deviceId, options)),
+
+    // Destroying and recreating the manager is the closest we get to
+    // toggling Bluetooth off and on from inside the app.
+    reset: async () => {
+      try {
+        log.info('💥 Destroying BLE manager...');
+        await manager.destroy();
+        await delay(1000);
+        log.info('🆕 Creating fresh BLE manager...');
+        manager = new BleManager();
+        await delay(500);
+      } catch (err) {
+        log.warn('⚠️ BLE reset failed:', err.message);
+        manager = new BleManager();
+        await delay(500);
+      }
+    },
+  };
+};
@@ -0,0 +1,21 @@
+export const DEVICE_NAME_PATTERNS = ['lorav32', 'lora-v32', 'lora_v32'];
+export const BLE_SCAN_TIMEOUT = 8000;
+export const BLE_CONNECT_TIMEOUT = 10000;
+export const BLE_RETRY_DELAY = 2000;
+export const MAX_RETRIES = 3;
+export const CHUNK_SIZE = 20;
+export const CHUNK_DELAY = 50;
+export const REQUESTED_MTU = 128;
+export const DEBUG_SCAN_DURATION = 5000;
+export const RECONNECT_DELAY = 1000;
+export const MAX_RECONNECT_DELAY = 30000;
+
+// ESP32 BLE Service and Characteristic UUIDs. These and the name patterns
+// are defaults; the device picker can override them at runtime.
+export const SERVICE_UUID = '12345678-1234-1234-1234-1234567890ab';
+export const CHARACTERISTIC_UUID = 'abcd1234-abcd-1234-abcd-1234567890ab';
+export const TELEMETRY_CHARACTERISTIC_UUID =
+  'abcd1235-abcd-1234-abcd-1234567890ab';
+export const CONFIG_CHARACTERISTIC_UUID =
+  'abcd1236-abcd-1234-abcd-1234567890ab';
+export const DFU_CHARACTERISTIC_UUID = 'abcd1237-abcd-1234-abcd-1234567890ab';
@@ -0,0 +1,182 @@
+import {createEmitter} from '../utils/createEmitter';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+
+const log = logger.scope(LOG_CATEGORY.BLE);
+
+export const LINK_STATE = {
+  IDLE: 'idle',
+  RESETTING: 'resetting',
+  SCANNING: 'scanning',
+  CONNECTING: 'connecting',
+  DISCOVERING: 'discovering',
+  TRANSFERRING: 'transferring',
+  VERIFYING: 'verifying',
+  READING: 'reading',
+  CONFIGURING: 'configuring',
+  UPDATING: 'updating',
+  REBOOTING: 'rebooting',
+  STREAMING: 'streaming',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+const {
+  IDLE,
+  RESETTING,
+  SCANNING,
+  CONNECTING,
+  DISCOVERING,
+  TRANSFERRING,
+  VERIFYING,
+  READING,
+  CONFIGURING,
+  UPDATING,
+  REBOOTING,
+  STREAMING,
+  CONNECTED,
+  RECONNECTING,
+  DONE,
+  FAILED,
+} = LINK_STATE;
+
+// Going back to SCANNING or CONNECTING from the later states covers a cached
+// device that stopped answering; CONNECTING -> CONNECTING is a retry and
+// VERIFYING -> TRANSFERRING starts a follow-up payload such as fences. A
+// mission read-back or a config exchange (CONFIGURING) ends in IDLE as there
+// is no mission for the device to accept.
+//
+// A firmware update stays in UPDATING from the version check to the
+// device's verdict on the image, going back to CONNECTING to resume after
+// a lost link, then waits in REBOOTING while the board restarts and is
+// reconnected to confirm the version it came back with.
+//
+// In stay-connected mode operations end in CONNECTED (or back in STREAMING)
+// with the link still up, start from there without reconnecting, and a lost
+// link waits in RECONNECTING between attempts. A reconnect abandoned while
+// CONNECTING or DISCOVERING, because the mode was turned off, goes straight
+// back to IDLE.
+const TRANSITIONS = {
+  [IDLE]: [RESETTING, SCANNING, CONNECTING],
+  [DONE]: [IDLE, RESETTING, SCANNING, CONNECTING],
+  [FAILED]: [IDLE, RESETTING, SCANNING, CONNECTING],
+  [CONNECTED]: [
+    IDLE,
+    RESETTING,
+    SCANNING,
+    CONNECTING,
+    TRANSFERRING,
+    READING,
+    CONFIGURING,
+    UPDATING,
+    STREAMING,
+    RECONNECTING,
+  ],
+  [RECONNECTING]: [IDLE, RESETTING, SCANNING, CONNECTING],
+  [RESETTING]: [IDLE, SCANNING, CONNECTING, FAILED],
+  [SCANNING]: [IDLE, CONNECTED, CONNECTING, FAILED],
+  [CONNECTING]: [IDLE, CONNECTING, DISCOVERING, SCANNING, RECONNECTING, FAILED],
+  [DISCOVERING]: [
+    IDLE,
+    CONNECTING,
+    TRANSFERRING,
+    READING,
+    CONFIGURING,
+    UPDATING,
+    STREAMING,
+    CONNECTED,
+    SCANNING,
+    RECONNECTING,
+    FAILED,
+  ],
+  [TRANSFERRING]: [VERIFYING, SCANNING, CONNECTING, FAILED],
+  [VERIFYING]: [
+    DONE,
+    CONNECTED,
+    STREAMING,
+    TRANSFERRING,
+    SCANNING,
+    CONNECTING,
+    FAILED,
+  ],
+  [READING]: [IDLE, CONNECTED, STREAMING, FAILED],
+  [CONFIGURING]: [IDLE, CONNECTED, STREAMING, FAILED],
+  [UPDATING]: [UPDATING, REBOOTING, CONNECTING, IDLE, CONNECTED, FAILED],
+  [REBOOTING]: [CONNECTING, FAILED],
+  [STREAMING]: [
+    IDLE,
+    CONNECTED,
+    TRANSFERRING,
+    READING,
+    CONFIGURING,
+    RECONNECTING,
+    FAILED,
+  ],
+};
+
+const RESTING_STATES = [IDLE, DONE, FAILED, CONNECTED, RECONNECTING];
+
+const progressFor = (state, previous) => {
+  if (state === TRANSFERRING || state === READING) {
+    return {sent: 0, total: 0};
+  }
+  if (state === UPDATING) {
+    return previous || {sent: 0, total: 0};
+  }
+  return state === VERIFYING || state === DONE ? previous : null;
+};
+
+export const isActiveState = state => !RESTING_STATES.includes(state);
+
+export const canTransition = (from, to) =>
+  (TRANSITIONS[from] || []).includes(to);
+
+// Single source of truth for where a link operation is. Every change goes
+// through `transition`, which throws on moves the table does not allow, and
+// is broadcast as a snapshot on 'change'.
+export const createConnectionMachine = () => {
+  const emitter = createEmitter({log});
+  let snapshot = {
+    state: IDLE,
+    device: null,
+    message: null,
+    progress: null,
+    error: null,
+  };
+
+  const publish = next => {
+    snapshot = next;
+    emitter.emit('change', snapshot);
+  };
+
+  return {
+    on: emitter.on,
+
+    getSnapshot: () => snapshot,
+
+    isActive: () => isActiveState(snapshot.state),
+
+    transition(to, {device, message = null, error = null} = {}) {
+      if (!canTransition(snapshot.state, to)) {
+        throw new Error(`Illegal link transition: ${snapshot.state} -> ${to}`);
+      }
+      publish({
+        state: to,
+        device: device !== undefined ? device : snapshot.device,
+        message,
+        progress: progressFor(to, snapshot.progress),
+        error,
+      });
+    },
+
+    setProgress(sent, total) {
+      if (
+        ![TRANSFERRING, VERIFYING, READING, UPDATING].includes(snapshot.state)
+      ) {
+        return;
+      }
+      publish({...snapshot, progress: {sent, total}});
+    },
+  };
+};
@@ -0,0 +1,213 @@
+import {Buffer} from 'buffer';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+import {hasFlag, withFlag, withoutFlag} from '../utils/bits';
+
+const log = logger.scope(LOG_CATEGORY.BLE);
+
+// Firmware update protocol on the DFU characteristic. Requests start with
+// an opcode; multi-byte fields are little-endian.
+//   INFO    0x01
+//   BEGIN   0x02 [size:u32][sha256:32][versionLength:u8][version]
+//   DATA    0x03 [offset:u32][bytes]
+//   VERIFY  0x04
+//   APPLY   0x05
+// The device answers every request with a notification
+// [opcode | 0x80][status:u8][body]:
+//   INFO    [versionLength:u8][version]   the running firmware
+//   BEGIN   [offset:u32]   bytes of this same image already received, so an
+//                          interrupted upload resumes instead of restarting
+//   DATA    [offset:u32]   next offset expected; with BAD_OFFSET the
+//                          upload rewinds to it
+//   VERIFY / APPLY  no body. After APPLY the device reboots into the new
+//                   image, and rolls back to the old one if that fails its
+//                   boot checks.
+
+export const DFU_OP = {
+  INFO: 0x01,
+  BEGIN: 0x02,
+  DATA: 0x03,
+  VERIFY: 0x04,
+  APPLY: 0x05,
+};
+
+export const DFU_STATUS = {
+  OK: 0x00,
+  BAD_STATE: 0x01,
+  TOO_LARGE: 0x02,
+  HASH_MISMATCH: 0x03,
+  INVALID_IMAGE: 0x04,
+  DOWNGRADE_REFUSED: 0x05,
+  FLASH_ERROR: 0x06,
+  BAD_OFFSET: 0x07,
+};
+
+const STATUS_MESSAGES = {
+  [DFU_STATUS.BAD_STATE]: 'Update not started',
+  [DFU_STATUS.TOO_LARGE]: 'Image too large for the update partition',
+  [DFU_STATUS.HASH_MISMATCH]: 'Image hash mismatch',
+  [DFU_STATUS.INVALID_IMAGE]: 'Image failed validation',
+  [DFU_STATUS.DOWNGRADE_REFUSED]: 'Device refuses to downgrade',
+  [DFU_STATUS.FLASH_ERROR]: 'Flash write error',
+  [DFU_STATUS.BAD_OFFSET]: 'Unexpected offset',
+};
+
+export const describeDfuStatus = status =>
+  STATUS_MESSAGES[status] || `Unknown status (${status})`;
+
+export const DFU_TIMEOUT = 2000;
+// BEGIN erases the update partition and VERIFY hashes it, both slow.
+export const FLASH_TIMEOUT = 15000;
+export const REBOOT_DELAY = 3000;
+export const DATA_HEADER_SIZE = 5;
+const RESPONSE_FLAG = 0x80;
+
+const encodeVersion = version => {
+  const text = Buffer.from(String(version), 'utf8');
+  return Buffer.concat([Buffer.from([text.length]), text]);
+};
+
+const decodeVersion = (buffer, offset) =>
+  buffer
+    .slice(offset + 1, offset + 1 + buffer.readUInt8(offset))
+    .toString('utf8');
+
+export const buildDfuRequest = op => Buffer.from([op]);
+
+export const buildBeginRequest = ({size, hash, version}) => {
+  const header = Buffer.alloc(5);
+  header.writeUInt8(DFU_OP.BEGIN, 0);
+  header.writeUInt32LE(size, 1);
+  return Buffer.concat([header, Buffer.from(hash), encodeVersion(version)]);
+};
+
+export const buildDataRequest = (offset, bytes) => {
+  const header = Buffer.alloc(DATA_HEADER_SIZE);
+  header.writeUInt8(DFU_OP.DATA, 0);
+  header.writeUInt32LE(offset, 1);
+  return Buffer.concat([header, Buffer.from(bytes)]);
+};
+
+export const buildDfuResponse = (op, status, body = Buffer.alloc(0)) =>
+  Buffer.concat([Buffer.from([withFlag(op, RESPONSE_FLAG), status]), body]);
+
+export const buildInfoResponse = version =>
+  buildDfuResponse(DFU_OP.INFO, DFU_STATUS.OK, encodeVersion(version));
+
+export const buildOffsetResponse = (op, status, offset) => {
+  const body = Buffer.alloc(4);
+  body.writeUInt32LE(offset, 0);
+  return buildDfuResponse(op, status, body);
+};
+
+// Shaped for createResponseQueue.
+export const parseDfuResponse = bytes => {
+  const buffer = Buffer.from(bytes);
+  if (buffer.length < 2 || !hasFlag(buffer[0], RESPONSE_FLAG)) {
+    return {type: 'unknown', raw: buffer};
+  }
+  const op = withoutFlag(buffer[0], RESPONSE_FLAG);
+  const response = {type: 'dfu', op, status: buffer[1]};
+  if (op === DFU_OP.INFO && buffer.length >= 3) {
+    return {...response, version: decodeVersion(buffer, 2)};
+  }
+  if ((op === DFU_OP.BEGIN || op === DFU_OP.DATA) && buffer.length >= 6) {
+    return {...response, offset: buffer.readUInt32LE(2)};
+  }
+  return response;
+};
+
+// A status the device answered with, as opposed to a lost link. Only the
+// latter is worth reconnecting and resuming for.
+export const dfuError = (status, message) => {
+  const error = new Error(message);
+  error.dfuStatus = status;
+  return error;
+};
+
+// Request/response exchanges of one DFU session over a connection:
+// `write(bytes)` sends a request, `responses` is a createResponseQueue
+// built with parseDfuResponse.
+export const createDfuSession = ({write, responses, timeout = DFU_TIMEOUT}) => {
+  const request = async (op, bytes, timeoutMs = timeout) => {
+    await write(bytes);
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const remaining = deadline - Date.now();
+      const reply = remaining > 0 ? await responses.next(remaining) : null;
+      if (!reply) {
+        throw new Error('Device did not answer the firmware update request');
+      }
+      if (reply.type === 'dfu' && reply.op === op) {
+        return reply;
+      }
+      log.debug('⚠️ Ignoring stale DFU response:', reply);
+    }
+  };
+
+  const requireOk = (reply, what) => {
+    if (reply.status !== DFU_STATUS.OK) {
+      throw dfuError(
+        reply.status,
+        `${what}: ${describeDfuStatus(reply.status)}`,
+      );
+    }
+    return reply;
+  };
+
+  return {
+    info: async () =>
+      requireOk(
+        await request(DFU_OP.INFO, buildDfuRequest(DFU_OP.INFO)),
+        'Firmware version check failed',
+      ).version,
+
+    // Resolves with the offset to continue from.
+    begin: async image =>
+      requireOk(
+        await request(DFU_OP.BEGIN, buildBeginRequest(image), FLASH_TIMEOUT),
+        'Device refused the update',
+      ).offset,
+
+    // Sends the image from `offset` in chunks of `chunkSize`, each
+    // acknowledged with the next offset the device expects.
+    upload: async ({image, offset, chunkSize, onProgress}) => {
+      let position = offset;
+      while (position < image.size) {
+        const chunk = image.bytes.slice(position, position + chunkSize);
+        const reply = await request(
+          DFU_OP.DATA,
+          buildDataRequest(position, chunk),
+        );
+        if (
+          reply.status === DFU_STATUS.BAD_OFFSET &&
+          reply.offset !== position
+        ) {
+          log.info(`🔁 Device expects offset ${reply.offset}, rewinding`);
+          position = reply.offset;
+        } else {
+          requireOk(reply, 'Firmware upload failed');
+          position = reply.offset;
+        }
+        if (onProgress) {
+          onProgress(position, image.size);
+        }
+      }
+    },
+
+    verify: async () =>
+      requireOk(
+        await request(
+          DFU_OP.VERIFY,
+          buildDfuRequest(DFU_OP.VERIFY),
+          FLASH_TIMEOUT,
+        ),
+        'Device rejected the image',
+      ),
+
+    apply: async () =>
+      requireOk(
+        await request(DFU_OP.APPLY, buildDfuRequest(DFU_OP.APPLY)),
+        'Device could not switch to the new image',
+      ),
+  };
+};
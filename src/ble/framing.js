@@ -0,0 +1,214 @@
+import {Buffer} from 'buffer';
+import {COORDINATE_SCALE} from '../mission/encoding';
+import {crc32} from '../utils/bits';
+
+// Wire format shared with the ESP32 firmware. Every frame starts with
+// [type:u8][seq:u16le]; multi-byte fields are little-endian.
+//   START  seq=0      [totalLength:u32][frameCount:u16][crc32:u32]
+//   DATA   seq=1..n   [payload bytes]
+//   END    seq=n+1    [crc32:u32]
+// The device answers on the same characteristic via notifications:
+//   ACK      [0x06][seq:u16]
+//   NACK     [0x15][seq:u16][reason:u8]
+//   ACCEPTED [0x41][crc32:u32]   (after END, mission stored)
+//   REJECTED [0x52][reason:u8]   (after END, mission discarded)
+// Read-back runs the other way: the phone writes READ [0x04][seq:0] and the
+// device notifies its stored mission as START, DATA... and END frames in the
+// layout above, unacknowledged, or REJECTED when it holds no mission.
+// Follow-me positions are single unacknowledged frames:
+//   FOLLOW [0x05][seq:u16][lat:i32][lng:i32][accuracy:u16 dm]
+//          [heading:u16 centidegrees][speed:u16 cm/s]
+// seq counts up and wraps so the device can drop stale positions; 0xFFFF
+// marks a field the phone does not know.
+
+export const FRAME_TYPE = {
+  START: 0x01,
+  DATA: 0x02,
+  END: 0x03,
+  READ: 0x04,
+  FOLLOW: 0x05,
+};
+
+export const RESPONSE_TYPE = {
+  ACK: 0x06,
+  NACK: 0x15,
+  ACCEPTED: 0x41,
+  REJECTED: 0x52,
+};
+
+export const FRAME_HEADER_SIZE = 3;
+const START_BODY_SIZE = 10;
+const END_BODY_SIZE = 4;
+const FOLLOW_BODY_SIZE = 14;
+const UNKNOWN_FIELD = 0xffff;
+export const MIN_FRAME_SIZE = FRAME_HEADER_SIZE + START_BODY_SIZE;
+const MAX_SEQ = 0xffff;
+
+const REASONS = {
+  0x01: 'CRC mismatch',
+  0x02: 'Out of sequence',
+  0x03: 'Length mismatch',
+  0x04: 'Buffer overflow',
+  0x05: 'Mission parse error',
+  0x06: 'No mission stored',
+};
+
+export const describeReason = reason =>
+  REASONS[reason] || `Unknown reason (${reason})`;
+
+const createFrame = (type, seq, bodySize) => {
+  const frame = Buffer.alloc(FRAME_HEADER_SIZE + bodySize);
+  frame.writeUInt8(type, 0);
+  frame.writeUInt16LE(seq, 1);
+  return frame;
+};
+
+export const frameSeq = frame => frame.readUInt16LE(1);
+
+export const frameType = frame => frame[0];
+
+export const buildFrames = (payload, frameSize) => {
+  if (frameSize < MIN_FRAME_SIZE) {
+    throw new Error(
+      `Frame size ${frameSize} is below the minimum of ${MIN_FRAME_SIZE}`,
+    );
+  }
+
+  const dataSize = frameSize - FRAME_HEADER_SIZE;
+  const frameCount = Math.ceil(payload.length / dataSize);
+  if (frameCount + 1 > MAX_SEQ) {
+    throw new Error('Payload too large for a framed transfer');
+  }
+
+  const checksum = crc32(payload);
+  const frames = [];
+
+  const start = createFrame(FRAME_TYPE.START, 0, START_BODY_SIZE);
+  start.writeUInt32LE(payload.length, 3);
+  start.writeUInt16LE(frameCount, 7);
+  start.writeUInt32LE(checksum, 9);
+  frames.push(start);
+
+  for (let i = 0; i < frameCount; i++) {
+    const slice = payload.slice(i * dataSize, (i + 1) * dataSize);
+    const frame = createFrame(FRAME_TYPE.DATA, i + 1, slice.length);
+    Buffer.from(slice).copy(frame, FRAME_HEADER_SIZE);
+    frames.push(frame);
+  }
+
+  const end = createFrame(FRAME_TYPE.END, frameCount + 1, END_BODY_SIZE);
+  end.writeUInt32LE(checksum, 3);
+  frames.push(end);
+
+  return frames;
+};
+
+export const buildReadRequest = () => createFrame(FRAME_TYPE.READ, 0, 0);
+
+const encodeField = (value, scale) =>
+  !Number.isFinite(value) || value < 0
+    ? UNKNOWN_FIELD
+    : Math.min(Math.round(value * scale), UNKNOWN_FIELD - 1);
+
+const decodeField = (value, scale) =>
+  value === UNKNOWN_FIELD ? null : value / scale;
+
+// Accuracy in metres, heading in degrees and speed in m/s, as the phone's
+// location service reports them.
+export const buildFollowFrame = (
+  seq,
+  {latitude, longitude, accuracy, heading, speed},
+) => {
+  const frame = createFrame(
+    FRAME_TYPE.FOLLOW,
+    seq % (MAX_SEQ + 1),
+    FOLLOW_BODY_SIZE,
+  );
+  frame.writeInt32LE(Math.round(latitude * COORDINATE_SCALE), 3);
+  frame.writeInt32LE(Math.round(longitude * COORDINATE_SCALE), 7);
+  frame.writeUInt16LE(encodeField(accuracy, 10), 11);
+  frame.writeUInt16LE(
+    encodeField(typeof heading === 'number' ? heading % 360 : null, 100),
+    13,
+  );
+  frame.writeUInt16LE(encodeField(speed, 100), 15);
+  return frame;
+};
+
+export const parseFollowFrame = bytes => {
+  const frame = Buffer.from(bytes);
+  if (
+    frame[0] !== FRAME_TYPE.FOLLOW ||
+    frame.length < FRAME_HEADER_SIZE + FOLLOW_BODY_SIZE
+  ) {
+    throw new Error('Not a follow frame');
+  }
+  return {
+    seq: frame.readUInt16LE(1),
+    latitude: frame.readInt32LE(3) / COORDINATE_SCALE,
+    longitude: frame.readInt32LE(7) / COORDINATE_SCALE,
+    accuracy: decodeField(frame.readUInt16LE(11), 10),
+    heading: decodeField(frame.readUInt16LE(13), 100),
+    speed: decodeField(frame.readUInt16LE(15), 100),
+  };
+};
+
+export const parseResponse = bytes => {
+  const data = Buffer.from(bytes);
+  const type = data.length > 0 ? data[0] : null;
+
+  switch (type) {
+    case RESPONSE_TYPE.ACK:
+      if (data.length < 3) {
+        break;
+      }
+      return {type: 'ack', seq: data.readUInt16LE(1)};
+    case RESPONSE_TYPE.NACK:
+      if (data.length < 3) {
+        break;
+      }
+      return {
+        type: 'nack',
+        seq: data.readUInt16LE(1),
+        reason: data.length > 3 ? data[3] : null,
+      };
+    case RESPONSE_TYPE.ACCEPTED:
+      return {
+        type: 'accepted',
+        crc: data.length >= 5 ? data.readUInt32LE(1) : null,
+      };
+    case RESPONSE_TYPE.REJECTED:
+      return {type: 'rejected', reason: data.length > 1 ? data[1] : null};
+    case FRAME_TYPE.START:
+      if (data.length < MIN_FRAME_SIZE) {
+        break;
+      }
+      return {
+        type: 'start',
+        length: data.readUInt32LE(3),
+        frameCount: data.readUInt16LE(7),
+        crc: data.readUInt32LE(9),
+      };
+    case FRAME_TYPE.DATA:
+      if (data.length < FRAME_HEADER_SIZE) {
+        break;
+      }
+      return {
+        type: 'data',
+        seq: data.readUInt16LE(1),
+        bytes: data.slice(FRAME_HEADER_SIZE),
+      };
+    case FRAME_TYPE.END:
+      if (data.length < FRAME_HEADER_SIZE + END_BODY_SIZE) {
+        break;
+      }
+      return {
+        type: 'end',
+        seq: data.readUInt16LE(1),
+        crc: data.readUInt32LE(3),
+      };
+    default:
+      break;
+  }
+  return {type: 'unknown', raw: data};
+};
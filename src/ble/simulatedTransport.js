@@ -0,0 +1,508 @@
+import {Buffer} from 'buffer';
+import {
+  CHARACTERISTIC_UUID,
+  CONFIG_CHARACTERISTIC_UUID,
+  DFU_CHARACTERISTIC_UUID,
+  SERVICE_UUID,
+  TELEMETRY_CHARACTERISTIC_UUID,
+} from './config';
+import {
+  buildFrames,
+  FRAME_HEADER_SIZE,
+  FRAME_TYPE,
+  parseFollowFrame,
+  RESPONSE_TYPE,
+} from './framing';
+import {
+  buildInfoResponse,
+  buildDfuResponse,
+  buildOffsetResponse,
+  DFU_OP,
+  DFU_STATUS,
+} from './dfu';
+import {frameSizeForMtu} from './writeStrategy';
+import {crc32, sha256} from '../utils/bits';
+import {
+  decodeConfig,
+  DEFAULT_CONFIG,
+  encodeConfig,
+  validateConfig,
+} from '../deviceConfig/deviceConfig';
+import {decodeMission} from '../mission/encoding';
+import {decodeFences, isFencePayload} from '../mission/geofence';
+import {decodeHome, isHomePayload} from '../mission/home';
+
+// In-memory stand-in for the ESP32 firmware and the BLE stack, so the
+// scan -> connect -> send flow can run without a phone. It speaks the same
+// transport interface as blePlxTransport.
+
+const NACK_OUT_OF_SEQUENCE = 0x02;
+const REJECT_CRC_MISMATCH = 0x01;
+const REJECT_LENGTH_MISMATCH = 0x03;
+const REJECT_PARSE_ERROR = 0x05;
+const REJECT_NO_MISSION = 0x06;
+
+const sameUUID = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const MAX_IMAGE_SIZE = 0x1e0000;
+
+// A minimal ESP32 application image that parseFirmwareImage accepts, for
+// pushing to a simulated board.
+export const buildFirmwareImage = ({
+  version,
+  project = 'lora_v32',
+  size = 4096,
+}) => {
+  const image = Buffer.alloc(size);
+  for (let i = 0; i < size; i++) {
+    image[i] = (i * 31 + size) % 251;
+  }
+  image.fill(0, 0, 208);
+  image[0] = 0xe9;
+  image.writeUInt32LE(0xabcd5432, 32);
+  image.write(version, 48, 32, 'utf8');
+  image.write(project, 80, 32, 'utf8');
+  return image;
+};
+
+export const createSimulatedPeripheral = ({
+  id,
+  name = null,
+  serviceUUIDs = [SERVICE_UUID],
+  rssi = -60,
+  mtu = 23,
+  characteristics = [
+    {
+      serviceUUID: SERVICE_UUID,
+      uuid: CHARACTERISTIC_UUID,
+      isWritableWithResponse: true,
+      isWritableWithoutResponse: true,
+      isNotifiable: true,
+      isReadable: false,
+    },
+    {
+      serviceUUID: SERVICE_UUID,
+      uuid: TELEMETRY_CHARACTERISTIC_UUID,
+      isWritableWithResponse: false,
+      isWritableWithoutResponse: false,
+      isNotifiable: true,
+      isReadable: false,
+    },
+    {
+      serviceUUID: SERVICE_UUID,
+      uuid: CONFIG_CHARACTERISTIC_UUID,
+      isWritableWithResponse: true,
+      isWritableWithoutResponse: false,
+      isNotifiable: false,
+      isReadable: true,
+    },
+    {
+      serviceUUID: SERVICE_UUID,
+      uuid: DFU_CHARACTERISTIC_UUID,
+      isWritableWithResponse: true,
+      isWritableWithoutResponse: true,
+      isNotifiable: true,
+      isReadable: false,
+    },
+  ],
+  // Sequence numbers whose first copy is silently lost on the air.
+  dropFrames = [],
+  rejectMissions = false,
+  responseDelay = 0,
+  // Encoded mission the board already holds, as returned by read-back.
+  storedMission = null,
+  // Config values the board reports; `ignoreConfig` keys are accepted on
+  // write but keep their old value, as firmware that clamps them would.
+  config = DEFAULT_CONFIG,
+  ignoreConfig = [],
+  // Firmware update behaviour: the version the board runs, a DFU status
+  // to answer VERIFY with instead of checking the hash, whether the new
+  // image fails its boot checks, and an upload offset at which the link
+  // drops once.
+  firmwareVersion = '1.0.0',
+  rejectImage = null,
+  rollbackImage = false,
+  dropUploadAt = null,
+} = {}) => {
+  const listeners = new Map();
+  const dropListeners = new Set();
+  const pendingDrops = new Set(dropFrames);
+  let transfer = null;
+  let stored = storedMission;
+  let update = null;
+  let pendingDrop = dropUploadAt;
+
+  const peripheral = {
+    id,
+    name,
+    serviceUUIDs,
+    rssi,
+    mtu,
+    characteristics,
+    connected: false,
+    received: [],
+    missions: [],
+    fences: [],
+    homes: [],
+    followTargets: [],
+    config: {...config},
+    firmwareVersion,
+
+    readConfig() {
+      return encodeConfig(peripheral.config);
+    },
+
+    writeConfig(bytes) {
+      const values = decodeConfig(bytes);
+      const problems = Object.values(validateConfig(values));
+      if (problems.length > 0) {
+        throw new Error(`Config write rejected: ${problems[0]}`);
+      }
+      Object.keys(values)
+        .filter(key => !ignoreConfig.includes(key))
+        .forEach(key => {
+          peripheral.config[key] = values[key];
+        });
+    },
+
+    notify(bytes, characteristicUUID = CHARACTERISTIC_UUID) {
+      const key = characteristicUUID.toLowerCase();
+      setTimeout(
+        () => (listeners.get(key) || new Set()).forEach(fn => fn(bytes)),
+        responseDelay,
+      );
+    },
+
+    subscribe(characteristicUUID, listener) {
+      const key = characteristicUUID.toLowerCase();
+      if (!listeners.has(key)) {
+        listeners.set(key, new Set());
+      }
+      listeners.get(key).add(listener);
+      return () => listeners.get(key).delete(listener);
+    },
+
+    onDrop(listener) {
+      dropListeners.add(listener);
+      return () => dropListeners.delete(listener);
+    },
+
+    // Ends the connection from the device side, as going out of range or
+    // rebooting would.
+    dropConnection() {
+      peripheral.connected = false;
+      [...dropListeners].forEach(fn => fn());
+    },
+
+    receiveDfu(bytes) {
+      const request = Buffer.from(bytes);
+      const op = request[0];
+      const reply = response =>
+        peripheral.notify(response, DFU_CHARACTERISTIC_UUID);
+
+      if (op === DFU_OP.INFO) {
+        reply(buildInfoResponse(peripheral.firmwareVersion));
+      } else if (op === DFU_OP.BEGIN) {
+        const size = request.readUInt32LE(1);
+        const hash = request.slice(5, 37);
+        if (size > MAX_IMAGE_SIZE) {
+          reply(buildOffsetResponse(op, DFU_STATUS.TOO_LARGE, 0));
+          return;
+        }
+        // The same image again continues where the last upload stopped.
+        if (!update || update.size !== size || !update.hash.equals(hash)) {
+          update = {
+            size,
+            hash,
+            version: request.slice(38, 38 + request[37]).toString('utf8'),
+            data: Buffer.alloc(0),
+            verified: false,
+          };
+        }
+        reply(buildOffsetResponse(op, DFU_STATUS.OK, update.data.length));
+      } else if (op === DFU_OP.DATA) {
+        if (!update) {
+          reply(buildOffsetResponse(op, DFU_STATUS.BAD_STATE, 0));
+          return;
+        }
+        const offset = request.readUInt32LE(1);
+        if (offset !== update.data.length) {
+          reply(
+            buildOffsetResponse(op, DFU_STATUS.BAD_OFFSET, update.data.length),
+          );
+          return;
+        }
+        update.data = Buffer.concat([update.data, request.slice(5)]);
+        if (pendingDrop !== null && update.data.length >= pendingDrop) {
+          pendingDrop = null;
+          peripheral.dropConnection();
+          return;
+        }
+        reply(buildOffsetResponse(op, DFU_STATUS.OK, update.data.length));
+      } else if (op === DFU_OP.VERIFY) {
+        if (!update || update.data.length !== update.size) {
+          reply(buildDfuResponse(op, DFU_STATUS.BAD_STATE));
+        } else if (rejectImage !== null) {
+          update = null;
+          reply(buildDfuResponse(op, rejectImage));
+        } else if (!sha256(update.data).equals(update.hash)) {
+          update = null;
+          reply(buildDfuResponse(op, DFU_STATUS.HASH_MISMATCH));
+        } else {
+          update.verified = true;
+          reply(buildDfuResponse(op, DFU_STATUS.OK));
+        }
+      } else if (op === DFU_OP.APPLY) {
+        if (!update || !update.verified) {
+          reply(buildDfuResponse(op, DFU_STATUS.BAD_STATE));
+          return;
+        }
+        const {version} = update;
+        update = null;
+        reply(buildDfuResponse(op, DFU_STATUS.OK));
+        setTimeout(() => {
+          if (!rollbackImage) {
+            peripheral.firmwareVersion = version;
+          }
+          peripheral.dropConnection();
+        }, responseDelay);
+      }
+    },
+
+    // Pushes a telemetry notification, e.g. from encodePosition().
+    sendTelemetry(bytes) {
+      peripheral.notify(bytes, TELEMETRY_CHARACTERISTIC_UUID);
+    },
+
+    receive(bytes) {
+      const frame = Buffer.from(bytes);
+      const type = frame[0];
+      const seq = frame.readUInt16LE(1);
+
+      if (type === FRAME_TYPE.READ) {
+        if (!stored) {
+          peripheral.notify(
+            Buffer.from([RESPONSE_TYPE.REJECTED, REJECT_NO_MISSION]),
+          );
+          return;
+        }
+        buildFrames(stored, frameSizeForMtu(peripheral.mtu)).forEach(reply =>
+          peripheral.notify(reply),
+        );
+        return;
+      }
+
+      if (type === FRAME_TYPE.FOLLOW) {
+        peripheral.followTargets.push(parseFollowFrame(frame));
+        return;
+      }
+
+      if (pendingDrops.has(seq) && type === FRAME_TYPE.DATA) {
+        pendingDrops.delete(seq);
+        return;
+      }
+      peripheral.received.push(frame);
+
+      const ack = () => {
+        const reply = Buffer.alloc(3);
+        reply[0] = RESPONSE_TYPE.ACK;
+        reply.writeUInt16LE(seq, 1);
+        peripheral.notify(reply);
+      };
+
+      if (type === FRAME_TYPE.START) {
+        transfer = {
+          length: frame.readUInt32LE(3),
+          frameCount: frame.readUInt16LE(7),
+          crc: frame.readUInt32LE(9),
+          chunks: [],
+        };
+        ack();
+        return;
+      }
+
+      if (!transfer) {
+        return;
+      }
+
+      if (type === FRAME_TYPE.DATA) {
+        const expected = transfer.chunks.length + 1;
+        if (seq === expected) {
+          transfer.chunks.push(frame.slice(FRAME_HEADER_SIZE));
+          ack();
+        } else if (seq < expected) {
+          ack();
+        } else {
+          const reply = Buffer.alloc(4);
+          reply[0] = RESPONSE_TYPE.NACK;
+          reply.writeUInt16LE(seq, 1);
+          reply[3] = NACK_OUT_OF_SEQUENCE;
+          peripheral.notify(reply);
+        }
+        return;
+      }
+
+      if (type === FRAME_TYPE.END) {
+        const payload = Buffer.concat(transfer.chunks);
+        const reject = reason =>
+          peripheral.notify(Buffer.from([RESPONSE_TYPE.REJECTED, reason]));
+
+        if (payload.length !== transfer.length) {
+          reject(REJECT_LENGTH_MISMATCH);
+        } else if (crc32(payload) !== transfer.crc || rejectMissions) {
+          reject(REJECT_CRC_MISMATCH);
+        } else {
+          try {
+            if (isFencePayload(payload)) {
+              peripheral.fences.push(decodeFences(payload));
+            } else if (isHomePayload(payload)) {
+              peripheral.homes.push(decodeHome(payload));
+            } else {
+              peripheral.missions.push(decodeMission(payload));
+              stored = payload;
+            }
+            const reply = Buffer.alloc(5);
+            reply[0] = RESPONSE_TYPE.ACCEPTED;
+            reply.writeUInt32LE(transfer.crc, 1);
+            peripheral.notify(reply);
+          } catch (err) {
+            reject(REJECT_PARSE_ERROR);
+          }
+        }
+        transfer = null;
+      }
+    },
+  };
+
+  return peripheral;
+};
+
+const connectionFor = peripheral => ({
+  id: peripheral.id,
+  name: peripheral.name,
+  mtu: peripheral.mtu,
+
+  discover: async () => {},
+
+  negotiateMtu: async requested => Math.min(requested, peripheral.mtu),
+
+  characteristics: async () => peripheral.characteristics,
+
+  write: async (serviceUUID, characteristicUUID, bytes) => {
+    if (!peripheral.connected) {
+      throw new Error(`Device ${peripheral.id} is not connected`);
+    }
+    const known = peripheral.characteristics.some(
+      char =>
+        sameUUID(char.serviceUUID, serviceUUID) &&
+        sameUUID(char.uuid, characteristicUUID),
+    );
+    if (!known) {
+      throw new Error(`Characteristic ${characteristicUUID} not found`);
+    }
+    if (bytes.length > peripheral.mtu - 3) {
+      throw new Error(`Write of ${bytes.length} bytes exceeds MTU`);
+    }
+    if (sameUUID(characteristicUUID, CONFIG_CHARACTERISTIC_UUID)) {
+      peripheral.writeConfig(bytes);
+      return;
+    }
+    if (sameUUID(characteristicUUID, DFU_CHARACTERISTIC_UUID)) {
+      peripheral.receiveDfu(bytes);
+      return;
+    }
+    peripheral.receive(bytes);
+  },
+
+  read: async (serviceUUID, characteristicUUID) => {
+    if (!peripheral.connected) {
+      throw new Error(`Device ${peripheral.id} is not connected`);
+    }
+    if (!sameUUID(characteristicUUID, CONFIG_CHARACTERISTIC_UUID)) {
+      throw new Error(`Characteristic ${characteristicUUID} is not readable`);
+    }
+    return peripheral.readConfig();
+  },
+
+  monitor: (serviceUUID, characteristicUUID, listener) => {
+    const unsubscribe = peripheral.subscribe(characteristicUUID, bytes =>
+      listener(null, bytes),
+    );
+    const unsubscribeDrop = peripheral.onDrop(() =>
+      listener(new Error(`Device ${peripheral.id} was disconnected`)),
+    );
+    return {
+      remove: () => {
+        unsubscribe();
+        unsubscribeDrop();
+      },
+    };
+  },
+
+  onDisconnected: listener => ({
+    remove: peripheral.onDrop(() => listener(null)),
+  }),
+
+  disconnect: async () => {
+    peripheral.dropConnection();
+  },
+});
+
+export const createSimulatedTransport = ({
+  peripherals = [],
+  bluetoothState = 'PoweredOn',
+  advertiseInterval = 10,
+} = {}) => {
+  let scanTimers = [];
+
+  const stopScan = () => {
+    scanTimers.forEach(clearTimeout);
+    scanTimers = [];
+  };
+
+  return {
+    peripherals,
+
+    state: async () => bluetoothState,
+
+    // Each peripheral advertises once, or every round with allowDuplicates.
+    startScan: (listener, {allowDuplicates = false} = {}) => {
+      stopScan();
+      const round = peripherals.length * advertiseInterval;
+      const advertise = (peripheral, index, wait) => {
+        scanTimers[index] = setTimeout(() => {
+          listener(null, {
+            id: peripheral.id,
+            name: peripheral.name,
+            serviceUUIDs: peripheral.serviceUUIDs,
+            rssi: peripheral.rssi,
+          });
+          if (allowDuplicates) {
+            advertise(peripheral, index, round);
+          }
+        }, wait);
+      };
+      peripherals.forEach((peripheral, index) =>
+        advertise(peripheral, index, (index + 1) * advertiseInterval),
+      );
+    },
+
+    stopScan,
+
+    connect: async deviceId => {
+      const peripheral = peripherals.find(p => p.id === deviceId);
+      if (!peripheral) {
+        throw new Error(`Device ${deviceId} not found`);
+      }
+      peripheral.connected = true;
+      return connectionFor(peripheral);
+    },
+
+    reset: async () => {
+      stopScan();
+      peripherals.forEach(peripheral => {
+        peripheral.connected = false;
+      });
+    },
+  };
+};
@@ -0,0 +1,306 @@
+import {Buffer} from 'buffer';
+import {
+  buildFrames,
+  describeReason,
+  frameSeq,
+  frameType,
+  FRAME_TYPE,
+  parseResponse,
+} from './framing';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+import {crc32} from '../utils/bits';
+
+const log = logger.scope(LOG_CATEGORY.BLE);
+
+export const ACK_TIMEOUT = 1000;
+export const ACCEPT_TIMEOUT = 5000;
+export const MAX_FRAME_RETRIES = 5;
+
+// Codes on the errors thrown here: the device turned the mission down, or
+// the transfer itself broke down (frames not acknowledged, no verdict, a
+// garbled read-back). A dropped link surfaces as the transport's own error.
+export const TRANSFER_ERROR = {
+  FAILED: 'transfer-failed',
+  REJECTED: 'rejected',
+};
+
+const transferError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Buffers device notifications so a reply that arrives before we start
+// waiting for it is not lost. `parse` turns raw notifications into
+// responses; the firmware update protocol brings its own.
+export const createResponseQueue = (parse = parseResponse) => {
+  const pending = [];
+  let waiter = null;
+  let failure = null;
+
+  return {
+    push(bytes) {
+      const response = parse(bytes);
+      if (waiter) {
+        const current = waiter;
+        waiter = null;
+        current.resolve(response);
+      } else {
+        pending.push(response);
+      }
+    },
+
+    fail(error) {
+      failure = error;
+      if (waiter) {
+        const current = waiter;
+        waiter = null;
+        current.reject(error);
+      }
+    },
+
+    // Resolves with the next response, or null when timeoutMs elapses.
+    next(timeoutMs) {
+      if (failure) {
+        return Promise.reject(failure);
+      }
+      if (pending.length > 0) {
+        return Promise.resolve(pending.shift());
+      }
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiter = null;
+          resolve(null);
+        }, timeoutMs);
+        waiter = {
+          resolve: response => {
+            clearTimeout(timer);
+            resolve(response);
+          },
+          reject: error => {
+            clearTimeout(timer);
+            reject(error);
+          },
+        };
+      });
+    },
+  };
+};
+
+// Waits for the reply that belongs to `seq`, skipping late ACKs for frames
+// that were already retransmitted. A rejection ends the transfer whichever
+// frame it answers, since the device has already discarded the mission.
+const waitForReply = async (responses, seq, isEnd, timeoutMs) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return null;
+    }
+    const reply = await responses.next(remaining);
+    if (!reply) {
+      return null;
+    }
+    if (reply.type === 'rejected' || (reply.type === 'accepted' && isEnd)) {
+      return reply;
+    }
+    if ((reply.type === 'ack' || reply.type === 'nack') && reply.seq === seq) {
+      return reply;
+    }
+    log.debug('⚠️ Ignoring stale device response:', reply);
+  }
+};
+
+const waitForVerdict = async (responses, timeoutMs) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return null;
+    }
+    const reply = await responses.next(remaining);
+    if (!reply || reply.type === 'accepted' || reply.type === 'rejected') {
+      return reply;
+    }
+  }
+};
+
+export const transferFramed = async ({
+  write,
+  responses,
+  payload,
+  frameSize,
+  ackTimeout = ACK_TIMEOUT,
+  acceptTimeout = ACCEPT_TIMEOUT,
+  maxRetries = MAX_FRAME_RETRIES,
+  pacer = null,
+  onProgress,
+  onVerifying,
+}) => {
+  const frames = buildFrames(payload, frameSize);
+  const checksum = crc32(payload);
+  log.debug(
+    `📦 Framed ${payload.length} bytes into ${
+      frames.length
+    } frames (crc32 ${checksum.toString(16)})`,
+  );
+
+  let verdict = null;
+
+  for (let index = 0; index < frames.length; index++) {
+    const frame = frames[index];
+    const seq = frameSeq(frame);
+    const isEnd = frameType(frame) === FRAME_TYPE.END;
+    let attempts = 0;
+
+    // The END frame asks the device to validate and store the mission.
+    if (isEnd && onVerifying) {
+      onVerifying();
+    }
+
+    for (;;) {
+      await write(frame);
+      const reply = await waitForReply(responses, seq, isEnd, ackTimeout);
+
+      if (reply && reply.type === 'ack') {
+        if (pacer) {
+          pacer.acknowledged();
+        }
+        break;
+      }
+      if (reply && (reply.type === 'accepted' || reply.type === 'rejected')) {
+        verdict = reply;
+        break;
+      }
+
+      attempts++;
+      if (attempts > maxRetries) {
+        throw transferError(
+          TRANSFER_ERROR.FAILED,
+          `Frame ${seq} not acknowledged after ${maxRetries} retries`,
+        );
+      }
+      log.info(
+        `🔁 Retransmitting frame ${seq} (${
+          reply ? `NACK: ${describeReason(reply.reason)}` : 'ACK timeout'
+        }, attempt ${attempts + 1})`,
+      );
+      if (pacer) {
+        pacer.retransmitting();
+        await pacer.wait();
+      }
+    }
+
+    if (verdict && verdict.type === 'rejected') {
+      break;
+    }
+    if (onProgress) {
+      onProgress(index + 1, frames.length);
+    }
+    if (pacer && !verdict) {
+      await pacer.wait();
+    }
+  }
+
+  if (!verdict) {
+    log.info('⏳ All frames acknowledged, waiting for mission verdict...');
+    verdict = await waitForVerdict(responses, acceptTimeout);
+  }
+
+  if (!verdict) {
+    throw transferError(
+      TRANSFER_ERROR.FAILED,
+      'Device did not confirm the mission',
+    );
+  }
+  if (verdict.type === 'rejected') {
+    throw transferError(
+      TRANSFER_ERROR.REJECTED,
+      `Device rejected mission: ${describeReason(verdict.reason)}`,
+    );
+  }
+  if (verdict.crc !== null && verdict.crc !== checksum) {
+    throw transferError(
+      TRANSFER_ERROR.FAILED,
+      'Device confirmed a mission with a different checksum',
+    );
+  }
+
+  log.info('✅ Mission accepted by device');
+  return {frames: frames.length, crc: checksum};
+};
+
+// Collects a mission the device streams back after a READ request. Frames
+// are not acknowledged, so a gap or a checksum mismatch fails the read and
+// the caller simply asks again.
+export const receiveFramed = async ({
+  responses,
+  frameTimeout = ACK_TIMEOUT,
+  startTimeout = ACCEPT_TIMEOUT,
+  onProgress,
+}) => {
+  const next = async timeoutMs => {
+    for (;;) {
+      const reply = await responses.next(timeoutMs);
+      if (!reply) {
+        throw transferError(
+          TRANSFER_ERROR.FAILED,
+          'Device stopped sending its mission',
+        );
+      }
+      if (reply.type !== 'ack' && reply.type !== 'unknown') {
+        return reply;
+      }
+      log.warn('⚠️ Ignoring unexpected device response:', reply);
+    }
+  };
+
+  const start = await next(startTimeout);
+  if (start.type === 'rejected') {
+    throw transferError(
+      TRANSFER_ERROR.REJECTED,
+      `Device cannot return a mission: ${describeReason(start.reason)}`,
+    );
+  }
+  if (start.type !== 'start') {
+    throw transferError(
+      TRANSFER_ERROR.FAILED,
+      `Expected mission start, got ${start.type}`,
+    );
+  }
+
+  const chunks = [];
+  for (let seq = 1; seq <= start.frameCount; seq++) {
+    const frame = await next(frameTimeout);
+    if (frame.type !== 'data' || frame.seq !== seq) {
+      throw transferError(
+        TRANSFER_ERROR.FAILED,
+        `Mission read-back lost frame ${seq}`,
+      );
+    }
+    chunks.push(frame.bytes);
+    if (onProgress) {
+      onProgress(seq, start.frameCount);
+    }
+  }
+
+  const end = await next(frameTimeout);
+  if (end.type !== 'end' || end.crc !== start.crc) {
+    throw transferError(
+      TRANSFER_ERROR.FAILED,
+      'Mission read-back did not end cleanly',
+    );
+  }
+
+  const payload = Buffer.concat(chunks);
+  if (payload.length !== start.length || crc32(payload) !== start.crc) {
+    throw transferError(
+      TRANSFER_ERROR.FAILED,
+      'Mission read-back failed its checksum',
+    );
+  }
+  log.info(
+    `✅ Read back ${payload.length} bytes (crc32 ${start.crc.toString(16)})`,
+  );
+  return payload;
+};
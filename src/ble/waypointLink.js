@@ -0,0 +1,1495 @@
+import {createEmitter} from '../utils/createEmitter';
+import {createConnectionMachine, LINK_STATE} from './connectionMachine';
+import {
+  acceptsExtras,
+  decodeMission,
+  encodeMission,
+  missionFormatFor,
+} from '../mission/encoding';
+import {encodeFences} from '../mission/geofence';
+import {encodeHome} from '../mission/home';
+import {parseTelemetry} from '../telemetry/telemetry';
+import {
+  configMismatches,
+  decodeConfig,
+  encodeConfig,
+} from '../deviceConfig/deviceConfig';
+import {buildFollowFrame, buildReadRequest} from './framing';
+import {
+  ACK_TIMEOUT,
+  createResponseQueue,
+  receiveFramed,
+  TRANSFER_ERROR,
+  transferFramed,
+} from './transfer';
+import {
+  ATT_HEADER_SIZE,
+  chooseWriteStrategy,
+  createPacer,
+} from './writeStrategy';
+import {
+  buildBeginRequest,
+  createDfuSession,
+  DATA_HEADER_SIZE,
+  parseDfuResponse,
+  REBOOT_DELAY,
+} from './dfu';
+import {compareVersions, formatBytes} from '../firmware/image';
+import {
+  BLE_CONNECT_TIMEOUT,
+  BLE_RETRY_DELAY,
+  BLE_SCAN_TIMEOUT,
+  CHARACTERISTIC_UUID,
+  CONFIG_CHARACTERISTIC_UUID,
+  DEBUG_SCAN_DURATION,
+  DFU_CHARACTERISTIC_UUID,
+  DEVICE_NAME_PATTERNS,
+  MAX_RECONNECT_DELAY,
+  MAX_RETRIES,
+  RECONNECT_DELAY,
+  REQUESTED_MTU,
+  SERVICE_UUID,
+  TELEMETRY_CHARACTERISTIC_UUID,
+} from './config';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+
+const log = logger.scope(LOG_CATEGORY.BLE);
+
+export const LINK_ERROR = {
+  BUSY: 'busy',
+  BLUETOOTH_OFF: 'bluetooth-off',
+  NO_DEVICES: 'no-devices',
+  SCAN_FAILED: 'scan-failed',
+  CONNECT_FAILED: 'connect-failed',
+  TRANSFER_FAILED: TRANSFER_ERROR.FAILED,
+  REJECTED: TRANSFER_ERROR.REJECTED,
+  FIRMWARE_CURRENT: 'firmware-current',
+  FIRMWARE_DOWNGRADE: 'firmware-downgrade',
+  UPDATE_REJECTED: 'update-rejected',
+  UPDATE_FAILED: 'update-failed',
+  UPDATE_UNSUPPORTED: 'update-unsupported',
+  ROLLED_BACK: 'rolled-back',
+};
+
+const linkError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const sameUUID = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+export const deviceLabel = device =>
+  (device && (device.name || device.localName)) || 'unnamed';
+
+export const matchesTarget = (device, {namePatterns, serviceUUID}) => {
+  const name = (device.name || device.localName || '').toLowerCase();
+  const hasOurService = (device.serviceUUIDs || []).some(uuid =>
+    sameUUID(uuid, serviceUUID),
+  );
+  return namePatterns.some(pattern => name.includes(pattern)) || hasOurService;
+};
+
+// Owns everything between "here are the waypoints" and "the device accepted
+// them": scanning, connecting with retries, characteristic discovery and the
+// framed transfer. Where it is in that flow lives in a connection state
+// machine, published through `on('state', listener)`; scanned devices and
+// parsed vehicle telemetry are published on 'device' and 'telemetry'.
+// Firmware parameters are read and written on the config characteristic,
+// and new firmware images are pushed on the DFU characteristic.
+//
+// UUIDs, name patterns and the preferred device can be changed at runtime
+// with configure(); a preferred device is connected to directly and the
+// link only scans when it cannot be reached.
+//
+// With `stayConnected` the link is not torn down after each operation: the
+// connection is held, the next send, read-back or telemetry stream reuses
+// it, and a link the device drops is re-established with exponential
+// backoff, resuming telemetry if it was streaming. reset() then leaves the
+// BLE stack alone.
+export const createWaypointLink = ({
+  transport,
+  serviceUUID = SERVICE_UUID,
+  characteristicUUID = CHARACTERISTIC_UUID,
+  telemetryCharacteristicUUID = TELEMETRY_CHARACTERISTIC_UUID,
+  configCharacteristicUUID = CONFIG_CHARACTERISTIC_UUID,
+  dfuCharacteristicUUID = DFU_CHARACTERISTIC_UUID,
+  namePatterns = DEVICE_NAME_PATTERNS,
+  scanTimeout = BLE_SCAN_TIMEOUT,
+  connectTimeout = BLE_CONNECT_TIMEOUT,
+  retryDelay = BLE_RETRY_DELAY,
+  maxRetries = MAX_RETRIES,
+  ackTimeout = ACK_TIMEOUT,
+  requestMTU = REQUESTED_MTU,
+  preferredDevice = null,
+  stayConnected = false,
+  reconnectDelay = RECONNECT_DELAY,
+  maxReconnectDelay = MAX_RECONNECT_DELAY,
+  rebootDelay = REBOOT_DELAY,
+  missionFormats = {},
+  missionExtras = {},
+  settleDelay = 500,
+}) => {
+  const settings = {
+    serviceUUID,
+    characteristicUUID,
+    telemetryCharacteristicUUID,
+    configCharacteristicUUID,
+    dfuCharacteristicUUID,
+    namePatterns,
+    preferredDevice,
+    stayConnected,
+    missionFormats,
+    missionExtras,
+  };
+  const emitter = createEmitter({log});
+  const machine = createConnectionMachine();
+  let lastKnownDevice = null;
+  let lastSentMission = null;
+  let lastSentDeviceId = null;
+  let activeConnection = null;
+  let stopActiveScan = null;
+  let telemetrySubscription = null;
+  // Stay-connected mode: the device whose connection is kept open, the
+  // subscription that notices when it drops, and the pending reconnect.
+  let heldDevice = null;
+  let disconnectSubscription = null;
+  let reconnectTimer = null;
+  // Bumped to abandon a reconnect that is already connecting.
+  let reconnectToken = 0;
+  let resumeTelemetry = false;
+  // Follow-me: the characteristic found for the current connection and the
+  // sequence number of the last position written.
+  let followTarget = null;
+  let followSeq = 0;
+
+  machine.on('change', snapshot => emitter.emit('state', snapshot));
+
+  const enter = (state, message, device) => {
+    log.info(message);
+    machine.transition(state, {message, device});
+  };
+
+  const fail = (error, message) => {
+    log.error(message);
+    if (machine.isActive()) {
+      machine.transition(LINK_STATE.FAILED, {message, error: error.message});
+    }
+  };
+
+  const requireIdle = message => {
+    if (machine.isActive()) {
+      throw linkError(LINK_ERROR.BUSY, message);
+    }
+  };
+
+  const disconnect = async connection => {
+    if (!connection) {
+      return;
+    }
+    try {
+      log.info('🔌 Disconnecting from device...');
+      await connection.disconnect();
+      log.info('✅ Device disconnected successfully');
+      await delay(200);
+    } catch (err) {
+      log.warn('⚠️ Disconnect error:', err.message);
+    }
+  };
+
+  const cancelReconnect = () => {
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+  };
+
+  const releaseResources = async () => {
+    if (stopActiveScan) {
+      stopActiveScan();
+    }
+    cancelReconnect();
+    heldDevice = null;
+    followTarget = null;
+    if (disconnectSubscription) {
+      const subscription = disconnectSubscription;
+      disconnectSubscription = null;
+      subscription.remove();
+    }
+    if (telemetrySubscription) {
+      const subscription = telemetrySubscription;
+      telemetrySubscription = null;
+      subscription.remove();
+    }
+    if (activeConnection) {
+      const connection = activeConnection;
+      activeConnection = null;
+      await disconnect(connection);
+    }
+  };
+
+  const resetTransport = async () => {
+    log.info('🔄 Resetting BLE transport...');
+    await releaseResources();
+    await transport.reset();
+    lastKnownDevice = null;
+    lastSentMission = null;
+    lastSentDeviceId = null;
+    log.info('✅ BLE transport reset and ready');
+  };
+
+  const requirePoweredOn = async () => {
+    const state = await transport.state();
+    log.info('📡 BLE State:', state);
+    if (state !== 'PoweredOn') {
+      throw linkError(
+        LINK_ERROR.BLUETOOTH_OFF,
+        'Enable Bluetooth and try again.',
+      );
+    }
+  };
+
+  const connect = async (device, retries = maxRetries) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        enter(
+          LINK_STATE.CONNECTING,
+          `🔗 Connecting to ${deviceLabel(device)} (attempt ${attempt + 1})...`,
+          device,
+        );
+        const connection = await transport.connect(device.id, {
+          requestMTU,
+          timeout: connectTimeout,
+        });
+        activeConnection = connection;
+        disconnectSubscription = connection.onDisconnected(() =>
+          handleDisconnect(connection),
+        );
+        enter(
+          LINK_STATE.DISCOVERING,
+          '🔗 Device connected, discovering services...',
+        );
+        await connection.discover();
+        log.info('✅ Services discovered successfully');
+        connection.mtu = await connection.negotiateMtu(requestMTU);
+        log.info(`📏 Negotiated MTU: ${connection.mtu}`);
+        return connection;
+      } catch (err) {
+        log.warn(`❌ Connect attempt ${attempt + 1} failed:`, err.message);
+        await releaseResources();
+        if (attempt >= retries) {
+          throw err;
+        }
+        log.info(`⏳ Retrying in ${retryDelay}ms...`);
+        await delay(retryDelay);
+      }
+    }
+  };
+
+  // The connection stay-connected mode is holding, if it goes to `target`
+  // (or to any device when there is no target).
+  const heldConnection = (target = null) =>
+    settings.stayConnected &&
+    activeConnection &&
+    heldDevice &&
+    (!target || target.id === heldDevice.id)
+      ? activeConnection
+      : null;
+
+  // Ends an operation in stay-connected mode: the link stays up and the
+  // machine rests in CONNECTED, or goes back to STREAMING.
+  const hold = (device, streaming, message) => {
+    heldDevice = device;
+    enter(
+      streaming ? LINK_STATE.STREAMING : LINK_STATE.CONNECTED,
+      message,
+      device,
+    );
+  };
+
+  const scheduleReconnect = (device, attempt) => {
+    const wait = Math.min(maxReconnectDelay, reconnectDelay * 2 ** attempt);
+    enter(
+      LINK_STATE.RECONNECTING,
+      `🔁 Reconnecting to ${deviceLabel(device)} in ${wait}ms (attempt ${
+        attempt + 1
+      })...`,
+      device,
+    );
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      reconnect(device, attempt);
+    }, wait);
+  };
+
+  // configure() abandons a reconnect by turning stay-connected mode off or
+  // changing a UUID; the attempt notices after each step and lets go of the
+  // link instead of holding it or trying again.
+  const reconnect = async (device, attempt) => {
+    const token = reconnectToken;
+    const abandoned = () => token !== reconnectToken || !settings.stayConnected;
+    const giveUp = async () => {
+      await releaseResources();
+      if (machine.getSnapshot().state !== LINK_STATE.IDLE) {
+        enter(LINK_STATE.IDLE, '🔌 Stay-connected mode is off, disconnected');
+      }
+    };
+
+    if (abandoned()) {
+      await giveUp();
+      return;
+    }
+    try {
+      const connection = await connect(device, 0);
+      if (abandoned()) {
+        await giveUp();
+        return;
+      }
+      if (resumeTelemetry) {
+        await subscribeTelemetry(connection);
+        if (abandoned()) {
+          await giveUp();
+          return;
+        }
+      }
+      hold(
+        device,
+        resumeTelemetry,
+        resumeTelemetry
+          ? '📡 Reconnected, telemetry resumed'
+          : `🔗 Reconnected to ${deviceLabel(device)}`,
+      );
+    } catch (err) {
+      log.warn(`❌ Reconnect attempt ${attempt + 1} failed:`, err.message);
+      if (abandoned()) {
+        await giveUp();
+        return;
+      }
+      await releaseResources();
+      scheduleReconnect(device, attempt + 1);
+    }
+  };
+
+  // Only a held link that drops while resting or streaming is brought back;
+  // a drop in the middle of an operation fails that operation instead.
+  // Called unawaited from the disconnect callbacks, so it never throws.
+  const handleDisconnect = async connection => {
+    const {state, device} = machine.getSnapshot();
+    if (
+      connection !== activeConnection ||
+      !settings.stayConnected ||
+      (state !== LINK_STATE.CONNECTED && state !== LINK_STATE.STREAMING)
+    ) {
+      return;
+    }
+    log.warn(`⚠️ Lost connection to ${deviceLabel(device)}`);
+    resumeTelemetry = state === LINK_STATE.STREAMING;
+    const token = reconnectToken;
+    try {
+      await releaseResources();
+      // configure() may have let go of the link, or turned stay-connected
+      // mode off, while it was being released.
+      if (machine.getSnapshot().state !== state) {
+        return;
+      }
+      if (token !== reconnectToken || !settings.stayConnected) {
+        enter(LINK_STATE.IDLE, `🔌 Lost connection to ${deviceLabel(device)}`);
+        return;
+      }
+      scheduleReconnect(device, 0);
+    } catch (err) {
+      log.error('❌ Could not recover the lost connection:', err.message);
+    }
+  };
+
+  // Prefers the mission characteristic; falls back to any writable one for
+  // firmware that uses a different UUID.
+  const findWritableCharacteristic = async connection => {
+    const chars = await connection.characteristics();
+    log.debug('📋 Available characteristics:', chars.length);
+
+    const target = chars.find(char =>
+      sameUUID(char.uuid, settings.characteristicUUID),
+    );
+    if (target) {
+      log.info('✅ Found target characteristic!');
+      return target;
+    }
+
+    const fallback = chars.find(
+      char => char.isWritableWithResponse || char.isWritableWithoutResponse,
+    );
+    if (fallback) {
+      log.warn('⚠️ Using fallback writable characteristic:', fallback.uuid);
+      return fallback;
+    }
+    throw new Error('No writable characteristic found.');
+  };
+
+  const transferMission = async (connection, payload, what = 'mission') => {
+    const char = await findWritableCharacteristic(connection);
+    const strategy = chooseWriteStrategy(char, connection.mtu);
+    log.debug(
+      `📐 ${strategy.frameSize}-byte frames, write ${
+        strategy.withResponse ? 'with' : 'without'
+      } response`,
+    );
+    const responses = createResponseQueue();
+    const subscription = connection.monitor(
+      char.serviceUUID,
+      char.uuid,
+      (error, bytes) => {
+        if (error) {
+          log.error('❌ Notification error:', error.message);
+          responses.fail(error);
+          return;
+        }
+        responses.push(bytes);
+      },
+    );
+
+    try {
+      return await transferFramed({
+        payload,
+        responses,
+        frameSize: strategy.frameSize,
+        ackTimeout,
+        pacer: createPacer({initialDelay: strategy.initialDelay}),
+        write: frame =>
+          connection.write(char.serviceUUID, char.uuid, frame, {
+            withResponse: strategy.withResponse,
+          }),
+        onProgress: (sent, total) => machine.setProgress(sent, total),
+        onVerifying: () =>
+          enter(
+            LINK_STATE.VERIFYING,
+            `⏳ Waiting for the device to confirm the ${what}...`,
+          ),
+      });
+    } finally {
+      subscription.remove();
+    }
+  };
+
+  // The device streams its stored mission back on the mission
+  // characteristic in answer to a READ frame.
+  const receiveMission = async connection => {
+    const char = await findWritableCharacteristic(connection);
+    if (!char.isNotifiable) {
+      throw new Error('Device cannot report its stored mission.');
+    }
+    const strategy = chooseWriteStrategy(char, connection.mtu);
+    const responses = createResponseQueue();
+    const subscription = connection.monitor(
+      char.serviceUUID,
+      char.uuid,
+      (error, bytes) => {
+        if (error) {
+          log.error('❌ Notification error:', error.message);
+          responses.fail(error);
+          return;
+        }
+        responses.push(bytes);
+      },
+    );
+
+    try {
+      await connection.write(char.serviceUUID, char.uuid, buildReadRequest(), {
+        withResponse: strategy.withResponse,
+      });
+      return await receiveFramed({
+        responses,
+        frameTimeout: ackTimeout,
+        onProgress: (received, total) => machine.setProgress(received, total),
+      });
+    } finally {
+      subscription.remove();
+    }
+  };
+
+  // Fences and the home point, when given, follow the mission on the same
+  // connection so the firmware can enforce and use them too. A device that
+  // does not take them (see acceptsExtras) gets the mission alone, and the
+  // result lists what was left out.
+  const deliverOn = async (
+    connection,
+    device,
+    waypoints,
+    {fences = [], home = null} = {},
+  ) => {
+    const format = missionFormatFor(settings.missionFormats, device.id);
+    const payload = encodeMission(waypoints, format);
+    enter(
+      LINK_STATE.TRANSFERRING,
+      `📤 Sending ${format} mission (${payload.length} bytes)...`,
+    );
+    const result = await transferMission(connection, payload);
+
+    const skipped = [];
+    const extras = acceptsExtras(settings, device.id);
+    if (fences.length > 0 && !extras) {
+      skipped.push('fences');
+    } else if (fences.length > 0) {
+      const fencePayload = encodeFences(fences);
+      enter(
+        LINK_STATE.TRANSFERRING,
+        `📤 Sending ${fences.length} fence(s) (${fencePayload.length} bytes)...`,
+      );
+      try {
+        await transferMission(connection, fencePayload, 'fences');
+      } catch (err) {
+        throw linkError(
+          err.code || LINK_ERROR.TRANSFER_FAILED,
+          `Mission accepted, but fence upload failed: ${err.message}`,
+        );
+      }
+    }
+
+    if (home && !extras) {
+      skipped.push('home point');
+    } else if (home) {
+      const homePayload = encodeHome(home);
+      enter(LINK_STATE.TRANSFERRING, '📤 Sending home point...');
+      try {
+        await transferMission(connection, homePayload, 'home point');
+      } catch (err) {
+        throw linkError(
+          err.code || LINK_ERROR.TRANSFER_FAILED,
+          `Mission accepted, but home point upload failed: ${err.message}`,
+        );
+      }
+    }
+    if (skipped.length > 0) {
+      log.info(
+        `⏭️ ${deviceLabel(
+          device,
+        )} does not take extras, not sent: ${skipped.join(', ')}`,
+      );
+    }
+    return {...result, format, skipped};
+  };
+
+  const deliver = async (device, waypoints, extras, retries) =>
+    deliverOn(await connect(device, retries), device, waypoints, extras);
+
+  // Resolves with the first advertising device that matches our name
+  // patterns or service; on timeout falls back to the first device seen.
+  const scanForTarget = () =>
+    new Promise((resolve, reject) => {
+      const seen = new Map();
+      let settled = false;
+      let timer = null;
+
+      const finish = (error, device) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        transport.stopScan();
+        stopActiveScan = null;
+        if (error) {
+          reject(error);
+        } else {
+          resolve(device);
+        }
+      };
+
+      stopActiveScan = () =>
+        finish(linkError(LINK_ERROR.SCAN_FAILED, 'Scan cancelled'));
+
+      timer = setTimeout(() => {
+        log.info('⏰ Scan timeout reached');
+        const found = [...seen.values()];
+        if (found.length > 0) {
+          log.info(
+            `🔄 Found ${found.length} devices total. Trying fallback connection to first found device...`,
+          );
+          finish(null, found[0]);
+        } else {
+          finish(
+            linkError(
+              LINK_ERROR.NO_DEVICES,
+              'Could not find any BLE devices. Make sure ESP32 is powered on and advertising.',
+            ),
+          );
+        }
+      }, scanTimeout);
+
+      log.info('🔍 Starting BLE device scan...');
+      transport.startScan((error, device) => {
+        if (error) {
+          log.error('❌ Scan error:', error.message);
+          finish(linkError(LINK_ERROR.SCAN_FAILED, error.message));
+          return;
+        }
+        if (!device || seen.has(device.id)) {
+          return;
+        }
+
+        seen.set(device.id, device);
+        emitter.emit('device', device);
+        log.debug(
+          `🛰️ Scanned device: ${device.id} | name: "${deviceLabel(
+            device,
+          )}" | services: [${(device.serviceUUIDs || []).join(', ')}]`,
+        );
+
+        if (matchesTarget(device, settings)) {
+          log.info(`✅ Found matching device: ${device.id}`);
+          finish(null, device);
+        }
+      });
+    });
+
+  // Telemetry keeps streaming on its own characteristic meanwhile. A
+  // mission the held device already accepted is not sent again.
+  const sendOnHeldConnection = async (
+    connection,
+    mission,
+    waypoints,
+    extras,
+  ) => {
+    const device = heldDevice;
+    const streaming = machine.getSnapshot().state === LINK_STATE.STREAMING;
+    if (lastSentMission === mission && lastSentDeviceId === device.id) {
+      log.info('✅ Device already holds this mission, nothing to send');
+      return {
+        device,
+        unchanged: true,
+        format: missionFormatFor(settings.missionFormats, device.id),
+        skipped: [],
+      };
+    }
+
+    try {
+      const result = await deliverOn(connection, device, waypoints, extras);
+      lastSentMission = mission;
+      lastSentDeviceId = device.id;
+      lastKnownDevice = device;
+      hold(device, streaming, '✅ Mission accepted by device');
+      return {device, ...result};
+    } catch (err) {
+      await releaseResources();
+      fail(err, `❌ Send failed: ${err.message}`);
+      throw err;
+    }
+  };
+
+  // `target` skips scanning and sends to that device, as fleet uploads do
+  // for each board in turn.
+  const sendMission = async (
+    waypoints,
+    {fences = [], home = null, target = null} = {},
+  ) => {
+    const held = heldConnection(target);
+    if (!held || machine.getSnapshot().state !== LINK_STATE.STREAMING) {
+      requireIdle('Please wait for current operation to complete.');
+    }
+
+    // Attributes, fences, the home point and the target count as a change
+    // too, not just coordinates.
+    const extras = {fences, home};
+    const mission = JSON.stringify({
+      waypoints,
+      fences,
+      home: home && [home.latitude, home.longitude],
+      target: target && target.id,
+    });
+    const missionChanged = lastSentMission !== mission;
+    log.info('📊 Waypoints changed since last send:', missionChanged);
+
+    if (held) {
+      return sendOnHeldConnection(held, mission, waypoints, extras);
+    }
+
+    // The first transition happens before any await so a second tap cannot
+    // slip in while the link still looks idle. Stay-connected mode never
+    // resets the BLE stack.
+    const useCache = !target && !missionChanged && lastKnownDevice;
+    const fullReset = missionChanged && !settings.stayConnected;
+    if (fullReset) {
+      enter(
+        LINK_STATE.RESETTING,
+        '🔄 Waypoints changed - resetting BLE...',
+        null,
+      );
+    } else if (target || useCache || settings.preferredDevice) {
+      enter(LINK_STATE.CONNECTING, '🚀 Preparing to connect...', null);
+    } else {
+      enter(LINK_STATE.SCANNING, '🔍 Scanning for device...', null);
+    }
+
+    try {
+      if (fullReset) {
+        await resetTransport();
+        log.info('⏳ Allowing BLE stack to settle after reset...');
+        await delay(settleDelay);
+      } else {
+        await releaseResources();
+      }
+
+      await requirePoweredOn();
+
+      let device = null;
+      let result = null;
+
+      if (useCache) {
+        log.info(
+          '🚀 Attempting to use cached device for identical waypoints...',
+        );
+        try {
+          device = lastKnownDevice;
+          result = await deliver(device, waypoints, extras);
+        } catch (err) {
+          if (err.code === LINK_ERROR.REJECTED) {
+            throw err;
+          }
+          log.warn(
+            '❌ Cached device failed, falling back to scan:',
+            err.message,
+          );
+          await releaseResources();
+          lastKnownDevice = null;
+          result = null;
+        }
+      }
+
+      if (!result && !target && settings.preferredDevice) {
+        device = settings.preferredDevice;
+        log.info(`⭐ Trying preferred device ${deviceLabel(device)}...`);
+        try {
+          result = await deliver(device, waypoints, extras, 0);
+        } catch (err) {
+          if (err.code === LINK_ERROR.REJECTED) {
+            throw err;
+          }
+          log.warn(
+            '❌ Preferred device unavailable, falling back to scan:',
+            err.message,
+          );
+          await releaseResources();
+          result = null;
+        }
+      }
+
+      if (!result) {
+        if (target) {
+          log.info(`🎯 Sending to ${deviceLabel(target)} (${target.id})`);
+          device = target;
+        } else {
+          if (machine.getSnapshot().state !== LINK_STATE.SCANNING) {
+            enter(LINK_STATE.SCANNING, '🔍 Scanning for device...', null);
+          }
+          device = await scanForTarget();
+        }
+
+        try {
+          result = await deliver(device, waypoints, extras);
+        } catch (err) {
+          throw err.code
+            ? err
+            : linkError(LINK_ERROR.CONNECT_FAILED, err.message);
+        }
+      }
+
+      lastSentMission = mission;
+      lastSentDeviceId = device.id;
+      lastKnownDevice = device;
+      if (settings.stayConnected) {
+        hold(device, false, '✅ Mission accepted by device, staying connected');
+      } else {
+        await releaseResources();
+        enter(LINK_STATE.DONE, '✅ Mission accepted by device', device);
+      }
+      return {device, ...result};
+    } catch (err) {
+      await releaseResources();
+      if (lastKnownDevice) {
+        log.info('🗑️ Clearing cached device due to failure');
+        lastKnownDevice = null;
+      }
+      fail(err, `❌ Send failed: ${err.message}`);
+      throw err;
+    }
+  };
+
+  // Runs `work` against a device for an operation that leaves no mission
+  // behind: on the held connection as it is, otherwise on `target`, the
+  // last used or the preferred device, scanning only when there is none.
+  // `work` resolves with an object that is returned along with the device.
+  const runOnDevice = async ({
+    target,
+    state,
+    prepare,
+    message,
+    work,
+    done,
+    failure,
+  }) => {
+    const held = heldConnection(target);
+    const streaming = machine.getSnapshot().state === LINK_STATE.STREAMING;
+    if (!held || !streaming) {
+      requireIdle('Please wait for current operation to complete.');
+    }
+
+    if (held) {
+      const device = heldDevice;
+      enter(state, message, device);
+      try {
+        const result = await work(held);
+        hold(device, streaming, done(result));
+        return {device, ...result};
+      } catch (err) {
+        await releaseResources();
+        fail(err, `❌ ${failure}: ${err.message}`);
+        throw err;
+      }
+    }
+
+    const cached = target || lastKnownDevice || settings.preferredDevice;
+    if (cached) {
+      enter(LINK_STATE.CONNECTING, prepare, cached);
+    } else {
+      enter(LINK_STATE.SCANNING, '🔍 Scanning for device...', null);
+    }
+
+    try {
+      await releaseResources();
+      await requirePoweredOn();
+      const device = cached || (await scanForTarget());
+      const connection = await connect(device);
+      enter(state, message);
+      const result = await work(connection);
+      if (!target) {
+        lastKnownDevice = device;
+      }
+      if (settings.stayConnected) {
+        hold(device, false, done(result));
+      } else {
+        await releaseResources();
+        enter(LINK_STATE.IDLE, done(result));
+      }
+      return {device, ...result};
+    } catch (err) {
+      await releaseResources();
+      fail(err, `❌ ${failure}: ${err.message}`);
+      throw err.code ? err : linkError(LINK_ERROR.CONNECT_FAILED, err.message);
+    }
+  };
+
+  // Asks a device what mission it actually stored.
+  const readMission = ({target = null} = {}) =>
+    runOnDevice({
+      target,
+      state: LINK_STATE.READING,
+      prepare: '📥 Preparing to read mission...',
+      message: '📥 Reading stored mission...',
+      work: async connection => decodeMission(await receiveMission(connection)),
+      done: mission =>
+        `📋 Device holds ${mission.waypoints.length} waypoints (${mission.format})`,
+      failure: 'Mission read-back failed',
+    });
+
+  const findConfigCharacteristic = async connection => {
+    const chars = await connection.characteristics();
+    const char = chars.find(c =>
+      sameUUID(c.uuid, settings.configCharacteristicUUID),
+    );
+    if (!char || !char.isReadable || !char.isWritableWithResponse) {
+      throw new Error('Device does not provide a config characteristic.');
+    }
+    return char;
+  };
+
+  const readConfigFrom = async (connection, char) =>
+    decodeConfig(await connection.read(char.serviceUUID, char.uuid));
+
+  // Resolves with {device, values}: every parameter the board reports.
+  const readConfig = ({target = null} = {}) =>
+    runOnDevice({
+      target,
+      state: LINK_STATE.CONFIGURING,
+      prepare: '⚙️ Preparing to read device config...',
+      message: '⚙️ Reading device config...',
+      work: async connection => {
+        const char = await findConfigCharacteristic(connection);
+        return {values: await readConfigFrom(connection, char)};
+      },
+      done: ({values}) =>
+        `⚙️ Device reported ${Object.keys(values).length} settings`,
+      failure: 'Config read failed',
+    });
+
+  // Writes `values` (only the keys given) and reads the config back, so a
+  // setting the board ignored or clamped fails the write instead of being
+  // reported as applied.
+  const writeConfig = async (values, {target = null} = {}) => {
+    const payload = encodeConfig(values);
+    return runOnDevice({
+      target,
+      state: LINK_STATE.CONFIGURING,
+      prepare: '⚙️ Preparing to write device config...',
+      message: `⚙️ Writing ${Object.keys(values).length} settings...`,
+      work: async connection => {
+        const char = await findConfigCharacteristic(connection);
+        await connection.write(char.serviceUUID, char.uuid, payload, {
+          withResponse: true,
+        });
+        const stored = await readConfigFrom(connection, char);
+        const rejected = configMismatches(values, stored);
+        if (rejected.length > 0) {
+          throw new Error(`Device did not apply ${rejected.join(', ')}`);
+        }
+        return {values: stored};
+      },
+      done: () => '✅ Device config updated',
+      failure: 'Config write failed',
+    });
+  };
+
+  // One DFU session per connection; close() ends its subscriptions.
+  // disconnected() tells a lost link, worth resuming after, from a write or
+  // request that failed on a link that is still up.
+  const openDfu = async connection => {
+    const chars = await connection.characteristics();
+    const char = chars.find(c =>
+      sameUUID(c.uuid, settings.dfuCharacteristicUUID),
+    );
+    if (!char || !char.isNotifiable) {
+      throw linkError(
+        LINK_ERROR.UPDATE_UNSUPPORTED,
+        'Device does not support firmware updates over BLE.',
+      );
+    }
+    const strategy = chooseWriteStrategy(char, connection.mtu);
+    const responses = createResponseQueue(parseDfuResponse);
+    const subscription = connection.monitor(
+      char.serviceUUID,
+      char.uuid,
+      (error, bytes) => {
+        if (error) {
+          responses.fail(error);
+          return;
+        }
+        responses.push(bytes);
+      },
+    );
+    let disconnected = false;
+    const dropSubscription = connection.onDisconnected(() => {
+      disconnected = true;
+    });
+    return {
+      ...createDfuSession({
+        responses,
+        write: bytes =>
+          connection.write(char.serviceUUID, char.uuid, bytes, {
+            withResponse: strategy.withResponse,
+          }),
+      }),
+      mtu: connection.mtu,
+      frameSize: strategy.frameSize,
+      chunkSize: strategy.frameSize - DATA_HEADER_SIZE,
+      disconnected: () => disconnected,
+      close: () => {
+        subscription.remove();
+        dropSubscription.remove();
+      },
+    };
+  };
+
+  // Pushes a parsed image (see firmware/image.js) to `target`, the held,
+  // last used or preferred device. The running version is checked first;
+  // a lost link during the upload reconnects and resumes from the offset
+  // the device reports. Once the device has verified the image it reboots
+  // into it and is reconnected to confirm it did not roll back.
+  const updateFirmware = async (
+    image,
+    {target = null, allowDowngrade = false} = {},
+  ) => {
+    requireIdle('Please wait for current operation to complete.');
+    const held = heldConnection(target);
+    let device = held
+      ? heldDevice
+      : target || lastKnownDevice || settings.preferredDevice;
+    if (held) {
+      enter(LINK_STATE.UPDATING, '🔎 Checking firmware version...', device);
+    } else if (device) {
+      enter(LINK_STATE.CONNECTING, '🧩 Preparing firmware update...', device);
+    } else {
+      enter(LINK_STATE.SCANNING, '🔍 Scanning for device...', null);
+    }
+
+    let dfu = null;
+    let previousVersion = null;
+    const closeDfu = () => {
+      if (dfu) {
+        dfu.close();
+        dfu = null;
+      }
+    };
+    const reopen = async (retries, message) => {
+      closeDfu();
+      await releaseResources();
+      const connection = await connect(device, retries);
+      enter(LINK_STATE.UPDATING, message);
+      dfu = await openDfu(connection);
+    };
+    // BEGIN goes out as a single write, so it has to fit the negotiated MTU.
+    const requireRoomForBegin = () => {
+      const needed = buildBeginRequest(image).length;
+      if (needed > dfu.frameSize) {
+        throw linkError(
+          LINK_ERROR.UPDATE_UNSUPPORTED,
+          `Firmware updates need a BLE MTU of at least ${
+            needed + ATT_HEADER_SIZE
+          } bytes, but ${deviceLabel(device)} negotiated ${dfu.mtu}.`,
+        );
+      }
+    };
+
+    try {
+      if (held) {
+        dfu = await openDfu(held);
+      } else {
+        await releaseResources();
+        await requirePoweredOn();
+        device = device || (await scanForTarget());
+        await reopen(maxRetries, '🔎 Checking firmware version...');
+      }
+
+      previousVersion = await dfu.info();
+      log.info(
+        `🧩 ${deviceLabel(device)} runs firmware ${previousVersion}, image is ${
+          image.version
+        }`,
+      );
+      const order = compareVersions(image.version, previousVersion);
+      if (order === 0) {
+        throw linkError(
+          LINK_ERROR.FIRMWARE_CURRENT,
+          `${deviceLabel(device)} already runs firmware ${previousVersion}.`,
+        );
+      }
+      if (order < 0 && !allowDowngrade) {
+        throw linkError(
+          LINK_ERROR.FIRMWARE_DOWNGRADE,
+          `Firmware ${
+            image.version
+          } is older than ${previousVersion} on ${deviceLabel(device)}.`,
+        );
+      }
+
+      for (let attempt = 0; ; attempt++) {
+        requireRoomForBegin();
+        try {
+          const offset = await dfu.begin(image);
+          enter(
+            LINK_STATE.UPDATING,
+            offset > 0
+              ? `📤 Resuming firmware upload at ${formatBytes(offset)}...`
+              : `📤 Uploading firmware ${image.version} (${formatBytes(
+                  image.size,
+                )})...`,
+          );
+          machine.setProgress(offset, image.size);
+          await dfu.upload({
+            image,
+            offset,
+            chunkSize: dfu.chunkSize,
+            onProgress: (sent, total) => machine.setProgress(sent, total),
+          });
+          break;
+        } catch (err) {
+          if (err.dfuStatus !== undefined || attempt >= maxRetries) {
+            throw err;
+          }
+          // The stack can report the disconnect a moment after the write
+          // that failed because of it.
+          await delay(retryDelay);
+          if (!dfu.disconnected()) {
+            throw err;
+          }
+          log.warn(
+            `⚠️ Firmware upload interrupted (${err.message}), reconnecting to resume...`,
+          );
+          await reopen(maxRetries, '🔁 Resuming firmware upload...');
+        }
+      }
+
+      enter(LINK_STATE.UPDATING, '🔐 Device is verifying the image...');
+      await dfu.verify();
+      enter(
+        LINK_STATE.REBOOTING,
+        `🔄 Restarting ${deviceLabel(device)} with firmware ${
+          image.version
+        }...`,
+      );
+      await dfu.apply();
+      closeDfu();
+      await releaseResources();
+      await delay(rebootDelay);
+
+      await reopen(maxRetries, '🔎 Confirming firmware version...');
+      const version = await dfu.info();
+      closeDfu();
+      if (version !== image.version) {
+        throw linkError(
+          LINK_ERROR.ROLLED_BACK,
+          `${deviceLabel(
+            device,
+          )} restarted with firmware ${version} instead of ${
+            image.version
+          }: the new image failed its boot checks and the device rolled back.`,
+        );
+      }
+
+      // Whatever the old firmware stored may not have survived the update.
+      lastSentMission = null;
+      if (!target) {
+        lastKnownDevice = device;
+      }
+      const message = `✅ Firmware updated from ${previousVersion} to ${version}`;
+      if (settings.stayConnected) {
+        hold(device, false, message);
+      } else {
+        await releaseResources();
+        enter(LINK_STATE.IDLE, message);
+      }
+      return {device, previousVersion, version};
+    } catch (err) {
+      closeDfu();
+      await releaseResources();
+      fail(err, `❌ Firmware update failed: ${err.message}`);
+      if (err.dfuStatus !== undefined && previousVersion) {
+        throw linkError(
+          LINK_ERROR.UPDATE_REJECTED,
+          `${err.message}. ${deviceLabel(
+            device,
+          )} discarded the image and keeps running firmware ${previousVersion}.`,
+        );
+      }
+      throw err.code ? err : linkError(LINK_ERROR.UPDATE_FAILED, err.message);
+    }
+  };
+
+  // Errors raised by our own teardown (subscription already released) are
+  // not a lost stream. In stay-connected mode a lost stream is a lost link
+  // and is reconnected.
+  const subscribeTelemetry = async connection => {
+    const chars = await connection.characteristics();
+    const char = chars.find(c =>
+      sameUUID(c.uuid, settings.telemetryCharacteristicUUID),
+    );
+    if (!char || !char.isNotifiable) {
+      throw new Error('Device does not provide a telemetry characteristic.');
+    }
+
+    const subscription = connection.monitor(
+      char.serviceUUID,
+      char.uuid,
+      (error, bytes) => {
+        if (error) {
+          if (telemetrySubscription !== subscription) {
+            return;
+          }
+          if (settings.stayConnected) {
+            handleDisconnect(connection);
+            return;
+          }
+          releaseResources();
+          fail(error, `❌ Telemetry stream lost: ${error.message}`);
+          return;
+        }
+        try {
+          emitter.emit('telemetry', parseTelemetry(bytes));
+        } catch (err) {
+          log.warn('⚠️ Unreadable telemetry message:', err.message);
+        }
+      },
+    );
+    telemetrySubscription = subscription;
+  };
+
+  // Connects to the last used device (or scans for one) and keeps the link
+  // open, forwarding every telemetry notification until stopTelemetry().
+  const startTelemetry = async () => {
+    requireIdle('Please wait for current operation to complete.');
+
+    const held = heldConnection();
+    if (held) {
+      try {
+        await subscribeTelemetry(held);
+      } catch (err) {
+        log.error(`❌ Telemetry failed: ${err.message}`);
+        throw err.code
+          ? err
+          : linkError(LINK_ERROR.CONNECT_FAILED, err.message);
+      }
+      hold(heldDevice, true, '📡 Telemetry streaming');
+      return;
+    }
+
+    const cached = lastKnownDevice || settings.preferredDevice;
+    if (cached) {
+      enter(LINK_STATE.CONNECTING, '📡 Starting telemetry...', cached);
+    } else {
+      enter(LINK_STATE.SCANNING, '📡 Scanning for telemetry source...', null);
+    }
+
+    try {
+      await requirePoweredOn();
+      const device = cached || (await scanForTarget());
+      const connection = await connect(device);
+      await subscribeTelemetry(connection);
+
+      lastKnownDevice = device;
+      heldDevice = device;
+      enter(LINK_STATE.STREAMING, '📡 Telemetry streaming', device);
+    } catch (err) {
+      await releaseResources();
+      fail(err, `❌ Telemetry failed: ${err.message}`);
+      throw err.code ? err : linkError(LINK_ERROR.CONNECT_FAILED, err.message);
+    }
+  };
+
+  // In stay-connected mode only the subscription ends; the link stays up.
+  const stopTelemetry = async () => {
+    if (machine.getSnapshot().state !== LINK_STATE.STREAMING) {
+      return;
+    }
+    if (heldConnection()) {
+      const subscription = telemetrySubscription;
+      telemetrySubscription = null;
+      if (subscription) {
+        subscription.remove();
+      }
+      hold(heldDevice, false, '📡 Telemetry stopped, staying connected');
+      return;
+    }
+    await releaseResources();
+    enter(LINK_STATE.IDLE, '📡 Telemetry stopped');
+  };
+
+  // Follow-me rides on a link that is already open, held or streaming
+  // telemetry, and never opens one itself.
+  const canFollow = () => {
+    const {state} = machine.getSnapshot();
+    return (
+      !!activeConnection &&
+      (state === LINK_STATE.CONNECTED || state === LINK_STATE.STREAMING)
+    );
+  };
+
+  // Writes the phone's position as a moving target, without waiting for an
+  // answer. Resolves false and sends nothing when follow-me cannot use the
+  // link right now; the next position simply tries again.
+  const sendFollowTarget = async position => {
+    if (!canFollow()) {
+      return false;
+    }
+    const connection = activeConnection;
+    if (!followTarget || followTarget.connection !== connection) {
+      const char = await findWritableCharacteristic(connection);
+      followTarget = {
+        connection,
+        char,
+        strategy: chooseWriteStrategy(char, connection.mtu),
+      };
+    }
+    const {char, strategy} = followTarget;
+    followSeq = (followSeq % 0xffff) + 1;
+    await connection.write(
+      char.serviceUUID,
+      char.uuid,
+      buildFollowFrame(followSeq, position),
+      {withResponse: strategy.withResponse},
+    );
+    return true;
+  };
+
+  // Debug scan: collects everything advertising for `duration` ms.
+  // A held connection survives the scan; otherwise the stack is reset first.
+  const scanDevices = async (duration = DEBUG_SCAN_DURATION) => {
+    requireIdle('Please wait for current scan to complete.');
+    const held = heldConnection() ? heldDevice : null;
+    if (held) {
+      enter(
+        LINK_STATE.SCANNING,
+        '🔍 Starting BLE device scan for debugging...',
+      );
+    } else {
+      enter(LINK_STATE.RESETTING, '🔍 Debug scan - resetting BLE...', null);
+    }
+
+    try {
+      if (!held) {
+        await resetTransport();
+        await requirePoweredOn();
+        enter(
+          LINK_STATE.SCANNING,
+          '🔍 Starting BLE device scan for debugging...',
+        );
+      }
+
+      const found = new Map();
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          transport.stopScan();
+          stopActiveScan = null;
+          resolve();
+        }, duration);
+        stopActiveScan = () => {
+          clearTimeout(timer);
+          transport.stopScan();
+          stopActiveScan = null;
+          resolve();
+        };
+
+        // Duplicates keep RSSI fresh for live device lists listening on
+        // 'device'; the returned list holds each device once.
+        transport.startScan(
+          (error, device) => {
+            if (error) {
+              clearTimeout(timer);
+              transport.stopScan();
+              stopActiveScan = null;
+              reject(linkError(LINK_ERROR.SCAN_FAILED, error.message));
+              return;
+            }
+            if (!device) {
+              return;
+            }
+            const previous = found.get(device.id);
+            if (!previous) {
+              log.info(`🛰️ Found: ${device.id} - ${deviceLabel(device)}`);
+            }
+            // Later advertisements may omit the name from the scan response.
+            const merged = {
+              ...device,
+              name: device.name || (previous && previous.name) || null,
+            };
+            found.set(device.id, merged);
+            emitter.emit('device', merged);
+          },
+          {allowDuplicates: true},
+        );
+      });
+
+      const message = `📋 Debug scan found ${found.size} devices`;
+      if (held) {
+        hold(held, false, message);
+      } else {
+        enter(LINK_STATE.IDLE, message);
+      }
+      return [...found.values()];
+    } catch (err) {
+      if (held) {
+        await releaseResources();
+      }
+      fail(err, `❌ Debug scan failed: ${err.message}`);
+      throw err;
+    }
+  };
+
+  // Applies new UUIDs, name patterns or preferred device from the next
+  // operation on. A device found under the old settings is forgotten.
+  // A held link is dropped when stay-connected mode is turned off or the
+  // UUIDs it was found with change.
+  const configure = changes => {
+    const changed = key =>
+      key in changes &&
+      JSON.stringify(changes[key]) !== JSON.stringify(settings[key]);
+    const dropHeld =
+      (changed('stayConnected') && !changes.stayConnected) ||
+      [
+        'serviceUUID',
+        'characteristicUUID',
+        'telemetryCharacteristicUUID',
+        'configCharacteristicUUID',
+        'dfuCharacteristicUUID',
+      ].some(changed);
+    // A new mission format or extras choice only means the mission has to be
+    // sent again; the device to send it to stays the same.
+    const retarget = Object.keys(changes).some(
+      key =>
+        key !== 'missionFormats' && key !== 'missionExtras' && changed(key),
+    );
+    Object.assign(settings, changes);
+    if (retarget) {
+      lastKnownDevice = null;
+    }
+    lastSentMission = null;
+    log.info('⚙️ Link settings updated:', JSON.stringify(settings));
+
+    if (!dropHeld) {
+      return;
+    }
+    // A reconnect that is connecting right now gives up by itself.
+    reconnectToken++;
+    cancelReconnect();
+    const {state} = machine.getSnapshot();
+    if (state === LINK_STATE.CONNECTED || state === LINK_STATE.RECONNECTING) {
+      releaseResources()
+        .then(() => enter(LINK_STATE.IDLE, '🔌 Disconnected from held device'))
+        .catch(err => log.warn('⚠️ Disconnect failed:', err.message));
+    }
+  };
+
+  // Recreates the native BLE stack unless an operation is running. A held
+  // connection is never reset; it reconnects by itself when it drops.
+  const reset = async () => {
+    if (settings.stayConnected) {
+      return;
+    }
+    if (machine.isActive()) {
+      log.warn('⚠️ BLE operation in progress, skipping reset');
+      return;
+    }
+    enter(LINK_STATE.RESETTING, '🔄 Resetting BLE stack...', null);
+    try {
+      await resetTransport();
+      enter(LINK_STATE.IDLE, '✅ BLE ready');
+    } catch (err) {
+      fail(err, `⚠️ BLE reset failed: ${err.message}`);
+    }
+  };
+
+  const cleanup = async () => {
+    log.info('🧹 Cleaning up BLE state...');
+    try {
+      await releaseResources();
+    } catch (err) {
+      log.warn('⚠️ BLE cleanup failed:', err.message);
+    }
+    fail(new Error('Cancelled'), '🧹 Link operation cancelled');
+  };
+
+  return {
+    on: emitter.on,
+    sendMission,
+    readMission,
+    readConfig,
+    writeConfig,
+    updateFirmware,
+    scanDevices,
+    startTelemetry,
+    stopTelemetry,
+    sendFollowTarget,
+    canFollow,
+    reset,
+    cleanup,
+    configure,
+    getSettings: () => ({...settings}),
+    getState: machine.getSnapshot,
+    isBusy: machine.isActive,
+    // Sending is also allowed while a held connection is streaming.
+    canSend: () =>
+      !machine.isActive() ||
+      (machine.getSnapshot().state === LINK_STATE.STREAMING &&
+        !!heldConnection()),
+    getLastDevice: () => lastKnownDevice,
+  };
+};
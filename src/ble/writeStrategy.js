@@ -0,0 +1,54 @@
+import {CHUNK_DELAY, CHUNK_SIZE} from './config';
+
+// ATT_MTU minus the 3-byte ATT write header is the largest value that fits
+// in one write; 512 is the largest attribute value BLE allows at all.
+export const ATT_HEADER_SIZE = 3;
+export const MAX_ATTRIBUTE_SIZE = 512;
+export const DEFAULT_MTU = CHUNK_SIZE + ATT_HEADER_SIZE;
+export const MAX_FRAME_DELAY = CHUNK_DELAY * 4;
+
+export const frameSizeForMtu = mtu =>
+  Math.min(
+    MAX_ATTRIBUTE_SIZE,
+    Math.max(CHUNK_SIZE, (mtu || DEFAULT_MTU) - ATT_HEADER_SIZE),
+  );
+
+// Without-response writes are cheaper and every frame is acknowledged by the
+// firmware anyway; write-with-response is only used when the characteristic
+// offers nothing else.
+export const chooseWriteStrategy = (characteristic, mtu) => {
+  const withResponse = !characteristic.isWritableWithoutResponse;
+  if (withResponse && !characteristic.isWritableWithResponse) {
+    throw new Error(`Characteristic ${characteristic.uuid} is not writable`);
+  }
+  return {
+    withResponse,
+    frameSize: frameSizeForMtu(mtu),
+    // A confirmed write already waits for the link layer, so it starts
+    // unpaced; unconfirmed writes start at the old fixed chunk delay.
+    initialDelay: withResponse ? 0 : CHUNK_DELAY,
+  };
+};
+
+// Inter-frame delay that backs off when frames go missing and relaxes again
+// while they keep getting acknowledged.
+export const createPacer = ({initialDelay = 0, maxDelay = MAX_FRAME_DELAY}) => {
+  let delay = initialDelay;
+
+  return {
+    wait: () =>
+      delay > 0
+        ? new Promise(resolve => setTimeout(resolve, delay))
+        : Promise.resolve(),
+
+    acknowledged() {
+      delay = Math.floor(delay / 2);
+    },
+
+    retransmitting() {
+      delay = Math.min(maxDelay, Math.max(CHUNK_DELAY / 2, delay * 2));
+    },
+
+    currentDelay: () => delay,
+  };
+};
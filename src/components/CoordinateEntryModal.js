@@ -0,0 +1,153 @@
+import React, {useState} from 'react';
+import {
+  Button,
+  Modal,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from 'react-native';
+import {
+  COORDINATE_FORMAT,
+  COORDINATE_FORMAT_LABELS,
+  formatCoordinate,
+  parseCoordinateList,
+} from '../geo/coordinates';
+
+const EXAMPLES = {
+  [COORDINATE_FORMAT.DECIMAL]: '37.788250, -122.432400',
+  [COORDINATE_FORMAT.DMS]: '37°47\'17.70"N 122°25\'56.64"W',
+  [COORDINATE_FORMAT.UTM]: '10S 549977 4182473',
+  [COORDINATE_FORMAT.MGRS]: '10S EG 49976 82473',
+};
+
+// Adds waypoints from typed or pasted coordinates, one per line, in any
+// supported notation. Every line is parsed as it is typed; nothing is
+// added while a line is invalid, so a bad line in a long paste is not
+// silently skipped. Also where the display format is chosen.
+export default function CoordinateEntryModal({
+  visible,
+  onClose,
+  onAdd,
+  format,
+  onChangeFormat,
+}) {
+  const [text, setText] = useState('');
+
+  const {coordinates, errors} = parseCoordinateList(text);
+  const canAdd = coordinates.length > 0 && errors.length === 0;
+
+  const handleAdd = () => {
+    onAdd(coordinates);
+    setText('');
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Enter Coordinates</Text>
+          <Button title="Close" onPress={onClose} />
+        </View>
+
+        <Text style={styles.meta}>Show coordinates as</Text>
+        <View style={styles.row}>
+          {Object.values(COORDINATE_FORMAT).map(option => (
+            <Button
+              key={option}
+              title={
+                option === format
+                  ? `● ${COORDINATE_FORMAT_LABELS[option]}`
+                  : COORDINATE_FORMAT_LABELS[option]
+              }
+              onPress={() => onChangeFormat(option)}
+            />
+          ))}
+        </View>
+
+        <TextInput
+          style={styles.input}
+          value={text}
+          onChangeText={setText}
+          placeholder={Object.values(EXAMPLES).join('\n')}
+          multiline
+          autoCapitalize="characters"
+          autoCorrect={false}
+          textAlignVertical="top"
+        />
+        <Text style={styles.meta}>
+          One coordinate per line: decimal degrees, degrees with minutes or
+          seconds, UTM with its latitude band, or MGRS. Lines starting with #
+          are ignored.
+        </Text>
+
+        <ScrollView style={styles.preview}>
+          {errors.map(error => (
+            <Text key={`error-${error.line}`} style={styles.error}>
+              Line {error.line}: {error.message}
+            </Text>
+          ))}
+          {coordinates.map((coordinate, index) => (
+            <Text key={index} style={styles.meta}>
+              {index + 1}. {formatCoordinate(coordinate, format)}
+            </Text>
+          ))}
+        </ScrollView>
+
+        <Button
+          title={`Add ${coordinates.length} Waypoint${
+            coordinates.length === 1 ? '' : 's'
+          }`}
+          onPress={handleAdd}
+          disabled={!canAdd}
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    paddingTop: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginVertical: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    minHeight: 120,
+    marginBottom: 4,
+  },
+  preview: {
+    flex: 1,
+    marginVertical: 8,
+  },
+  meta: {
+    color: '#666',
+    fontSize: 12,
+  },
+  error: {
+    color: '#c62828',
+    fontSize: 12,
+  },
+});
@@ -0,0 +1,352 @@
+import React, {useCallback, useEffect, useState} from 'react';
+import {
+  Alert,
+  Button,
+  Modal,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from 'react-native';
+import {
+  changedConfig,
+  CONFIG_FIELDS,
+  formatConfigValue,
+  parseConfigInput,
+  validateConfig,
+} from '../deviceConfig/deviceConfig';
+import {
+  deleteProfile,
+  loadProfiles,
+  saveProfile,
+} from '../storage/configProfiles';
+
+const isTextField = field => !field.options && !field.boolean;
+
+// Numbers are edited as typed text; choices and switches as their values.
+const toDraft = values =>
+  Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [
+      key,
+      typeof value === 'number' ? String(value) : value,
+    ]),
+  );
+
+const fromDraft = draft =>
+  Object.fromEntries(
+    Object.entries(draft).map(([key, text]) => [
+      key,
+      parseConfigInput(key, text),
+    ]),
+  );
+
+const nextOption = (options, value) =>
+  options[(options.indexOf(value) + 1) % options.length];
+
+// Reads the firmware parameters of one board, edits them and writes the
+// changed ones back. `targets` are the boards to choose from besides the
+// last used or default device, e.g. the fleet. Only settings the board
+// reported are shown as editable, and a profile applies only those.
+export default function DeviceConfigModal({
+  visible,
+  onClose,
+  targets = [],
+  busy,
+  onRead,
+  onWrite,
+}) {
+  const [targetIndex, setTargetIndex] = useState(0);
+  const [deviceValues, setDeviceValues] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [profiles, setProfiles] = useState([]);
+  const [profileName, setProfileName] = useState('');
+
+  const choices = [null, ...targets];
+  const target = choices[targetIndex] || null;
+
+  const refreshProfiles = useCallback(async () => {
+    try {
+      setProfiles(await loadProfiles());
+    } catch (err) {
+      Alert.alert('Config Profiles', `Could not load profiles: ${err.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (visible) {
+      refreshProfiles();
+    }
+  }, [visible, refreshProfiles]);
+
+  const showValues = values => {
+    setDeviceValues(values);
+    setDraft(toDraft(values));
+  };
+
+  const selectNextTarget = () => {
+    setTargetIndex((targetIndex + 1) % choices.length);
+    setDeviceValues(null);
+    setDraft({});
+  };
+
+  const values = fromDraft(draft);
+  const problems = validateConfig(values);
+  const changes = deviceValues ? changedConfig(deviceValues, values) : {};
+  const changeCount = Object.keys(changes).length;
+  const valid = Object.keys(problems).length === 0;
+
+  const handleRead = async () => {
+    const read = await onRead(target);
+    if (read) {
+      showValues(read);
+    }
+  };
+
+  const handleWrite = async () => {
+    const written = await onWrite(changes, target);
+    if (written) {
+      showValues(written);
+    }
+  };
+
+  const applyProfile = profile => {
+    const applicable = Object.keys(profile.values).filter(key => key in draft);
+    setDraft({
+      ...draft,
+      ...toDraft(
+        Object.fromEntries(applicable.map(key => [key, profile.values[key]])),
+      ),
+    });
+    const skipped = Object.keys(profile.values).length - applicable.length;
+    if (skipped > 0) {
+      Alert.alert(
+        'Profile Applied',
+        `${skipped} setting(s) in "${profile.name}" are not supported by this device and were skipped.`,
+      );
+    }
+  };
+
+  const handleSaveProfile = async () => {
+    try {
+      await saveProfile({name: profileName, values});
+      setProfileName('');
+      await refreshProfiles();
+    } catch (err) {
+      Alert.alert('Save Failed', err.message);
+    }
+  };
+
+  const handleDeleteProfile = profile =>
+    Alert.alert('Delete Profile', `Delete "${profile.name}"?`, [
+      {text: 'Cancel', style: 'cancel'},
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await deleteProfile(profile.id);
+            await refreshProfiles();
+          } catch (err) {
+            Alert.alert('Delete Failed', err.message);
+          }
+        },
+      },
+    ]);
+
+  const renderField = field => {
+    if (!(field.key in draft)) {
+      return (
+        <View key={field.key} style={styles.item}>
+          <Text style={styles.meta}>
+            {field.label}: not reported by this device
+          </Text>
+        </View>
+      );
+    }
+    const value = draft[field.key];
+    const changed = field.key in changes;
+    return (
+      <View key={field.key} style={styles.item}>
+        <Text style={styles.label}>
+          {changed ? '• ' : ''}
+          {field.label}
+          {field.unit ? ` (${field.unit})` : ''}
+        </Text>
+        {isTextField(field) ? (
+          <>
+            <TextInput
+              style={styles.input}
+              value={value}
+              onChangeText={text => setDraft({...draft, [field.key]: text})}
+              keyboardType="decimal-pad"
+            />
+            <Text style={styles.meta}>
+              {field.min} to {field.max}
+            </Text>
+          </>
+        ) : (
+          <Button
+            title={formatConfigValue(field.key, value)}
+            onPress={() =>
+              setDraft({
+                ...draft,
+                [field.key]: field.options
+                  ? nextOption(field.options, value)
+                  : !value,
+              })
+            }
+          />
+        )}
+        {problems[field.key] && (
+          <Text style={styles.error}>{problems[field.key]}</Text>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Device Config</Text>
+          <Button title="Close" onPress={onClose} />
+        </View>
+
+        <View style={styles.row}>
+          <Button
+            title={`Device: ${target ? target.name : 'last used / default'}`}
+            onPress={selectNextTarget}
+            disabled={busy || choices.length < 2}
+          />
+          <Button title="Read" onPress={handleRead} disabled={busy} />
+        </View>
+
+        <ScrollView>
+          {deviceValues ? (
+            CONFIG_FIELDS.map(renderField)
+          ) : (
+            <Text style={styles.meta}>
+              Read the device to see and edit its settings.
+            </Text>
+          )}
+
+          {deviceValues && (
+            <View style={styles.row}>
+              <Button
+                title="Revert"
+                onPress={() => setDraft(toDraft(deviceValues))}
+                disabled={changeCount === 0}
+              />
+              <Button
+                title={`Write ${changeCount} Change${
+                  changeCount === 1 ? '' : 's'
+                }`}
+                onPress={handleWrite}
+                disabled={busy || !valid || changeCount === 0}
+              />
+            </View>
+          )}
+
+          <Text style={styles.heading}>Profiles</Text>
+          {deviceValues && (
+            <View style={styles.row}>
+              <TextInput
+                style={[styles.input, styles.flex]}
+                placeholder="Profile name"
+                value={profileName}
+                onChangeText={setProfileName}
+              />
+              <Button
+                title="Save"
+                onPress={handleSaveProfile}
+                disabled={!valid}
+              />
+            </View>
+          )}
+          {profiles.length === 0 && (
+            <Text style={styles.meta}>No saved profiles yet.</Text>
+          )}
+          {profiles.map(profile => (
+            <View key={profile.id} style={styles.item}>
+              <Text style={styles.label}>{profile.name}</Text>
+              <Text style={styles.meta}>
+                {Object.keys(profile.values).length} settings
+              </Text>
+              <View style={styles.row}>
+                <Button
+                  title="Apply"
+                  onPress={() => applyProfile(profile)}
+                  disabled={!deviceValues}
+                />
+                <Button
+                  title="Delete"
+                  color="#c62828"
+                  onPress={() => handleDeleteProfile(profile)}
+                />
+              </View>
+            </View>
+          ))}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    paddingTop: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginVertical: 6,
+  },
+  flex: {
+    flex: 1,
+    marginRight: 8,
+  },
+  heading: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  item: {
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  label: {
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  meta: {
+    color: '#666',
+    fontSize: 12,
+  },
+  error: {
+    color: '#c62828',
+    fontSize: 12,
+  },
+});
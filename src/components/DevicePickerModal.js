@@ -0,0 +1,211 @@
+import React, {useState} from 'react';
+import {
+  Button,
+  FlatList,
+  Modal,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from 'react-native';
+import {deviceLabel, matchesTarget} from '../ble/waypointLink';
+import {acceptsExtras} from '../mission/encoding';
+import {friendlyName} from '../storage/deviceSettings';
+import LinkSettingsForm from './LinkSettingsForm';
+
+// Strongest signal first; devices that have not reported RSSI go last.
+const byRssi = (a, b) => (b.rssi ?? -Infinity) - (a.rssi ?? -Infinity);
+
+export default function DevicePickerModal({
+  visible,
+  onClose,
+  devices,
+  scanning,
+  onScan,
+  settings,
+  onSaveSettings,
+}) {
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [showSettings, setShowSettings] = useState(false);
+
+  const defaultId = settings.defaultDevice && settings.defaultDevice.id;
+  const listed = [...devices].sort(byRssi);
+  if (defaultId && !listed.some(d => d.id === defaultId)) {
+    listed.push({...settings.defaultDevice, rssi: null, missing: true});
+  }
+
+  const toggleDefault = device =>
+    onSaveSettings({
+      ...settings,
+      defaultDevice:
+        device.id === defaultId
+          ? null
+          : {id: device.id, name: deviceLabel(device)},
+    });
+
+  // Fences and the home point follow the device's format until the operator
+  // picks On or Off for it; the choice cycles Auto -> On -> Off -> Auto.
+  const cycleExtras = id => {
+    const {[id]: choice, ...missionExtras} = settings.missionExtras;
+    onSaveSettings({
+      ...settings,
+      missionExtras:
+        choice === false ? missionExtras : {...missionExtras, [id]: !choice},
+    });
+  };
+
+  const extrasLabel = id => {
+    const choice = settings.missionExtras[id];
+    if (typeof choice === 'boolean') {
+      return choice ? 'On' : 'Off';
+    }
+    return `Auto (${acceptsExtras(settings, id) ? 'on' : 'off'})`;
+  };
+
+  const saveName = id => {
+    const {[id]: _previous, ...friendlyNames} = settings.friendlyNames;
+    const name = editingName.trim();
+    onSaveSettings({
+      ...settings,
+      friendlyNames: name ? {...friendlyNames, [id]: name} : friendlyNames,
+    });
+    setEditingId(null);
+  };
+
+  const renderDevice = ({item}) => {
+    const alias = friendlyName(settings, item);
+    const isDefault = item.id === defaultId;
+    return (
+      <View style={styles.device}>
+        {editingId === item.id ? (
+          <View style={styles.row}>
+            <TextInput
+              style={[styles.input, styles.flex]}
+              value={editingName}
+              onChangeText={setEditingName}
+              placeholder={deviceLabel(item)}
+              autoFocus
+            />
+            <Button title="OK" onPress={() => saveName(item.id)} />
+            <Button title="Cancel" onPress={() => setEditingId(null)} />
+          </View>
+        ) : (
+          <Text style={styles.name}>
+            {isDefault ? '⭐ ' : ''}
+            {alias || deviceLabel(item)}
+            {alias ? ` (${deviceLabel(item)})` : ''}
+          </Text>
+        )}
+        <Text style={styles.meta}>
+          {item.id} ·{' '}
+          {item.missing
+            ? 'not in range'
+            : item.rssi == null
+            ? 'RSSI unknown'
+            : `${item.rssi} dBm`}
+          {matchesTarget(item, settings) ? ' · compatible' : ''}
+        </Text>
+        <View style={styles.row}>
+          <Button
+            title={isDefault ? 'Unset Default' : 'Set Default'}
+            onPress={() => toggleDefault(item)}
+          />
+          <Button
+            title="Rename"
+            onPress={() => {
+              setEditingId(item.id);
+              setEditingName(alias || '');
+            }}
+          />
+          <Button
+            title={`Fences & Home: ${extrasLabel(item.id)}`}
+            onPress={() => cycleExtras(item.id)}
+          />
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Devices</Text>
+          <Button title="Close" onPress={onClose} />
+        </View>
+        <View style={styles.row}>
+          <Button
+            title={scanning ? 'Scanning...' : 'Scan Again'}
+            onPress={onScan}
+            disabled={scanning}
+          />
+          <Button
+            title={showSettings ? 'Hide Settings' : 'Link Settings'}
+            onPress={() => setShowSettings(!showSettings)}
+          />
+        </View>
+        {showSettings && (
+          <LinkSettingsForm settings={settings} onSave={onSaveSettings} />
+        )}
+        <FlatList
+          data={listed}
+          keyExtractor={item => item.id}
+          renderItem={renderDevice}
+          ListEmptyComponent={
+            <Text style={styles.meta}>
+              {scanning ? 'Looking for devices...' : 'No devices found.'}
+            </Text>
+          }
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    paddingTop: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  device: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  name: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  meta: {
+    color: '#666',
+    fontSize: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  flex: {
+    flex: 1,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+});
@@ -0,0 +1,68 @@
+import React from 'react';
+import {Marker, Polygon, Polyline} from 'react-native-maps';
+import {FENCE_TYPE} from '../mission/geofence';
+
+const FENCE_STYLES = {
+  [FENCE_TYPE.KEEP_IN]: {
+    strokeColor: '#2e7d32',
+    fillColor: 'rgba(46, 125, 50, 0.08)',
+    pinColor: 'green',
+  },
+  [FENCE_TYPE.KEEP_OUT]: {
+    strokeColor: '#c62828',
+    fillColor: 'rgba(198, 40, 40, 0.25)',
+    pinColor: 'red',
+  },
+};
+
+// Rendered inside the MapView: saved fences, the fence being drawn, and the
+// route legs that break a fence drawn over the route in red.
+export default function FenceOverlay({
+  fences,
+  draft,
+  waypoints,
+  offendingSegments,
+  onFencePress,
+}) {
+  return (
+    <>
+      {fences.map(fence => (
+        <Polygon
+          key={fence.id}
+          coordinates={fence.points}
+          strokeWidth={2}
+          strokeColor={FENCE_STYLES[fence.type].strokeColor}
+          fillColor={FENCE_STYLES[fence.type].fillColor}
+          tappable
+          onPress={() => onFencePress(fence)}
+        />
+      ))}
+      {draft &&
+        draft.points.map((point, index) => (
+          <Marker
+            key={`draft-${index}`}
+            coordinate={point}
+            pinColor={FENCE_STYLES[draft.type].pinColor}
+            title={`Fence point ${index + 1}`}
+          />
+        ))}
+      {draft && draft.points.length > 1 && (
+        <Polyline
+          coordinates={draft.points}
+          strokeColor={FENCE_STYLES[draft.type].strokeColor}
+          strokeWidth={2}
+          lineDashPattern={[4, 4]}
+        />
+      )}
+      {offendingSegments.map(segment => (
+        <Polyline
+          key={`violation-${segment}`}
+          coordinates={[waypoints[segment], waypoints[segment + 1]]}
+          strokeColor="#ff1744"
+          strokeWidth={6}
+          zIndex={2}
+        />
+      ))}
+    </>
+  );
+}
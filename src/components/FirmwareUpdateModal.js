@@ -0,0 +1,154 @@
+import React, {useState} from 'react';
+import {Button, Modal, StyleSheet, Text, View} from 'react-native';
+import {LINK_STATE} from '../ble/connectionMachine';
+import {formatBytes, shortHash} from '../firmware/image';
+
+const UPDATE_STATES = [
+  LINK_STATE.SCANNING,
+  LINK_STATE.CONNECTING,
+  LINK_STATE.DISCOVERING,
+  LINK_STATE.UPDATING,
+  LINK_STATE.REBOOTING,
+];
+
+// Picks a firmware image on the phone and pushes it to one board. The link
+// status is shown here as well, since the status bar is hidden behind the
+// modal for the minutes an update takes.
+export default function FirmwareUpdateModal({
+  visible,
+  onClose,
+  image,
+  onPickImage,
+  onUpdate,
+  targets = [],
+  status,
+  busy,
+}) {
+  const [targetIndex, setTargetIndex] = useState(0);
+
+  const choices = [null, ...targets];
+  const target = choices[targetIndex] || null;
+  const updating = status && UPDATE_STATES.includes(status.state);
+  const progress = status && status.progress;
+  const fraction =
+    updating && progress && progress.total > 0
+      ? progress.sent / progress.total
+      : null;
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Firmware Update</Text>
+          <Button title="Close" onPress={onClose} disabled={updating} />
+        </View>
+
+        <View style={styles.section}>
+          {image ? (
+            <>
+              <Text style={styles.name}>{image.name}</Text>
+              <Text style={styles.meta}>
+                {image.project || 'Unknown project'} · version {image.version}
+              </Text>
+              <Text style={styles.meta}>
+                {formatBytes(image.size)} · SHA-256 {shortHash(image.hash)}…
+                {image.built ? ` · built ${image.built}` : ''}
+              </Text>
+            </>
+          ) : (
+            <Text style={styles.meta}>No firmware image selected.</Text>
+          )}
+          <Button
+            title="Choose Image"
+            onPress={onPickImage}
+            disabled={updating}
+          />
+        </View>
+
+        <View style={styles.row}>
+          <Button
+            title={`Device: ${target ? target.name : 'last used / default'}`}
+            onPress={() => setTargetIndex((targetIndex + 1) % choices.length)}
+            disabled={busy || choices.length < 2}
+          />
+          <Button
+            title="Update"
+            onPress={() => onUpdate(target)}
+            disabled={busy || !image}
+          />
+        </View>
+
+        {updating && (
+          <View style={styles.section}>
+            <Text style={styles.status}>{status.message}</Text>
+            {fraction !== null && (
+              <>
+                <View style={styles.track}>
+                  <View style={[styles.fill, {width: `${fraction * 100}%`}]} />
+                </View>
+                <Text style={styles.meta}>
+                  {formatBytes(progress.sent)} of {formatBytes(progress.total)}
+                </Text>
+              </>
+            )}
+          </View>
+        )}
+
+        <Text style={styles.meta}>
+          Keep the phone close to the board until the update finishes. An
+          interrupted upload resumes where it stopped when you run it again. The
+          board keeps its current firmware until the new image has been
+          verified, and rolls back by itself if the new image fails to start.
+        </Text>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    paddingTop: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  section: {
+    marginBottom: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  name: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  status: {
+    marginBottom: 6,
+  },
+  track: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#e0e0e0',
+    overflow: 'hidden',
+  },
+  fill: {
+    height: 6,
+    backgroundColor: '#1976d2',
+  },
+  meta: {
+    color: '#666',
+    fontSize: 12,
+  },
+});
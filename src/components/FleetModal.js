@@ -0,0 +1,170 @@
+import React from 'react';
+import {Button, FlatList, Modal, StyleSheet, Text, View} from 'react-native';
+import {deviceLabel} from '../ble/waypointLink';
+import {findVehicle, UPLOAD_STATUS} from '../fleet/fleet';
+
+const RESULT_COLORS = {
+  [UPLOAD_STATUS.SENT]: '#2e7d32',
+  [UPLOAD_STATUS.FAILED]: '#c62828',
+  [UPLOAD_STATUS.SKIPPED]: '#666',
+};
+
+export default function FleetModal({
+  visible,
+  onClose,
+  fleet,
+  activeVehicleId,
+  discovered,
+  results,
+  busy,
+  onScan,
+  onAdd,
+  onRemove,
+  onSelect,
+  onAssignCurrent,
+  onUploadAll,
+}) {
+  const candidates = discovered.filter(d => !findVehicle(fleet, d.id));
+
+  const renderVehicle = ({item}) => {
+    const result = results[item.id];
+    const active = item.id === activeVehicleId;
+    return (
+      <View style={styles.vehicle}>
+        <View style={styles.row}>
+          <View style={[styles.swatch, {backgroundColor: item.color}]} />
+          <View style={styles.flex}>
+            <Text style={styles.name}>
+              {item.name}
+              {active ? ' (editing)' : ''}
+            </Text>
+            <Text style={styles.meta}>
+              {item.id} · {item.waypoints.length} waypoints
+            </Text>
+            {result && (
+              <Text style={{color: RESULT_COLORS[result.status]}}>
+                {result.message}
+              </Text>
+            )}
+          </View>
+        </View>
+        <View style={styles.row}>
+          <Button
+            title={active ? 'Stop Editing' : 'Edit Route'}
+            onPress={() => onSelect(item.id)}
+          />
+          <Button
+            title="Use Current"
+            onPress={() => onAssignCurrent(item.id)}
+            disabled={active}
+          />
+          <Button
+            title="Remove"
+            color="#c62828"
+            onPress={() => onRemove(item.id)}
+          />
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Fleet</Text>
+          <Button title="Close" onPress={onClose} />
+        </View>
+
+        <View style={styles.row}>
+          <Button title="Scan for Devices" onPress={onScan} disabled={busy} />
+          <Button
+            title="Upload All"
+            onPress={onUploadAll}
+            disabled={busy || fleet.length === 0}
+          />
+        </View>
+
+        <FlatList
+          data={fleet}
+          keyExtractor={item => item.id}
+          renderItem={renderVehicle}
+          ListEmptyComponent={
+            <Text style={styles.meta}>
+              No vehicles yet. Scan and add the boards you want to control.
+            </Text>
+          }
+          ListFooterComponent={
+            candidates.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Discovered</Text>
+                {candidates.map(device => (
+                  <View key={device.id} style={styles.row}>
+                    <View style={styles.flex}>
+                      <Text>{deviceLabel(device)}</Text>
+                      <Text style={styles.meta}>{device.id}</Text>
+                    </View>
+                    <Button title="Add" onPress={() => onAdd(device)} />
+                  </View>
+                ))}
+              </View>
+            )
+          }
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    paddingTop: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  vehicle: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  flex: {
+    flex: 1,
+  },
+  swatch: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    marginRight: 10,
+  },
+  name: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  meta: {
+    color: '#666',
+    fontSize: 12,
+  },
+  section: {
+    marginTop: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,107 @@
+import React, {useEffect, useState} from 'react';
+import {Alert, Button, StyleSheet, Text, TextInput, View} from 'react-native';
+import {
+  DEFAULT_DEVICE_SETTINGS,
+  parseNamePatterns,
+  validateDeviceSettings,
+} from '../storage/deviceSettings';
+
+const FIELDS = [
+  {key: 'serviceUUID', label: 'Service UUID'},
+  {key: 'characteristicUUID', label: 'Mission characteristic UUID'},
+  {key: 'telemetryCharacteristicUUID', label: 'Telemetry characteristic UUID'},
+  {key: 'configCharacteristicUUID', label: 'Config characteristic UUID'},
+  {key: 'dfuCharacteristicUUID', label: 'Firmware update characteristic UUID'},
+];
+
+const toDraft = settings => ({
+  namePatterns: settings.namePatterns.join(', '),
+  serviceUUID: settings.serviceUUID,
+  characteristicUUID: settings.characteristicUUID,
+  telemetryCharacteristicUUID: settings.telemetryCharacteristicUUID,
+  configCharacteristicUUID: settings.configCharacteristicUUID,
+  dfuCharacteristicUUID: settings.dfuCharacteristicUUID,
+});
+
+export default function LinkSettingsForm({settings, onSave}) {
+  const [draft, setDraft] = useState(toDraft(settings));
+
+  useEffect(() => setDraft(toDraft(settings)), [settings]);
+
+  const save = values => {
+    const next = {
+      ...settings,
+      ...values,
+      namePatterns: Array.isArray(values.namePatterns)
+        ? values.namePatterns
+        : parseNamePatterns(values.namePatterns),
+    };
+    try {
+      validateDeviceSettings(next);
+    } catch (err) {
+      Alert.alert('Invalid Settings', err.message);
+      return;
+    }
+    onSave(next);
+  };
+
+  const resetDefaults = () => {
+    const {defaultDevice, friendlyNames, stayConnected, ...defaults} =
+      DEFAULT_DEVICE_SETTINGS;
+    save(defaults);
+  };
+
+  return (
+    <View style={styles.form}>
+      <Text style={styles.label}>Device name patterns (comma separated)</Text>
+      <TextInput
+        style={styles.input}
+        value={draft.namePatterns}
+        onChangeText={text => setDraft({...draft, namePatterns: text})}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+      {FIELDS.map(({key, label}) => (
+        <View key={key}>
+          <Text style={styles.label}>{label}</Text>
+          <TextInput
+            style={styles.input}
+            value={draft[key]}
+            onChangeText={text => setDraft({...draft, [key]: text.trim()})}
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+        </View>
+      ))}
+      <View style={styles.row}>
+        <Button title="Reset Defaults" onPress={resetDefaults} />
+        <Button title="Save Settings" onPress={() => save(draft)} />
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  form: {
+    paddingVertical: 8,
+  },
+  label: {
+    fontWeight: 'bold',
+    fontSize: 12,
+    marginBottom: 2,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginBottom: 8,
+    fontFamily: 'monospace',
+    fontSize: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+});
@@ -0,0 +1,122 @@
+import React from 'react';
+import {StyleSheet, Text, View} from 'react-native';
+import {LINK_STATE} from '../ble/connectionMachine';
+import {deviceLabel} from '../ble/waypointLink';
+import {formatBytes} from '../firmware/image';
+
+const STEP_LABELS = {
+  [LINK_STATE.RESETTING]: 'Resetting Bluetooth',
+  [LINK_STATE.SCANNING]: 'Scanning',
+  [LINK_STATE.CONNECTING]: 'Connecting',
+  [LINK_STATE.DISCOVERING]: 'Discovering services',
+  [LINK_STATE.TRANSFERRING]: 'Transferring mission',
+  [LINK_STATE.VERIFYING]: 'Verifying',
+  [LINK_STATE.READING]: 'Reading mission',
+  [LINK_STATE.CONFIGURING]: 'Device configuration',
+  [LINK_STATE.UPDATING]: 'Updating firmware',
+  [LINK_STATE.REBOOTING]: 'Restarting device',
+  [LINK_STATE.STREAMING]: 'Streaming telemetry',
+  [LINK_STATE.CONNECTED]: 'Connected',
+  [LINK_STATE.RECONNECTING]: 'Reconnecting',
+  [LINK_STATE.DONE]: 'Mission accepted',
+  [LINK_STATE.FAILED]: 'Failed',
+};
+
+const STEP_COLORS = {
+  [LINK_STATE.DONE]: '#2e7d32',
+  [LINK_STATE.CONNECTED]: '#2e7d32',
+  [LINK_STATE.RECONNECTING]: '#ef6c00',
+  [LINK_STATE.FAILED]: '#c62828',
+};
+
+// Long-running steps whose current message says more than the label.
+const MESSAGE_STATES = [
+  LINK_STATE.RECONNECTING,
+  LINK_STATE.UPDATING,
+  LINK_STATE.REBOOTING,
+];
+
+export default function LinkStatusBar({status}) {
+  if (!status || status.state === LINK_STATE.IDLE) {
+    return null;
+  }
+
+  const {state, device, message, progress, error} = status;
+  const fraction =
+    progress && progress.total > 0 ? progress.sent / progress.total : null;
+
+  return (
+    <View
+      style={[
+        styles.container,
+        {backgroundColor: STEP_COLORS[state] || '#263238'},
+      ]}>
+      <View style={styles.row}>
+        <Text style={styles.step}>{STEP_LABELS[state] || state}</Text>
+        {device && <Text style={styles.device}>{deviceLabel(device)}</Text>}
+      </View>
+      {fraction !== null && (
+        <View style={styles.track}>
+          <View style={[styles.fill, {width: `${fraction * 100}%`}]} />
+        </View>
+      )}
+      {fraction !== null && state !== LINK_STATE.UPDATING && (
+        <Text style={styles.detail}>
+          Frame {progress.sent}/{progress.total}
+        </Text>
+      )}
+      {fraction !== null && state === LINK_STATE.UPDATING && (
+        <Text style={styles.detail}>
+          {formatBytes(progress.sent)} of {formatBytes(progress.total)} (
+          {Math.floor(fraction * 100)}%)
+        </Text>
+      )}
+      {state === LINK_STATE.FAILED && error && (
+        <Text style={styles.detail}>{error}</Text>
+      )}
+      {MESSAGE_STATES.includes(state) && message && (
+        <Text style={styles.detail}>{message}</Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 40,
+    left: 20,
+    right: 20,
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    opacity: 0.92,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  step: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  device: {
+    color: '#cfd8dc',
+  },
+  track: {
+    height: 4,
+    marginTop: 6,
+    borderRadius: 2,
+    backgroundColor: 'rgba(255,255,255,0.3)',
+  },
+  fill: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#fff',
+  },
+  detail: {
+    marginTop: 4,
+    color: '#eceff1',
+    fontSize: 12,
+  },
+});
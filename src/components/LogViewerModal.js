@@ -0,0 +1,162 @@
+import React, {useEffect, useState} from 'react';
+import {
+  Alert,
+  Button,
+  FlatList,
+  Modal,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from 'react-native';
+import {
+  filterEntries,
+  LOG_CATEGORY,
+  LOG_LEVEL,
+  logger,
+} from '../logging/logger';
+
+const LEVEL_COLORS = {
+  [LOG_LEVEL.DEBUG]: '#999',
+  [LOG_LEVEL.INFO]: '#333',
+  [LOG_LEVEL.WARN]: '#ef6c00',
+  [LOG_LEVEL.ERROR]: '#c62828',
+};
+
+const LEVELS = Object.values(LOG_LEVEL);
+const CATEGORIES = [null, ...Object.values(LOG_CATEGORY)];
+
+const formatTime = time => new Date(time).toLocaleTimeString();
+
+// The in-app log, newest first, filtered by minimum level, category and
+// text. Entries from earlier launches are dimmed.
+export default function LogViewerModal({visible, onClose, onExport}) {
+  const [entries, setEntries] = useState([]);
+  const [level, setLevel] = useState(LOG_LEVEL.INFO);
+  const [category, setCategory] = useState(null);
+  const [query, setQuery] = useState('');
+
+  useEffect(() => {
+    if (!visible) {
+      return undefined;
+    }
+    const refresh = () => setEntries(logger.getEntries());
+    refresh();
+    const unsubscribers = ['entry', 'restore', 'clear'].map(event =>
+      logger.on(event, refresh),
+    );
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [visible]);
+
+  const cycleLevel = () =>
+    setLevel(LEVELS[(LEVELS.indexOf(level) + 1) % LEVELS.length]);
+
+  const cycleCategory = () =>
+    setCategory(
+      CATEGORIES[(CATEGORIES.indexOf(category) + 1) % CATEGORIES.length],
+    );
+
+  const handleClear = () =>
+    Alert.alert('Clear Log', 'Delete all log entries?', [
+      {text: 'Cancel', style: 'cancel'},
+      {text: 'Clear', style: 'destructive', onPress: () => logger.clear()},
+    ]);
+
+  const session = logger.getSession();
+  const shown = filterEntries(entries, {level, category, query}).reverse();
+
+  const renderEntry = ({item}) => (
+    <View style={[styles.entry, item.session !== session && styles.previous]}>
+      <Text style={styles.meta}>
+        {formatTime(item.time)} · {item.category} · {item.level}
+      </Text>
+      <Text style={{color: LEVEL_COLORS[item.level]}}>{item.message}</Text>
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Log</Text>
+          <Button title="Close" onPress={onClose} />
+        </View>
+
+        <View style={styles.row}>
+          <Button title={`Level: ${level}+`} onPress={cycleLevel} />
+          <Button
+            title={`Category: ${category || 'all'}`}
+            onPress={cycleCategory}
+          />
+        </View>
+        <TextInput
+          style={styles.input}
+          placeholder="Search the log"
+          value={query}
+          onChangeText={setQuery}
+        />
+        <Text style={styles.meta}>
+          {shown.length} of {entries.length} entries
+        </Text>
+
+        <FlatList
+          data={shown}
+          keyExtractor={item => item.id}
+          renderItem={renderEntry}
+          ListEmptyComponent={
+            <Text style={styles.meta}>No log entries match.</Text>
+          }
+        />
+
+        <View style={styles.row}>
+          <Button title="Clear" color="#c62828" onPress={handleClear} />
+          <Button title="Export Diagnostics" onPress={onExport} />
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    paddingTop: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginVertical: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginBottom: 8,
+  },
+  entry: {
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  previous: {
+    opacity: 0.6,
+  },
+  meta: {
+    color: '#666',
+    fontSize: 12,
+  },
+});
@@ -0,0 +1,69 @@
+import React from 'react';
+import {Marker, Polyline} from 'react-native-maps';
+import {DIFF_KIND} from '../mission/verify';
+
+const DIFF_STYLES = {
+  [DIFF_KIND.SHIFTED]: {pinColor: 'orange', strokeColor: '#ff9800'},
+  [DIFF_KIND.CHANGED]: {pinColor: 'orange'},
+  [DIFF_KIND.MISSING]: {pinColor: 'red'},
+  [DIFF_KIND.EXTRA]: {pinColor: 'violet'},
+};
+
+const describeEntry = entry => {
+  const name = `WP${entry.index + 1}`;
+  switch (entry.kind) {
+    case DIFF_KIND.SHIFTED:
+      return `${name} stored ${entry.offset.toFixed(1)} m away`;
+    case DIFF_KIND.CHANGED:
+      return `${name} stored with different ${entry.attributes.join(', ')}`;
+    case DIFF_KIND.MISSING:
+      return `${name} is not on the device`;
+    default:
+      return `${name} is on the device but not in this route`;
+  }
+};
+
+// Rendered inside the MapView after a read-back: the route the device
+// holds as a dashed line, and a marker for every waypoint that differs.
+// Missing points are marked where they should be, the rest where the
+// device has them.
+export default function MissionDiffOverlay({stored, diff}) {
+  const differences = diff.entries.filter(
+    entry => entry.kind !== DIFF_KIND.MATCH,
+  );
+
+  return (
+    <>
+      {stored.length > 1 && (
+        <Polyline
+          coordinates={stored}
+          strokeColor="#455a64"
+          strokeWidth={2}
+          lineDashPattern={[2, 6]}
+          zIndex={3}
+        />
+      )}
+      {differences.map(entry => (
+        <React.Fragment key={`diff-${entry.index}`}>
+          {entry.kind === DIFF_KIND.SHIFTED && (
+            <Polyline
+              coordinates={[entry.expected, entry.actual]}
+              strokeColor={DIFF_STYLES[entry.kind].strokeColor}
+              strokeWidth={3}
+              lineDashPattern={[4, 4]}
+              zIndex={3}
+            />
+          )}
+          <Marker
+            coordinate={
+              entry.kind === DIFF_KIND.MISSING ? entry.expected : entry.actual
+            }
+            pinColor={DIFF_STYLES[entry.kind].pinColor}
+            title={`Verify: ${entry.kind}`}
+            description={describeEntry(entry)}
+          />
+        </React.Fragment>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,37 @@
+import React from 'react';
+import {LocalTile, Polygon} from 'react-native-maps';
+import {boundsPolygon} from '../tiles/tilePacks';
+
+const TILE_SIZE = 256;
+
+// Rendered inside the MapView: the tiles of every installed pack while
+// offline tiles are in use, and the outline of each pack's coverage when
+// asked for.
+export default function OfflineTileOverlay({packs, offline, showCoverage}) {
+  return (
+    <>
+      {offline &&
+        packs.map(pack => (
+          <LocalTile
+            key={`tiles-${pack.id}`}
+            pathTemplate={`${pack.path}/{z}/{x}/{y}.${pack.format}`}
+            tileSize={TILE_SIZE}
+            zIndex={-1}
+          />
+        ))}
+      {showCoverage &&
+        packs
+          .filter(pack => pack.bounds)
+          .map(pack => (
+            <Polygon
+              key={`coverage-${pack.id}`}
+              coordinates={boundsPolygon(pack.bounds)}
+              strokeColor="#00796b"
+              fillColor="rgba(0, 121, 107, 0.08)"
+              strokeWidth={2}
+              lineDashPattern={[10, 5]}
+            />
+          ))}
+    </>
+  );
+}
@@ -0,0 +1,255 @@
+import React, {useState} from 'react';
+import {
+  Button,
+  Modal,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from 'react-native';
+import {
+  analyzeRoute,
+  DEFAULT_CRUISE_SPEED,
+  DEFAULT_MAX_TURN,
+  formatBearing,
+  formatDistance,
+  formatDuration,
+  formatSpeed,
+  fromMetersPerSecond,
+  speedUnitLabel,
+  toMetersPerSecond,
+  UNIT_SYSTEM,
+} from '../mission/analytics';
+import {formatCoordinate} from '../geo/coordinates';
+import {describeAttributes} from '../mission/attributes';
+import {waypointLabel} from '../mission/editing';
+
+const turnDirection = angle => {
+  if (angle === 0) {
+    return 'straight';
+  }
+  return angle > 0 ? 'right' : 'left';
+};
+
+// Route breakdown per leg and per turn. Cruise speed and turn limit are
+// kept as the strings typed and fall back to the defaults while invalid.
+export default function RouteAnalyticsModal({
+  visible,
+  onClose,
+  waypoints,
+  coordinateFormat,
+}) {
+  const [units, setUnits] = useState(UNIT_SYSTEM.METRIC);
+  const [speedText, setSpeedText] = useState(
+    fromMetersPerSecond(DEFAULT_CRUISE_SPEED, UNIT_SYSTEM.METRIC).toFixed(1),
+  );
+  const [maxTurnText, setMaxTurnText] = useState(String(DEFAULT_MAX_TURN));
+
+  const speedValue = parseFloat(speedText);
+  const cruiseSpeed =
+    speedValue > 0
+      ? toMetersPerSecond(speedValue, units)
+      : DEFAULT_CRUISE_SPEED;
+  const maxTurnValue = parseFloat(maxTurnText);
+  const maxTurn =
+    maxTurnValue >= 0 && maxTurnValue <= 180 ? maxTurnValue : DEFAULT_MAX_TURN;
+
+  const changeUnits = next => {
+    if (speedValue > 0) {
+      setSpeedText(fromMetersPerSecond(cruiseSpeed, next).toFixed(1));
+    }
+    setUnits(next);
+  };
+
+  const analysis = analyzeRoute(waypoints, {cruiseSpeed, maxTurn});
+  const sharpTurns = analysis.turns.filter(turn => turn.sharp).length;
+  const label = index => waypointLabel(index, waypoints.length);
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Route Information</Text>
+          <Button title="Close" onPress={onClose} />
+        </View>
+
+        <View style={styles.row}>
+          {Object.values(UNIT_SYSTEM).map(system => (
+            <Button
+              key={system}
+              title={system === units ? `● ${system}` : system}
+              onPress={() => changeUnits(system)}
+            />
+          ))}
+        </View>
+        <View style={styles.row}>
+          <View style={styles.field}>
+            <Text style={styles.meta}>
+              Cruise speed ({speedUnitLabel(units)})
+            </Text>
+            <TextInput
+              style={styles.input}
+              value={speedText}
+              onChangeText={setSpeedText}
+              keyboardType="decimal-pad"
+            />
+          </View>
+          <View style={styles.field}>
+            <Text style={styles.meta}>Max turn (°)</Text>
+            <TextInput
+              style={styles.input}
+              value={maxTurnText}
+              onChangeText={setMaxTurnText}
+              keyboardType="number-pad"
+            />
+          </View>
+        </View>
+
+        <ScrollView>
+          <View style={styles.section}>
+            <Text style={styles.summary}>
+              {waypoints.length} waypoints ·{' '}
+              {formatDistance(analysis.totalDistance, units)} ·{' '}
+              {formatDuration(analysis.totalDuration)}
+            </Text>
+            {sharpTurns > 0 && (
+              <Text style={styles.warning}>
+                ⚠️ {sharpTurns} turn{sharpTurns === 1 ? '' : 's'} sharper than{' '}
+                {maxTurn}°
+              </Text>
+            )}
+            {analysis.bounds && (
+              <Text style={styles.meta}>
+                Bounds:{' '}
+                {formatCoordinate(
+                  {
+                    latitude: analysis.bounds.minLat,
+                    longitude: analysis.bounds.minLng,
+                  },
+                  coordinateFormat,
+                )}{' '}
+                to{' '}
+                {formatCoordinate(
+                  {
+                    latitude: analysis.bounds.maxLat,
+                    longitude: analysis.bounds.maxLng,
+                  },
+                  coordinateFormat,
+                )}
+              </Text>
+            )}
+          </View>
+
+          <Text style={styles.heading}>Waypoints</Text>
+          {waypoints.map((wp, index) => {
+            const attributes = describeAttributes(wp);
+            return (
+              <View key={index} style={styles.item}>
+                <Text style={styles.itemTitle}>{label(index)}</Text>
+                <Text style={styles.meta}>
+                  {formatCoordinate(wp, coordinateFormat)}
+                  {attributes ? ` · ${attributes}` : ''}
+                </Text>
+              </View>
+            );
+          })}
+
+          {analysis.legs.length > 0 && <Text style={styles.heading}>Legs</Text>}
+          {analysis.legs.map(leg => (
+            <View key={leg.index} style={styles.item}>
+              <Text style={styles.itemTitle}>
+                {label(leg.index)} → {label(leg.index + 1)}
+              </Text>
+              <Text style={styles.meta}>
+                {formatDistance(leg.distance, units)} ·{' '}
+                {formatBearing(leg.bearing)} · {formatSpeed(leg.speed, units)} ·{' '}
+                {formatDuration(leg.duration)}
+              </Text>
+              <Text style={styles.meta}>
+                Total {formatDistance(leg.cumulative, units)} · ETA{' '}
+                {formatDuration(leg.elapsed)}
+              </Text>
+            </View>
+          ))}
+
+          {analysis.turns.length > 0 && (
+            <Text style={styles.heading}>Turns</Text>
+          )}
+          {analysis.turns.map(turn => (
+            <View key={turn.index} style={styles.item}>
+              <Text style={[styles.meta, turn.sharp && styles.warning]}>
+                {turn.sharp ? '⚠️ ' : ''}
+                {label(turn.index)}: {Math.abs(Math.round(turn.angle))}°{' '}
+                {turnDirection(turn.angle)}
+              </Text>
+            </View>
+          ))}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    paddingTop: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  field: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  section: {
+    marginBottom: 16,
+  },
+  summary: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  heading: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  item: {
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  itemTitle: {
+    fontWeight: 'bold',
+  },
+  meta: {
+    color: '#666',
+    fontSize: 12,
+  },
+  warning: {
+    color: '#c62828',
+  },
+});
@@ -0,0 +1,238 @@
+import React, {useCallback, useEffect, useState} from 'react';
+import {
+  Alert,
+  Button,
+  FlatList,
+  Modal,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from 'react-native';
+import {
+  deleteRoute,
+  duplicateRoute,
+  loadRoutes,
+  renameRoute,
+  saveRoute,
+  searchRoutes,
+} from '../storage/routeLibrary';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+
+const log = logger.scope(LOG_CATEGORY.ROUTE);
+
+const formatDate = timestamp => new Date(timestamp).toLocaleString();
+
+const fenceSummary = route =>
+  route.fences && route.fences.length > 0
+    ? ` · ${route.fences.length} fences`
+    : '';
+
+export default function RouteLibraryModal({
+  visible,
+  onClose,
+  waypoints,
+  fences = [],
+  onLoad,
+}) {
+  const [routes, setRoutes] = useState([]);
+  const [query, setQuery] = useState('');
+  const [name, setName] = useState('');
+  const [notes, setNotes] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      setRoutes(await loadRoutes());
+    } catch (err) {
+      Alert.alert('Route Library', `Could not load routes: ${err.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (visible) {
+      refresh();
+    }
+  }, [visible, refresh]);
+
+  const run = async (action, failureTitle) => {
+    try {
+      await action();
+      await refresh();
+    } catch (err) {
+      Alert.alert(failureTitle, err.message);
+    }
+  };
+
+  const handleSave = () =>
+    run(async () => {
+      await saveRoute({name, notes, waypoints, fences});
+      log.info(`💾 Saved route "${name}" (${waypoints.length} waypoints)`);
+      setName('');
+      setNotes('');
+    }, 'Save Failed');
+
+  const handleRename = id =>
+    run(async () => {
+      await renameRoute(id, editingName);
+      setEditingId(null);
+    }, 'Rename Failed');
+
+  const handleDelete = route =>
+    Alert.alert('Delete Route', `Delete "${route.name}"?`, [
+      {text: 'Cancel', style: 'cancel'},
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => run(() => deleteRoute(route.id), 'Delete Failed'),
+      },
+    ]);
+
+  const renderRoute = ({item}) => (
+    <View style={styles.route}>
+      {editingId === item.id ? (
+        <View style={styles.row}>
+          <TextInput
+            style={[styles.input, styles.flex]}
+            value={editingName}
+            onChangeText={setEditingName}
+            autoFocus
+          />
+          <Button title="OK" onPress={() => handleRename(item.id)} />
+          <Button title="Cancel" onPress={() => setEditingId(null)} />
+        </View>
+      ) : (
+        <Text style={styles.routeName}>{item.name}</Text>
+      )}
+      <Text style={styles.meta}>
+        {item.waypoints.length} waypoints{fenceSummary(item)} ·{' '}
+        {formatDate(item.updatedAt)}
+      </Text>
+      {!!item.notes && <Text style={styles.notes}>{item.notes}</Text>}
+      <View style={styles.row}>
+        <Button title="Load" onPress={() => onLoad(item)} />
+        <Button
+          title="Rename"
+          onPress={() => {
+            setEditingId(item.id);
+            setEditingName(item.name);
+          }}
+        />
+        <Button
+          title="Duplicate"
+          onPress={() => run(() => duplicateRoute(item.id), 'Duplicate Failed')}
+        />
+        <Button
+          title="Delete"
+          color="#c62828"
+          onPress={() => handleDelete(item)}
+        />
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Route Library</Text>
+          <Button title="Close" onPress={onClose} />
+        </View>
+
+        <View style={styles.section}>
+          <TextInput
+            style={styles.input}
+            placeholder="Route name"
+            value={name}
+            onChangeText={setName}
+          />
+          <TextInput
+            style={styles.input}
+            placeholder="Notes (optional)"
+            value={notes}
+            onChangeText={setNotes}
+            multiline
+          />
+          <Button
+            title={`Save Current Route (${waypoints.length} waypoints)`}
+            onPress={handleSave}
+            disabled={waypoints.length === 0}
+          />
+        </View>
+
+        <TextInput
+          style={styles.input}
+          placeholder="Search by name or notes"
+          value={query}
+          onChangeText={setQuery}
+        />
+        <FlatList
+          data={searchRoutes(routes, query)}
+          keyExtractor={item => item.id}
+          renderItem={renderRoute}
+          ListEmptyComponent={
+            <Text style={styles.meta}>
+              {query ? 'No routes match your search.' : 'No saved routes yet.'}
+            </Text>
+          }
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    paddingTop: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  section: {
+    marginBottom: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginBottom: 8,
+  },
+  flex: {
+    flex: 1,
+    marginBottom: 0,
+  },
+  route: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  routeName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  meta: {
+    color: '#666',
+    fontSize: 12,
+  },
+  notes: {
+    marginTop: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+});
@@ -0,0 +1,114 @@
+import React from 'react';
+import {Button, StyleSheet, Text, TextInput, View} from 'react-native';
+import {SURVEY_PATTERN} from '../mission/survey';
+
+const FIELDS = [
+  {key: 'spacing', label: 'Spacing (m)'},
+  {key: 'heading', label: 'Heading (°)'},
+  {key: 'overshoot', label: 'Overshoot (m)'},
+];
+
+// Survey planning controls. Options are kept as the strings typed so a
+// half-entered number does not jump around; the caller parses them.
+export default function SurveyPanel({
+  options,
+  onChange,
+  cornerCount,
+  preview,
+  onApply,
+  onCancel,
+}) {
+  const isSpiral = options.pattern === SURVEY_PATTERN.SPIRAL;
+
+  let summary = 'Tap the map to place the survey area corners.';
+  if (cornerCount >= 3) {
+    summary = preview.error
+      ? preview.error
+      : `${preview.waypoints.length} waypoints · ${preview.distanceKm.toFixed(
+          2,
+        )} km`;
+  }
+
+  return (
+    <View style={styles.panel}>
+      <Text style={styles.title}>Survey ({cornerCount} corners)</Text>
+      <View style={styles.row}>
+        {Object.values(SURVEY_PATTERN).map(pattern => (
+          <Button
+            key={pattern}
+            title={pattern === options.pattern ? `● ${pattern}` : pattern}
+            onPress={() => onChange({...options, pattern})}
+          />
+        ))}
+      </View>
+      <View style={styles.row}>
+        {FIELDS.filter(({key}) => !isSpiral || key === 'spacing').map(
+          ({key, label}) => (
+            <View key={key} style={styles.field}>
+              <Text style={styles.label}>{label}</Text>
+              <TextInput
+                style={styles.input}
+                value={options[key]}
+                onChangeText={text => onChange({...options, [key]: text})}
+                keyboardType="numbers-and-punctuation"
+              />
+            </View>
+          ),
+        )}
+      </View>
+      <Text style={[styles.summary, preview.error && styles.error]}>
+        {summary}
+      </Text>
+      <View style={styles.row}>
+        <Button title="Cancel" onPress={onCancel} />
+        <Button
+          title="Use Survey Route"
+          onPress={onApply}
+          disabled={cornerCount < 3 || !!preview.error}
+        />
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  panel: {
+    position: 'absolute',
+    bottom: 20,
+    left: 20,
+    right: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.95)',
+    borderRadius: 8,
+    padding: 12,
+  },
+  title: {
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  field: {
+    flex: 1,
+    marginRight: 6,
+  },
+  label: {
+    fontSize: 12,
+    color: '#666',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  summary: {
+    marginTop: 8,
+  },
+  error: {
+    color: '#c62828',
+  },
+});
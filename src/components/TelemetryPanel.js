@@ -0,0 +1,82 @@
+import React, {useEffect, useState} from 'react';
+import {StyleSheet, Text, View} from 'react-native';
+import {FIX_QUALITY} from '../telemetry/telemetry';
+
+const STALE_AFTER_MS = 5000;
+
+const formatAge = ms => {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  return seconds < 60 ? `${seconds}s ago` : `${Math.floor(seconds / 60)}m ago`;
+};
+
+export default function TelemetryPanel({
+  telemetry,
+  activeIndex = null,
+  waypointCount = 0,
+  remainingKm = null,
+  complete = false,
+}) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const progress =
+    activeIndex === null ? null : (
+      <Text style={styles.value}>
+        {complete
+          ? 'Mission complete'
+          : `WP ${activeIndex + 1}/${waypointCount} · ${remainingKm.toFixed(
+              2,
+            )} km left`}
+      </Text>
+    );
+
+  if (!telemetry) {
+    return (
+      <View style={styles.panel}>
+        {progress}
+        <Text style={styles.label}>Waiting for telemetry...</Text>
+      </View>
+    );
+  }
+
+  const age = now - telemetry.receivedAt;
+  const stale = age > STALE_AFTER_MS;
+
+  return (
+    <View style={[styles.panel, stale && styles.stale]}>
+      {progress}
+      <Text style={styles.value}>🔋 {telemetry.battery}%</Text>
+      <Text style={styles.value}>{telemetry.speed.toFixed(1)} m/s</Text>
+      <Text style={styles.value}>
+        {FIX_QUALITY[telemetry.fix] || `Fix ${telemetry.fix}`}
+      </Text>
+      <Text style={styles.label}>{formatAge(age)}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  panel: {
+    position: 'absolute',
+    top: 110,
+    right: 20,
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: 'rgba(38,50,56,0.9)',
+  },
+  stale: {
+    backgroundColor: 'rgba(198,40,40,0.9)',
+  },
+  value: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  label: {
+    color: '#cfd8dc',
+    fontSize: 12,
+  },
+});
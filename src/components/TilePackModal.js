@@ -0,0 +1,174 @@
+import React from 'react';
+import {
+  Alert,
+  Button,
+  FlatList,
+  Modal,
+  StyleSheet,
+  Text,
+  View,
+} from 'react-native';
+import {formatBytes} from '../firmware/image';
+import {TILE_MODE, TILE_MODE_LABELS} from '../tiles/tilePacks';
+
+const describeMapSource = ({mode, offline, basemapFailed}) => {
+  if (!offline) {
+    return 'Showing the online map.';
+  }
+  if (mode === TILE_MODE.AUTO && basemapFailed) {
+    return 'The online map did not load, showing offline tiles.';
+  }
+  return 'Showing offline tiles.';
+};
+
+// Lists the installed tile packs, imports MBTiles files, deletes packs and
+// picks between the online map and offline tiles. `importing` is null or
+// {name, count} while an import runs.
+export default function TilePackModal({
+  visible,
+  onClose,
+  packs,
+  directory,
+  mode,
+  onChangeMode,
+  offline,
+  basemapFailed,
+  showCoverage,
+  onToggleCoverage,
+  importing,
+  onImport,
+  onRefresh,
+  onShow,
+  onDelete,
+}) {
+  const confirmDelete = pack =>
+    Alert.alert('Delete Tile Pack', `Delete "${pack.name}" from the phone?`, [
+      {text: 'Cancel', style: 'cancel'},
+      {text: 'Delete', style: 'destructive', onPress: () => onDelete(pack)},
+    ]);
+
+  const renderPack = ({item}) => (
+    <View style={styles.item}>
+      <Text style={styles.label}>{item.name}</Text>
+      <Text style={styles.meta}>
+        {item.tileCount} tiles · zoom {item.minZoom}–{item.maxZoom} ·{' '}
+        {item.format}
+        {item.size ? ` · ${formatBytes(item.size)}` : ''}
+      </Text>
+      <View style={styles.row}>
+        <Button
+          title="Show on Map"
+          onPress={() => onShow(item)}
+          disabled={!item.bounds}
+        />
+        <Button
+          title="Delete"
+          color="#c62828"
+          onPress={() => confirmDelete(item)}
+          disabled={!!importing}
+        />
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Map Tiles</Text>
+          <Button title="Close" onPress={onClose} />
+        </View>
+
+        <View style={styles.row}>
+          {Object.values(TILE_MODE).map(option => (
+            <Button
+              key={option}
+              title={
+                option === mode
+                  ? `● ${TILE_MODE_LABELS[option]}`
+                  : TILE_MODE_LABELS[option]
+              }
+              onPress={() => onChangeMode(option)}
+            />
+          ))}
+        </View>
+        <Text style={styles.meta}>
+          {describeMapSource({mode, offline, basemapFailed})} Auto switches to
+          offline tiles when the online map cannot load.
+        </Text>
+
+        <View style={styles.row}>
+          <Button
+            title={importing ? 'Importing…' : 'Import MBTiles'}
+            onPress={onImport}
+            disabled={!!importing}
+          />
+          <Button
+            title={showCoverage ? 'Hide Coverage' : 'Show Coverage'}
+            onPress={onToggleCoverage}
+            disabled={packs.length === 0}
+          />
+          <Button title="Rescan" onPress={onRefresh} disabled={!!importing} />
+        </View>
+        {importing && (
+          <Text style={styles.status}>
+            Unpacking {importing.name}: {importing.count} tiles…
+          </Text>
+        )}
+
+        <FlatList
+          data={packs}
+          keyExtractor={pack => pack.id}
+          renderItem={renderPack}
+          ListEmptyComponent={
+            <Text style={styles.meta}>No tile packs installed.</Text>
+          }
+        />
+        <Text style={styles.meta}>
+          Folders of {'{z}/{x}/{y}'}.png tiles copied to {directory} are listed
+          after a rescan.
+        </Text>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    paddingTop: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginVertical: 6,
+  },
+  item: {
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  status: {
+    marginVertical: 6,
+  },
+  meta: {
+    color: '#666',
+    fontSize: 12,
+  },
+});
@@ -0,0 +1,57 @@
+import React from 'react';
+import {StyleSheet, Text, View} from 'react-native';
+import {Marker, Polyline} from 'react-native-maps';
+import {hasFix} from '../telemetry/telemetry';
+
+// Rendered inside the MapView: breadcrumb trail plus a vehicle marker whose
+// arrow points along the reported heading.
+export default function VehicleOverlay({telemetry, trail}) {
+  return (
+    <>
+      {trail.length > 1 && (
+        <Polyline
+          coordinates={trail}
+          strokeColor="#ff6f00"
+          strokeWidth={3}
+          lineDashPattern={[6, 4]}
+        />
+      )}
+      {hasFix(telemetry) && (
+        <Marker
+          coordinate={{
+            latitude: telemetry.latitude,
+            longitude: telemetry.longitude,
+          }}
+          anchor={{x: 0.5, y: 0.5}}
+          flat
+          rotation={telemetry.heading}
+          title="Vehicle"
+          description={`${telemetry.speed.toFixed(1)} m/s, heading ${Math.round(
+            telemetry.heading,
+          )}°`}>
+          <View style={styles.vehicle}>
+            <Text style={styles.arrow}>▲</Text>
+          </View>
+        </Marker>
+      )}
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  vehicle: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: '#ff6f00',
+    borderWidth: 2,
+    borderColor: '#fff',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  arrow: {
+    color: '#fff',
+    fontSize: 14,
+    lineHeight: 16,
+  },
+});
@@ -0,0 +1,192 @@
+import React, {useEffect, useState} from 'react';
+import {
+  Alert,
+  Button,
+  Modal,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import {
+  ACTION_LABELS,
+  NUMERIC_ATTRIBUTES,
+  setAttributes,
+  validateAttributes,
+  WAYPOINT_ACTION,
+} from '../mission/attributes';
+import {formatCoordinate} from '../geo/coordinates';
+
+const toDraft = waypoint =>
+  NUMERIC_ATTRIBUTES.reduce(
+    (draft, {key}) => ({
+      ...draft,
+      [key]: waypoint[key] === undefined ? '' : String(waypoint[key]),
+    }),
+    {action: waypoint.action || WAYPOINT_ACTION.NONE},
+  );
+
+const fromDraft = draft =>
+  NUMERIC_ATTRIBUTES.reduce(
+    (changes, {key}) => ({
+      ...changes,
+      [key]: draft[key].trim() === '' ? null : Number(draft[key]),
+    }),
+    {action: draft.action},
+  );
+
+export default function WaypointDetailSheet({
+  visible,
+  waypoint,
+  title,
+  coordinateFormat,
+  onSave,
+  onDelete,
+  onClose,
+}) {
+  const [draft, setDraft] = useState(null);
+
+  useEffect(() => {
+    if (visible && waypoint) {
+      setDraft(toDraft(waypoint));
+    }
+  }, [visible, waypoint]);
+
+  if (!waypoint || !draft) {
+    return null;
+  }
+
+  const handleSave = () => {
+    const updated = setAttributes(waypoint, fromDraft(draft));
+    try {
+      validateAttributes(updated, title);
+    } catch (err) {
+      Alert.alert('Invalid Value', err.message);
+      return;
+    }
+    onSave(updated);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>{title}</Text>
+          <Text style={styles.meta}>
+            {formatCoordinate(waypoint, coordinateFormat)}
+          </Text>
+
+          {NUMERIC_ATTRIBUTES.map(({key, label, unit}) => (
+            <View key={key} style={styles.row}>
+              <Text style={styles.label}>
+                {label} ({unit})
+              </Text>
+              <TextInput
+                style={styles.input}
+                value={draft[key]}
+                onChangeText={text => setDraft({...draft, [key]: text})}
+                placeholder="—"
+                keyboardType="numbers-and-punctuation"
+              />
+            </View>
+          ))}
+
+          <Text style={styles.label}>Action</Text>
+          <View style={styles.actions}>
+            {Object.entries(ACTION_LABELS).map(([code, label]) => {
+              const selected = draft.action === Number(code);
+              return (
+                <TouchableOpacity
+                  key={code}
+                  style={[styles.action, selected && styles.actionSelected]}
+                  onPress={() => setDraft({...draft, action: Number(code)})}>
+                  <Text style={selected && styles.actionSelectedText}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <View style={styles.buttons}>
+            <Button title="Delete" color="#c62828" onPress={onDelete} />
+            <Button title="Cancel" onPress={onClose} />
+            <Button title="Save" onPress={handleSave} />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 12,
+    borderTopRightRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  meta: {
+    color: '#666',
+    fontSize: 12,
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  label: {
+    fontWeight: 'bold',
+  },
+  input: {
+    width: 120,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    textAlign: 'right',
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginVertical: 8,
+  },
+  action: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  actionSelected: {
+    backgroundColor: '#1976d2',
+    borderColor: '#1976d2',
+  },
+  actionSelectedText: {
+    color: '#fff',
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 10,
+  },
+});
@@ -0,0 +1,92 @@
+import React from 'react';
+import {Button, FlatList, Modal, StyleSheet, Text, View} from 'react-native';
+import {formatCoordinate} from '../geo/coordinates';
+import {waypointLabel} from '../mission/editing';
+
+export default function WaypointListModal({
+  visible,
+  onClose,
+  waypoints,
+  coordinateFormat,
+  onMove,
+  onDelete,
+}) {
+  const renderWaypoint = ({item, index}) => (
+    <View style={styles.waypoint}>
+      <View style={styles.flex}>
+        <Text style={styles.label}>
+          {waypointLabel(index, waypoints.length)}
+        </Text>
+        <Text style={styles.meta}>
+          {formatCoordinate(item, coordinateFormat)}
+        </Text>
+      </View>
+      <Button
+        title="▲"
+        onPress={() => onMove(index, index - 1)}
+        disabled={index === 0}
+      />
+      <Button
+        title="▼"
+        onPress={() => onMove(index, index + 1)}
+        disabled={index === waypoints.length - 1}
+      />
+      <Button title="Delete" color="#c62828" onPress={() => onDelete(index)} />
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Waypoints</Text>
+          <Button title="Done" onPress={onClose} />
+        </View>
+        <FlatList
+          data={waypoints}
+          keyExtractor={(_, index) => String(index)}
+          renderItem={renderWaypoint}
+          ListEmptyComponent={
+            <Text style={styles.meta}>No waypoints yet.</Text>
+          }
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    paddingTop: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  waypoint: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  flex: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  meta: {
+    color: '#666',
+    fontSize: 12,
+  },
+});
@@ -0,0 +1,57 @@
+import React from 'react';
+import {StyleSheet, Text, View} from 'react-native';
+import {Callout, Marker} from 'react-native-maps';
+import {formatCoordinate} from '../geo/coordinates';
+import {describeAttributes} from '../mission/attributes';
+
+// Android renders callouts as a bitmap, so buttons inside them are not
+// individually tappable; the whole callout opens the detail sheet.
+export default function WaypointMarker({
+  waypoint,
+  title,
+  color,
+  coordinateFormat,
+  draggable = true,
+  onDragEnd,
+  onEdit,
+}) {
+  const attributes = describeAttributes(waypoint);
+
+  return (
+    <Marker
+      coordinate={waypoint}
+      pinColor={color}
+      draggable={draggable}
+      onDragEnd={e => onDragEnd(e.nativeEvent.coordinate)}>
+      <Callout onPress={onEdit}>
+        <View style={styles.callout}>
+          <Text style={styles.title}>{title}</Text>
+          <Text style={styles.coords}>
+            {formatCoordinate(waypoint, coordinateFormat)}
+          </Text>
+          {!!attributes && <Text style={styles.coords}>{attributes}</Text>}
+          <Text style={styles.edit}>Tap to edit</Text>
+        </View>
+      </Callout>
+    </Marker>
+  );
+}
+
+const styles = StyleSheet.create({
+  callout: {
+    minWidth: 160,
+    padding: 4,
+  },
+  title: {
+    fontWeight: 'bold',
+  },
+  coords: {
+    fontSize: 12,
+    color: '#444',
+  },
+  edit: {
+    marginTop: 4,
+    color: '#1976d2',
+    fontWeight: 'bold',
+  },
+});
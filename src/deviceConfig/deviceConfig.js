@@ -0,0 +1,292 @@
+import {Buffer} from 'buffer';
+
+// Firmware parameters exchanged over the config characteristic. Reading it
+// returns every parameter the board knows; writing it sets the ones sent.
+// Both use the same key/value list:
+//   [count:u8] then per entry [key:u8][type:u8][value]
+// with little-endian values of the width given by the type byte, so a
+// board can report keys this app does not know and they are skipped.
+
+export const CONFIG_TYPE = {
+  U8: 0x01,
+  U16: 0x02,
+  U32: 0x03,
+  F32: 0x04,
+};
+
+const TYPE_CODECS = {
+  [CONFIG_TYPE.U8]: {
+    size: 1,
+    read: (buffer, offset) => buffer.readUInt8(offset),
+    write: (buffer, value, offset) => buffer.writeUInt8(value, offset),
+  },
+  [CONFIG_TYPE.U16]: {
+    size: 2,
+    read: (buffer, offset) => buffer.readUInt16LE(offset),
+    write: (buffer, value, offset) => buffer.writeUInt16LE(value, offset),
+  },
+  [CONFIG_TYPE.U32]: {
+    size: 4,
+    read: (buffer, offset) => buffer.readUInt32LE(offset),
+    write: (buffer, value, offset) => buffer.writeUInt32LE(value, offset),
+  },
+  [CONFIG_TYPE.F32]: {
+    size: 4,
+    read: (buffer, offset) => buffer.readFloatLE(offset),
+    write: (buffer, value, offset) => buffer.writeFloatLE(value, offset),
+  },
+};
+
+export const FAILSAFE_ACTIONS = ['hold', 'return', 'land', 'continue'];
+
+// `options` makes a field a choice sent as its index; `boolean` fields are
+// sent as 0/1. Floats are compared at `precision` decimals after a round
+// trip through the board.
+export const CONFIG_FIELDS = [
+  {
+    key: 'cruiseSpeed',
+    id: 0x01,
+    type: CONFIG_TYPE.F32,
+    label: 'Cruise speed',
+    unit: 'm/s',
+    min: 0.5,
+    max: 30,
+    precision: 1,
+    defaultValue: 5,
+  },
+  {
+    key: 'arrivalRadius',
+    id: 0x02,
+    type: CONFIG_TYPE.U16,
+    label: 'Arrival radius',
+    unit: 'm',
+    min: 1,
+    max: 500,
+    defaultValue: 5,
+  },
+  {
+    key: 'loraFrequency',
+    id: 0x03,
+    type: CONFIG_TYPE.U32,
+    label: 'LoRa frequency',
+    unit: 'kHz',
+    min: 137000,
+    max: 1020000,
+    defaultValue: 915000,
+  },
+  {
+    key: 'loraSpreadingFactor',
+    id: 0x04,
+    type: CONFIG_TYPE.U8,
+    label: 'LoRa spreading factor',
+    unit: 'SF',
+    min: 6,
+    max: 12,
+    defaultValue: 9,
+  },
+  {
+    key: 'loraTxPower',
+    id: 0x05,
+    type: CONFIG_TYPE.U8,
+    label: 'LoRa TX power',
+    unit: 'dBm',
+    min: 2,
+    max: 20,
+    defaultValue: 14,
+  },
+  {
+    key: 'failsafeAction',
+    id: 0x06,
+    type: CONFIG_TYPE.U8,
+    label: 'Failsafe action',
+    options: FAILSAFE_ACTIONS,
+    defaultValue: 'return',
+  },
+  {
+    key: 'failsafeTimeout',
+    id: 0x07,
+    type: CONFIG_TYPE.U16,
+    label: 'Failsafe timeout',
+    unit: 's',
+    min: 1,
+    max: 3600,
+    defaultValue: 30,
+  },
+  {
+    key: 'telemetryEnabled',
+    id: 0x08,
+    type: CONFIG_TYPE.U8,
+    label: 'Telemetry',
+    boolean: true,
+    defaultValue: true,
+  },
+];
+
+export const DEFAULT_CONFIG = Object.fromEntries(
+  CONFIG_FIELDS.map(field => [field.key, field.defaultValue]),
+);
+
+const fieldByKey = key => CONFIG_FIELDS.find(field => field.key === key);
+const fieldById = id => CONFIG_FIELDS.find(field => field.id === id);
+
+const roundTo = (value, precision) =>
+  Math.round(value * 10 ** precision) / 10 ** precision;
+
+// Returns why `value` is not acceptable for the field, or null.
+export const validateConfigValue = (key, value) => {
+  const field = fieldByKey(key);
+  if (!field) {
+    return `Unknown setting "${key}"`;
+  }
+  if (field.options) {
+    return field.options.includes(value)
+      ? null
+      : `${field.label} must be one of ${field.options.join(', ')}`;
+  }
+  if (field.boolean) {
+    return typeof value === 'boolean'
+      ? null
+      : `${field.label} must be on or off`;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${field.label} must be a number`;
+  }
+  if (field.type !== CONFIG_TYPE.F32 && !Number.isInteger(value)) {
+    return `${field.label} must be a whole number`;
+  }
+  if (value < field.min || value > field.max) {
+    return `${field.label} must be between ${field.min} and ${field.max} ${field.unit}`;
+  }
+  return null;
+};
+
+// Maps each invalid key to its problem; empty when everything is valid.
+export const validateConfig = values =>
+  Object.fromEntries(
+    Object.entries(values)
+      .map(([key, value]) => [key, validateConfigValue(key, value)])
+      .filter(([, problem]) => problem),
+  );
+
+// Text typed into the settings form, as the value the schema expects.
+// Unparseable numbers come back as NaN so validation reports them.
+export const parseConfigInput = (key, text) => {
+  const field = fieldByKey(key);
+  if (!field || field.options || field.boolean) {
+    return text;
+  }
+  const trimmed = String(text).trim();
+  return trimmed === '' ? NaN : Number(trimmed);
+};
+
+export const formatConfigValue = (key, value) => {
+  const field = fieldByKey(key);
+  if (field && field.boolean) {
+    return value ? 'On' : 'Off';
+  }
+  return String(value);
+};
+
+const toWire = (field, value) => {
+  if (field.options) {
+    return field.options.indexOf(value);
+  }
+  if (field.boolean) {
+    return value ? 1 : 0;
+  }
+  return value;
+};
+
+const fromWire = (field, raw) => {
+  if (field.options) {
+    return field.options[raw] !== undefined ? field.options[raw] : null;
+  }
+  if (field.boolean) {
+    return raw !== 0;
+  }
+  return field.precision !== undefined ? roundTo(raw, field.precision) : raw;
+};
+
+export const encodeConfig = values => {
+  const problems = validateConfig(values);
+  const keys = Object.keys(problems);
+  if (keys.length > 0) {
+    throw new Error(problems[keys[0]]);
+  }
+
+  const fields = Object.keys(values).map(fieldByKey);
+  const size = fields.reduce(
+    (total, field) => total + 2 + TYPE_CODECS[field.type].size,
+    1,
+  );
+  const buffer = Buffer.alloc(size);
+  buffer.writeUInt8(fields.length, 0);
+  let offset = 1;
+  fields.forEach(field => {
+    const codec = TYPE_CODECS[field.type];
+    buffer.writeUInt8(field.id, offset);
+    buffer.writeUInt8(field.type, offset + 1);
+    codec.write(buffer, toWire(field, values[field.key]), offset + 2);
+    offset += 2 + codec.size;
+  });
+  return buffer;
+};
+
+// Keys this app does not know are skipped; a known key sent with a type
+// other than the schema's is an error, as it means the firmware and app
+// disagree about the setting.
+export const decodeConfig = bytes => {
+  const buffer = Buffer.from(bytes);
+  if (buffer.length < 1) {
+    throw new Error('Config payload is empty');
+  }
+  const count = buffer.readUInt8(0);
+  const values = {};
+  let offset = 1;
+  for (let i = 0; i < count; i++) {
+    if (offset + 2 > buffer.length) {
+      throw new Error(`Config payload truncated at entry ${i + 1}`);
+    }
+    const id = buffer.readUInt8(offset);
+    const type = buffer.readUInt8(offset + 1);
+    const codec = TYPE_CODECS[type];
+    if (!codec) {
+      throw new Error(`Unknown config value type 0x${type.toString(16)}`);
+    }
+    if (offset + 2 + codec.size > buffer.length) {
+      throw new Error(`Config payload truncated at entry ${i + 1}`);
+    }
+    const field = fieldById(id);
+    if (field) {
+      if (field.type !== type) {
+        throw new Error(`${field.label} has an unexpected value type`);
+      }
+      values[field.key] = fromWire(field, codec.read(buffer, offset + 2));
+    }
+    offset += 2 + codec.size;
+  }
+  return values;
+};
+
+const sameValue = (field, a, b) =>
+  field && field.precision !== undefined
+    ? roundTo(a, field.precision) === roundTo(b, field.precision)
+    : a === b;
+
+// Keys in `expected` whose value `actual` does not have, e.g. settings a
+// board ignored or clamped after a write.
+export const configMismatches = (expected, actual) =>
+  Object.keys(expected).filter(
+    key =>
+      !(key in actual) ||
+      !sameValue(fieldByKey(key), expected[key], actual[key]),
+  );
+
+// Only what differs from `base`, so a write leaves the rest untouched.
+export const changedConfig = (base, values) =>
+  Object.fromEntries(
+    Object.entries(values).filter(
+      ([key, value]) =>
+        !(key in base) || !sameValue(fieldByKey(key), base[key], value),
+    ),
+  );
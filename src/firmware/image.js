@@ -0,0 +1,107 @@
+import {Buffer} from 'buffer';
+import {sha256} from '../utils/bits';
+
+// ESP32 application images as built by ESP-IDF or Arduino. The image header
+// (24 bytes) and the first segment header (8 bytes) are followed by the
+// esp_app_desc_t the firmware was built with:
+//   [magic:u32 = 0xABCD5432][secure_version:u32][reserved:8]
+//   [version:char32][project_name:char32][time:char16][date:char16]
+//   [idf_ver:char32]
+// which is where the version shown to the user and compared with the
+// board's comes from.
+
+const IMAGE_MAGIC = 0xe9;
+const APP_DESC_OFFSET = 32;
+const APP_DESC_MAGIC = 0xabcd5432;
+const APP_DESC_SIZE = 176;
+
+const readString = (buffer, offset, length) => {
+  const field = buffer.slice(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.slice(0, end === -1 ? length : end).toString('utf8');
+};
+
+export const parseFirmwareImage = (bytes, name = 'firmware.bin') => {
+  const buffer = Buffer.from(bytes);
+  if (buffer.length < APP_DESC_OFFSET + APP_DESC_SIZE) {
+    throw new Error(`${name} is too small to be a firmware image`);
+  }
+  if (buffer[0] !== IMAGE_MAGIC) {
+    throw new Error(`${name} is not an ESP32 firmware image`);
+  }
+  if (buffer.readUInt32LE(APP_DESC_OFFSET) !== APP_DESC_MAGIC) {
+    throw new Error(`${name} has no application description`);
+  }
+  const version = readString(buffer, APP_DESC_OFFSET + 16, 32);
+  if (!version) {
+    throw new Error(`${name} does not declare a firmware version`);
+  }
+  return {
+    name,
+    bytes: buffer,
+    size: buffer.length,
+    hash: sha256(buffer),
+    version,
+    project: readString(buffer, APP_DESC_OFFSET + 48, 32),
+    built: `${readString(buffer, APP_DESC_OFFSET + 96, 16)} ${readString(
+      buffer,
+      APP_DESC_OFFSET + 80,
+      16,
+    )}`.trim(),
+    idfVersion: readString(buffer, APP_DESC_OFFSET + 112, 32),
+  };
+};
+
+const toParts = text =>
+  text.split('.').map(part => (/^\d+$/.test(part) ? Number(part) : part));
+
+// "v1.2.0-rc.1+build5" -> release [1, 2, 0], prerelease ['rc', 1]; build
+// metadata after "+" does not take part in the ordering.
+const versionParts = version => {
+  const [core] = String(version).replace(/^v/i, '').split('+');
+  const dash = core.indexOf('-');
+  return {
+    release: toParts(dash === -1 ? core : core.slice(0, dash)),
+    prerelease: dash === -1 ? [] : toParts(core.slice(dash + 1)),
+  };
+};
+
+// Numbers compare numerically and before text; text compares as text.
+const compareParts = (left, right) => {
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    if (left[i] === undefined || right[i] === undefined) {
+      return left[i] === undefined ? -1 : 1;
+    }
+    if (left[i] !== right[i]) {
+      const leftNumber = typeof left[i] === 'number';
+      if (leftNumber !== (typeof right[i] === 'number')) {
+        return leftNumber ? -1 : 1;
+      }
+      return left[i] < right[i] ? -1 : 1;
+    }
+  }
+  return 0;
+};
+
+// Dotted versions compare numerically part by part ("1.10" > "1.9"), with
+// an optional leading "v". As in semver, a prerelease sorts before its
+// release ("1.2.0-rc1" < "1.2.0") and prereleases compare part by part.
+export const compareVersions = (a, b) => {
+  const left = versionParts(a);
+  const right = versionParts(b);
+  const order = compareParts(left.release, right.release);
+  if (order !== 0) {
+    return order;
+  }
+  const leftFinal = left.prerelease.length === 0;
+  const rightFinal = right.prerelease.length === 0;
+  if (leftFinal !== rightFinal) {
+    return leftFinal ? 1 : -1;
+  }
+  return compareParts(left.prerelease, right.prerelease);
+};
+
+export const formatBytes = bytes =>
+  bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+
+export const shortHash = hash => Buffer.from(hash).toString('hex').slice(0, 12);
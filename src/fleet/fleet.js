@@ -0,0 +1,97 @@
+import {deviceLabel} from '../ble/waypointLink';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+
+const log = logger.scope(LOG_CATEGORY.BLE);
+
+// A fleet is an array of vehicles {id, name, color, waypoints}; `id` is the
+// BLE device id the vehicle's route is uploaded to.
+
+export const FLEET_COLORS = [
+  '#1976d2',
+  '#d81b60',
+  '#388e3c',
+  '#f57c00',
+  '#7b1fa2',
+  '#00838f',
+  '#5d4037',
+  '#c0ca33',
+];
+
+const nextColor = fleet =>
+  FLEET_COLORS.find(color => !fleet.some(v => v.color === color)) ||
+  FLEET_COLORS[fleet.length % FLEET_COLORS.length];
+
+export const findVehicle = (fleet, id) => fleet.find(v => v.id === id) || null;
+
+export const addVehicle = (fleet, device) => {
+  if (findVehicle(fleet, device.id)) {
+    return fleet;
+  }
+  return [
+    ...fleet,
+    {
+      id: device.id,
+      name: deviceLabel(device),
+      color: nextColor(fleet),
+      waypoints: [],
+    },
+  ];
+};
+
+export const removeVehicle = (fleet, id) => fleet.filter(v => v.id !== id);
+
+export const assignRoute = (fleet, id, waypoints) =>
+  fleet.map(v => (v.id === id ? {...v, waypoints} : v));
+
+export const UPLOAD_STATUS = {
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
+
+// Sends each vehicle's route to its own board, one at a time since the
+// link holds a single connection. The fences and the home point are shared
+// by every vehicle. Never throws; every vehicle gets a result.
+export const uploadFleet = async (
+  link,
+  fleet,
+  {fences = [], home = null, onResult} = {},
+) => {
+  const results = [];
+  for (const vehicle of fleet) {
+    let result;
+    if (vehicle.waypoints.length < 2) {
+      result = {
+        id: vehicle.id,
+        status: UPLOAD_STATUS.SKIPPED,
+        message: 'Needs at least 2 waypoints',
+      };
+    } else {
+      try {
+        log.info(`🚚 Fleet upload: ${vehicle.name} (${vehicle.id})`);
+        const {frames, format, skipped} = await link.sendMission(
+          vehicle.waypoints,
+          {fences, home, target: {id: vehicle.id, name: vehicle.name}},
+        );
+        const left =
+          skipped.length > 0 ? `; ${skipped.join(' and ')} not sent` : '';
+        result = {
+          id: vehicle.id,
+          status: UPLOAD_STATUS.SENT,
+          message: `Accepted (${format}, ${frames} frames)${left}`,
+        };
+      } catch (err) {
+        result = {
+          id: vehicle.id,
+          status: UPLOAD_STATUS.FAILED,
+          message: err.message,
+        };
+      }
+    }
+    results.push(result);
+    if (onResult) {
+      onResult(result);
+    }
+  }
+  return results;
+};
@@ -0,0 +1,80 @@
+const toWaypoint = ([longitude, latitude]) => ({latitude, longitude});
+
+const collectGeometries = (object, found = []) => {
+  if (!object || typeof object !== 'object') {
+    return found;
+  }
+  switch (object.type) {
+    case 'FeatureCollection':
+      (object.features || []).forEach(feature =>
+        collectGeometries(feature, found),
+      );
+      break;
+    case 'Feature':
+      collectGeometries(object.geometry, found);
+      break;
+    case 'GeometryCollection':
+      (object.geometries || []).forEach(geometry =>
+        collectGeometries(geometry, found),
+      );
+      break;
+    default:
+      found.push(object);
+  }
+  return found;
+};
+
+// The first LineString (or the first line of a MultiLineString) is the
+// route; without one, Point features are taken in order.
+export const parseGeoJson = text => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a GeoJSON file: ${err.message}`);
+  }
+
+  const geometries = collectGeometries(data);
+  const line = geometries.find(
+    g => g.type === 'LineString' || g.type === 'MultiLineString',
+  );
+  if (line) {
+    const coordinates =
+      line.type === 'LineString' ? line.coordinates : line.coordinates[0];
+    return {
+      name: (data.properties && data.properties.name) || null,
+      waypoints: (coordinates || []).map(toWaypoint),
+    };
+  }
+
+  return {
+    name: (data.properties && data.properties.name) || null,
+    waypoints: geometries
+      .filter(g => g.type === 'Point')
+      .map(g => toWaypoint(g.coordinates)),
+  };
+};
+
+const position = wp => [wp.longitude, wp.latitude];
+
+export const toGeoJson = (waypoints, name = 'Route') =>
+  JSON.stringify(
+    {
+      type: 'FeatureCollection',
+      properties: {name},
+      features: [
+        {
+          type: 'Feature',
+          properties: {name},
+          geometry: {type: 'LineString', coordinates: waypoints.map(position)},
+        },
+        ...waypoints.map((wp, index) => ({
+          type: 'Feature',
+          properties: {name: `WP${index + 1}`, index},
+          geometry: {type: 'Point', coordinates: position(wp)},
+        })),
+      ],
+    },
+    null,
+    2,
+  );
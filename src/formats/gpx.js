@@ -0,0 +1,50 @@
+import {childText, escapeXml, findAll, findFirst, parseXml} from './xml';
+
+const toWaypoint = node => ({
+  latitude: parseFloat(node.attributes.lat),
+  longitude: parseFloat(node.attributes.lon),
+});
+
+// Route points win over loose waypoints; track points are the last resort
+// for files recorded by a GPS logger.
+export const parseGpx = text => {
+  const gpx = findFirst(parseXml(text), 'gpx');
+  if (!gpx) {
+    throw new Error('Not a GPX file: missing <gpx> element');
+  }
+
+  const route = findFirst(gpx, 'rte');
+  const candidates = [
+    route ? findAll(route, 'rtept') : [],
+    findAll(gpx, 'wpt'),
+    findAll(gpx, 'trkpt'),
+  ];
+  const points = candidates.find(list => list.length > 0) || [];
+
+  return {
+    name: (route && childText(route, 'name')) || null,
+    waypoints: points.map(toWaypoint),
+  };
+};
+
+export const toGpx = (waypoints, name = 'Route') => {
+  const points = waypoints
+    .map(
+      (wp, index) =>
+        `    <rtept lat="${wp.latitude}" lon="${wp.longitude}">\n` +
+        `      <name>WP${index + 1}</name>\n` +
+        '    </rtept>',
+    )
+    .join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="ReactNativeMaps" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <rte>',
+    `    <name>${escapeXml(name)}</name>`,
+    points,
+    '  </rte>',
+    '</gpx>',
+    '',
+  ].join('\n');
+};
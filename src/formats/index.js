@@ -0,0 +1,80 @@
+import {validateWaypoints} from '../mission/validation';
+import {parseGeoJson, toGeoJson} from './geojson';
+import {parseGpx, toGpx} from './gpx';
+import {parseKml, toKml} from './kml';
+
+export const ROUTE_FILE_FORMAT = {
+  GPX: 'gpx',
+  KML: 'kml',
+  GEOJSON: 'geojson',
+};
+
+const FORMATS = {
+  [ROUTE_FILE_FORMAT.GPX]: {
+    label: 'GPX',
+    extension: 'gpx',
+    mimeType: 'application/gpx+xml',
+    parse: parseGpx,
+    serialize: toGpx,
+  },
+  [ROUTE_FILE_FORMAT.KML]: {
+    label: 'KML',
+    extension: 'kml',
+    mimeType: 'application/vnd.google-earth.kml+xml',
+    parse: parseKml,
+    serialize: toKml,
+  },
+  [ROUTE_FILE_FORMAT.GEOJSON]: {
+    label: 'GeoJSON',
+    extension: 'geojson',
+    mimeType: 'application/geo+json',
+    parse: parseGeoJson,
+    serialize: toGeoJson,
+  },
+};
+
+export const routeFileLabel = format => FORMATS[format].label;
+
+// The extension decides when it is known; otherwise sniff the content, since
+// document pickers do not always hand back the original file name.
+export const detectRouteFileFormat = (fileName, text) => {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  if (extension === 'json' || extension === ROUTE_FILE_FORMAT.GEOJSON) {
+    return ROUTE_FILE_FORMAT.GEOJSON;
+  }
+  if (FORMATS[extension]) {
+    return extension;
+  }
+
+  const head = text.trimStart();
+  if (head.startsWith('{')) {
+    return ROUTE_FILE_FORMAT.GEOJSON;
+  }
+  if (/<gpx[\s>]/.test(head)) {
+    return ROUTE_FILE_FORMAT.GPX;
+  }
+  if (/<kml[\s>]/.test(head)) {
+    return ROUTE_FILE_FORMAT.KML;
+  }
+  throw new Error('Unrecognised route file; expected GPX, KML or GeoJSON');
+};
+
+export const importRoute = (fileName, text) => {
+  const format = detectRouteFileFormat(fileName, text);
+  const {name, waypoints} = FORMATS[format].parse(text);
+  if (waypoints.length === 0) {
+    throw new Error(`No waypoints found in ${FORMATS[format].label} file`);
+  }
+  validateWaypoints(waypoints);
+  return {format, name, waypoints};
+};
+
+export const exportRoute = (waypoints, format, name = 'Route') => {
+  const {extension, mimeType, serialize} = FORMATS[format];
+  const safeName = name.replace(/[^\w-]+/g, '_') || 'route';
+  return {
+    content: serialize(waypoints, name),
+    fileName: `${safeName}.${extension}`,
+    mimeType,
+  };
+};
@@ -0,0 +1,74 @@
+import {childText, escapeXml, findAll, findFirst, parseXml} from './xml';
+
+// KML coordinates are "lng,lat[,alt]" tuples separated by whitespace.
+const parseCoordinates = text =>
+  text
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => {
+      const [longitude, latitude] = tuple.split(',').map(parseFloat);
+      return {latitude, longitude};
+    });
+
+// The first LineString is the route; without one, Point placemarks are
+// taken in document order.
+export const parseKml = text => {
+  const kml = findFirst(parseXml(text), 'kml');
+  if (!kml) {
+    throw new Error('Not a KML file: missing <kml> element');
+  }
+
+  const placemarks = findAll(kml, 'Placemark');
+  const linePlacemark = placemarks.find(p => findFirst(p, 'LineString'));
+  if (linePlacemark) {
+    const line = findFirst(linePlacemark, 'LineString');
+    return {
+      name: childText(linePlacemark, 'name'),
+      waypoints: parseCoordinates(childText(line, 'coordinates') || ''),
+    };
+  }
+
+  const document = findFirst(kml, 'Document');
+  return {
+    name: document ? childText(document, 'name') : null,
+    waypoints: placemarks
+      .map(p => findFirst(p, 'Point'))
+      .filter(Boolean)
+      .flatMap(point =>
+        parseCoordinates(childText(point, 'coordinates') || ''),
+      ),
+  };
+};
+
+const tuple = wp => `${wp.longitude},${wp.latitude}`;
+
+export const toKml = (waypoints, name = 'Route') => {
+  const points = waypoints
+    .map(
+      (wp, index) =>
+        '    <Placemark>\n' +
+        `      <name>WP${index + 1}</name>\n` +
+        `      <Point><coordinates>${tuple(wp)}</coordinates></Point>\n` +
+        '    </Placemark>',
+    )
+    .join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <Placemark>',
+    `      <name>${escapeXml(name)}</name>`,
+    '      <LineString>',
+    '        <tessellate>1</tessellate>',
+    `        <coordinates>${waypoints.map(tuple).join(' ')}</coordinates>`,
+    '      </LineString>',
+    '    </Placemark>',
+    points,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+};
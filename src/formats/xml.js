@@ -0,0 +1,145 @@
+// Small non-validating XML parser, enough for GPX and KML files. It builds a
+// tree of {name, attributes, children, text} nodes; `text` holds the
+// element's own character data. DTDs, comments and processing instructions
+// are skipped, namespace prefixes are kept on the names.
+
+const ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: "'"};
+
+export const decodeEntities = text =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1].toLowerCase() === 'x'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+  });
+
+export const escapeXml = text =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const ATTRIBUTE = /([^\s=/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+const parseTag = body => {
+  const nameMatch = /^[^\s/>]+/.exec(body);
+  if (!nameMatch) {
+    throw new Error(`Malformed tag <${body}>`);
+  }
+  const attributes = {};
+  let match;
+  ATTRIBUTE.lastIndex = nameMatch[0].length;
+  while ((match = ATTRIBUTE.exec(body))) {
+    attributes[match[1]] = decodeEntities(
+      match[3] !== undefined ? match[3] : match[4],
+    );
+  }
+  return {name: nameMatch[0], attributes, children: [], text: ''};
+};
+
+// Finds the '>' closing a tag, ignoring any inside quoted attribute values.
+const findTagEnd = (source, start) => {
+  let quote = null;
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === quote) {
+        quote = null;
+      }
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '>') {
+      return i;
+    }
+  }
+  throw new Error('Unterminated tag');
+};
+
+const skipTo = (source, marker, from) => {
+  const end = source.indexOf(marker, from);
+  if (end === -1) {
+    throw new Error(`Missing "${marker}"`);
+  }
+  return end + marker.length;
+};
+
+export const parseXml = source => {
+  const root = {name: '#document', attributes: {}, children: [], text: ''};
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const lt = source.indexOf('<', pos);
+    const textEnd = lt === -1 ? source.length : lt;
+    if (textEnd > pos) {
+      current().text += decodeEntities(source.slice(pos, textEnd));
+    }
+    if (lt === -1) {
+      break;
+    }
+
+    if (source.startsWith('<!--', lt)) {
+      pos = skipTo(source, '-->', lt + 4);
+    } else if (source.startsWith('<![CDATA[', lt)) {
+      const end = skipTo(source, ']]>', lt + 9);
+      current().text += source.slice(lt + 9, end - 3);
+      pos = end;
+    } else if (source.startsWith('<?', lt)) {
+      pos = skipTo(source, '?>', lt + 2);
+    } else if (source.startsWith('<!', lt)) {
+      pos = findTagEnd(source, lt) + 1;
+    } else {
+      const gt = findTagEnd(source, lt);
+      const body = source.slice(lt + 1, gt).trim();
+      pos = gt + 1;
+
+      if (body[0] === '/') {
+        const name = body.slice(1).trim();
+        if (current().name !== name) {
+          throw new Error(
+            `Unexpected </${name}>, expected </${current().name}>`,
+          );
+        }
+        stack.pop();
+      } else {
+        const selfClosing = body.endsWith('/');
+        const node = parseTag(selfClosing ? body.slice(0, -1) : body);
+        current().children.push(node);
+        if (!selfClosing) {
+          stack.push(node);
+        }
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed <${current().name}>`);
+  }
+  return root;
+};
+
+export const localName = name => name.slice(name.indexOf(':') + 1);
+
+// All descendants named `name` (ignoring namespace prefix), in document order.
+export const findAll = (node, name, found = []) => {
+  node.children.forEach(child => {
+    if (localName(child.name) === name) {
+      found.push(child);
+    }
+    findAll(child, name, found);
+  });
+  return found;
+};
+
+export const findFirst = (node, name) => findAll(node, name)[0] || null;
+
+export const childText = (node, name) => {
+  const child = node.children.find(c => localName(c.name) === name);
+  return child ? child.text.trim() : null;
+};
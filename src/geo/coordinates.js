@@ -0,0 +1,247 @@
+import {validateCoordinates} from '../mission/validation';
+import {fromMgrs, fromUtm, isLatitudeBand, toMgrs, toUtm} from './utm';
+
+export const COORDINATE_FORMAT = {
+  DECIMAL: 'decimal',
+  DMS: 'dms',
+  UTM: 'utm',
+  MGRS: 'mgrs',
+};
+
+export const COORDINATE_FORMAT_LABELS = {
+  [COORDINATE_FORMAT.DECIMAL]: 'Decimal',
+  [COORDINATE_FORMAT.DMS]: 'DMS',
+  [COORDINATE_FORMAT.UTM]: 'UTM',
+  [COORDINATE_FORMAT.MGRS]: 'MGRS',
+};
+
+const UTM_PATTERN =
+  /^(\d{1,2})\s*([a-z])\s+(\d{6}(?:\.\d+)?)\s*m?e?\s+(\d+(?:\.\d+)?)\s*m?n?$/i;
+const MGRS_PATTERN = /^(\d{1,2})\s*([a-z])\s*([a-z])([a-z])\s*(\d*)\s*(\d*)$/i;
+const NUMBER_PATTERN = /^[-+]?\d+(?:\.\d+)?$/;
+
+const isHemisphere = token => /^[NSEW]$/.test(token);
+
+const parseZone = (text, band) => {
+  const zone = Number(text);
+  if (zone < 1 || zone > 60) {
+    throw new Error(`Invalid UTM zone ${text}`);
+  }
+  if (!isLatitudeBand(band)) {
+    throw new Error(`Invalid latitude band ${band}`);
+  }
+  return zone;
+};
+
+const parseUtm = match => {
+  const [, zoneText, band, easting, northing] = match;
+  return fromUtm({
+    zone: parseZone(zoneText, band),
+    band,
+    easting: Number(easting),
+    northing: Number(northing),
+  });
+};
+
+// "33TWN1234567890" or "33T WN 12345 67890"; 1 to 5 digits each.
+const parseMgrs = match => {
+  const [, zoneText, band, column, row, first, second] = match;
+  const digits = second
+    ? [first, second]
+    : [first.slice(0, first.length / 2), first.slice(first.length / 2)];
+  if (digits[0].length !== digits[1].length || digits[0].length > 5) {
+    throw new Error('MGRS easting and northing need the same number of digits');
+  }
+  return fromMgrs({
+    zone: parseZone(zoneText, band),
+    band,
+    square: `${column}${row}`,
+    easting: digits[0],
+    northing: digits[1],
+  });
+};
+
+// Degrees, optional minutes and optional seconds; only the last of them
+// may have a fraction.
+const parseAngle = (numbers, hemisphere) => {
+  if (numbers.length === 0 || numbers.length > 3) {
+    throw new Error('Expected degrees, minutes and seconds');
+  }
+  numbers.slice(0, -1).forEach(text => {
+    if (text.includes('.')) {
+      throw new Error(
+        `Only the last part of an angle can have decimals: ${text}`,
+      );
+    }
+  });
+  const negative = numbers[0].startsWith('-');
+  if (negative && hemisphere) {
+    throw new Error('Use either a minus sign or a hemisphere letter, not both');
+  }
+  const [degrees, minutes = 0, seconds = 0] = numbers.map(text =>
+    Math.abs(Number(text)),
+  );
+  if (minutes >= 60 || seconds >= 60) {
+    throw new Error('Minutes and seconds must be below 60');
+  }
+  if (numbers.slice(1).some(text => /^[-+]/.test(text))) {
+    throw new Error('Only degrees can carry a sign');
+  }
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return negative || hemisphere === 'S' || hemisphere === 'W' ? -value : value;
+};
+
+// Splits "37°47'17.7"N 122°25'56.6"W", "N37 47.295 W122 25.944" or
+// "37.78825, -122.4324" into latitude and longitude parts. Without
+// hemisphere letters the numbers are split evenly, latitude first.
+const splitLatLng = text => {
+  const tokens =
+    text
+      .toUpperCase()
+      .replace(/[°º'′’"″”:,;]|\bDEG\b/g, ' ')
+      .match(/[-+]?\d+(?:\.\d+)?|[NSEW]|\S+/g) || [];
+  const unknown = tokens.find(
+    token => !NUMBER_PATTERN.test(token) && !isHemisphere(token),
+  );
+  if (unknown) {
+    throw new Error(`Unexpected "${unknown}"`);
+  }
+  const letters = tokens.filter(isHemisphere);
+  if (letters.length === 0) {
+    if (tokens.length % 2 !== 0) {
+      throw new Error('Expected a latitude and a longitude');
+    }
+    return [
+      {numbers: tokens.slice(0, tokens.length / 2)},
+      {numbers: tokens.slice(tokens.length / 2)},
+    ];
+  }
+  if (letters.length !== 2) {
+    throw new Error(
+      'Expected one hemisphere letter for each of latitude and longitude',
+    );
+  }
+  // Letters lead ("N37 W122") or trail ("37N 122W") their numbers.
+  const leading = isHemisphere(tokens[0]);
+  const parts = [];
+  let open = null;
+  let numbers = [];
+  tokens.forEach(token => {
+    if (!isHemisphere(token)) {
+      numbers.push(token);
+      return;
+    }
+    if (!leading) {
+      parts.push({hemisphere: token, numbers});
+    } else if (open) {
+      parts.push({...open, numbers});
+    }
+    open = {hemisphere: token};
+    numbers = [];
+  });
+  if (leading) {
+    parts.push({...open, numbers});
+  } else if (numbers.length) {
+    throw new Error('Expected a hemisphere letter after every angle');
+  }
+  const latitude = parts.find(part => 'NS'.includes(part.hemisphere));
+  const longitude = parts.find(part => 'EW'.includes(part.hemisphere));
+  if (!latitude || !longitude) {
+    throw new Error('Expected one of N/S and one of E/W');
+  }
+  return [latitude, longitude];
+};
+
+const parseLatLng = text => {
+  const [latitude, longitude] = splitLatLng(text);
+  return {
+    latitude: parseAngle(latitude.numbers, latitude.hemisphere),
+    longitude: parseAngle(longitude.numbers, longitude.hemisphere),
+  };
+};
+
+// Reads one coordinate in any of the supported notations: decimal
+// degrees, degrees with minutes or seconds, UTM with its latitude band
+// ("10S 551316 4182270") or MGRS ("10SEG5131682270").
+export const parseCoordinate = text => {
+  const trimmed = String(text).trim();
+  if (!trimmed) {
+    throw new Error('Empty coordinate');
+  }
+  const utm = trimmed.match(UTM_PATTERN);
+  const mgrs = !utm && trimmed.match(MGRS_PATTERN);
+  let coordinate;
+  if (utm) {
+    coordinate = parseUtm(utm);
+  } else if (mgrs) {
+    coordinate = parseMgrs(mgrs);
+  } else {
+    coordinate = parseLatLng(trimmed);
+  }
+  validateCoordinates(coordinate, `"${trimmed}"`);
+  return coordinate;
+};
+
+// One coordinate per line; blank lines and lines starting with # are
+// skipped. Lines that do not parse are reported with their line number
+// rather than dropped.
+export const parseCoordinateList = text => {
+  const coordinates = [];
+  const errors = [];
+  String(text)
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) {
+        return;
+      }
+      try {
+        coordinates.push(parseCoordinate(trimmed));
+      } catch (err) {
+        errors.push({line: index + 1, text: trimmed, message: err.message});
+      }
+    });
+  return {coordinates, errors};
+};
+
+const formatDms = (value, positive, negative) => {
+  // Rounded to hundredths of a second (about 0.3 m) before splitting so
+  // 59.999" does not show as 60".
+  const total = Math.round(Math.abs(value) * 360000);
+  const degrees = Math.floor(total / 360000);
+  const minutes = Math.floor((total % 360000) / 6000);
+  const seconds = ((total % 6000) / 100).toFixed(2);
+  return `${degrees}°${String(minutes).padStart(2, '0')}'${seconds.padStart(
+    5,
+    '0',
+  )}"${value < 0 ? negative : positive}`;
+};
+
+const formatters = {
+  [COORDINATE_FORMAT.DECIMAL]: ({latitude, longitude}) =>
+    `${latitude.toFixed(6)}, ${longitude.toFixed(6)}`,
+  [COORDINATE_FORMAT.DMS]: ({latitude, longitude}) =>
+    `${formatDms(latitude, 'N', 'S')} ${formatDms(longitude, 'E', 'W')}`,
+  [COORDINATE_FORMAT.UTM]: coordinate => {
+    const {zone, band, easting, northing} = toUtm(coordinate);
+    return `${zone}${band} ${Math.round(easting)} ${Math.round(northing)}`;
+  },
+  [COORDINATE_FORMAT.MGRS]: coordinate => {
+    const {zone, band, square, easting, northing} = toMgrs(coordinate);
+    return `${zone}${band} ${square} ${easting} ${northing}`;
+  },
+};
+
+// Points outside the UTM grid (near the poles) fall back to decimal
+// degrees.
+export const formatCoordinate = (
+  coordinate,
+  format = COORDINATE_FORMAT.DECIMAL,
+) => {
+  const formatter = formatters[format] || formatters[COORDINATE_FORMAT.DECIMAL];
+  try {
+    return formatter(coordinate);
+  } catch (err) {
+    return formatters[COORDINATE_FORMAT.DECIMAL](coordinate);
+  }
+};
@@ -0,0 +1,215 @@
+// WGS84 latitude/longitude to and from UTM and MGRS, using the series
+// expansions of the USGS (Snyder, "Map Projections: A Working Manual"),
+// accurate to well under a metre inside a zone. Polar regions (UPS) are
+// not covered.
+
+const A = 6378137;
+const F = 1 / 298.257223563;
+const K0 = 0.9996;
+const E2 = F * (2 - F);
+const EP2 = E2 / (1 - E2);
+const FALSE_EASTING = 500000;
+const FALSE_NORTHING = 10000000;
+
+export const UTM_MIN_LATITUDE = -80;
+export const UTM_MAX_LATITUDE = 84;
+
+const BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+const COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const ROWS = 'ABCDEFGHJKLMNPQRSTUV';
+// Lowest northing (m, modulo 2000 km) found in each latitude band, used
+// to put an MGRS row letter back into the right 2000 km cycle.
+const BAND_MIN_NORTHING = {
+  C: 1100000,
+  D: 2000000,
+  E: 2800000,
+  F: 3700000,
+  G: 4600000,
+  H: 5500000,
+  J: 6400000,
+  K: 7300000,
+  L: 8200000,
+  M: 9100000,
+  N: 0,
+  P: 800000,
+  Q: 1700000,
+  R: 2600000,
+  S: 3500000,
+  T: 4400000,
+  U: 5300000,
+  V: 6200000,
+  W: 7000000,
+  X: 7900000,
+};
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+
+const centralMeridian = zone => (zone - 1) * 6 - 180 + 3;
+
+const meridianArc = phi =>
+  A *
+  ((1 - E2 / 4 - (3 * E2 * E2) / 64 - (5 * E2 * E2 * E2) / 256) * phi -
+    ((3 * E2) / 8 + (3 * E2 * E2) / 32 + (45 * E2 * E2 * E2) / 1024) *
+      Math.sin(2 * phi) +
+    ((15 * E2 * E2) / 256 + (45 * E2 * E2 * E2) / 1024) * Math.sin(4 * phi) -
+    ((35 * E2 * E2 * E2) / 3072) * Math.sin(6 * phi));
+
+export const latitudeBand = latitude =>
+  BANDS[Math.min(Math.floor((latitude + 80) / 8), BANDS.length - 1)];
+
+// Standard 6° zones, except the wider zone 32V over south-west Norway and
+// the odd zones covering Svalbard.
+export const utmZone = (latitude, longitude) => {
+  if (latitude >= 56 && latitude < 64 && longitude >= 3 && longitude < 12) {
+    return 32;
+  }
+  if (latitude >= 72 && longitude >= 0 && longitude < 42) {
+    if (longitude < 9) {
+      return 31;
+    }
+    if (longitude < 21) {
+      return 33;
+    }
+    return longitude < 33 ? 35 : 37;
+  }
+  return Math.min(Math.floor((longitude + 180) / 6) + 1, 60);
+};
+
+const requireUtmLatitude = latitude => {
+  if (latitude < UTM_MIN_LATITUDE || latitude > UTM_MAX_LATITUDE) {
+    throw new Error(
+      `UTM covers latitudes ${-UTM_MIN_LATITUDE}°S to ${UTM_MAX_LATITUDE}°N`,
+    );
+  }
+};
+
+export const toUtm = ({latitude, longitude}) => {
+  requireUtmLatitude(latitude);
+  const zone = utmZone(latitude, longitude);
+  const phi = toRadians(latitude);
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const n = A / Math.sqrt(1 - E2 * sinPhi * sinPhi);
+  const t = Math.tan(phi) ** 2;
+  const c = EP2 * cosPhi * cosPhi;
+  const a = cosPhi * toRadians(longitude - centralMeridian(zone));
+
+  const easting =
+    FALSE_EASTING +
+    K0 *
+      n *
+      (a +
+        ((1 - t + c) * a ** 3) / 6 +
+        ((5 - 18 * t + t * t + 72 * c - 58 * EP2) * a ** 5) / 120);
+  const northing =
+    K0 *
+    (meridianArc(phi) +
+      n *
+        Math.tan(phi) *
+        ((a * a) / 2 +
+          ((5 - t + 9 * c + 4 * c * c) * a ** 4) / 24 +
+          ((61 - 58 * t + t * t + 600 * c - 330 * EP2) * a ** 6) / 720));
+
+  return {
+    zone,
+    band: latitudeBand(latitude),
+    easting,
+    northing: latitude < 0 ? northing + FALSE_NORTHING : northing,
+  };
+};
+
+// `band` is the MGRS latitude band letter; C to M are south of the
+// equator.
+export const fromUtm = ({zone, band, easting, northing}) => {
+  const south = band.toUpperCase() < 'N';
+  const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+  const mu =
+    (south ? northing - FALSE_NORTHING : northing) /
+    K0 /
+    (A * (1 - E2 / 4 - (3 * E2 * E2) / 64 - (5 * E2 * E2 * E2) / 256));
+  const phi1 =
+    mu +
+    ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu) +
+    ((21 * e1 * e1) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu) +
+    ((151 * e1 ** 3) / 96) * Math.sin(6 * mu) +
+    ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+
+  const sinPhi1 = Math.sin(phi1);
+  const cosPhi1 = Math.cos(phi1);
+  const n1 = A / Math.sqrt(1 - E2 * sinPhi1 * sinPhi1);
+  const t1 = Math.tan(phi1) ** 2;
+  const c1 = EP2 * cosPhi1 * cosPhi1;
+  const r1 = (A * (1 - E2)) / (1 - E2 * sinPhi1 * sinPhi1) ** 1.5;
+  const d = (easting - FALSE_EASTING) / (n1 * K0);
+
+  const phi =
+    phi1 -
+    ((n1 * Math.tan(phi1)) / r1) *
+      ((d * d) / 2 -
+        ((5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * EP2) * d ** 4) / 24 +
+        ((61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * EP2 - 3 * c1 * c1) *
+          d ** 6) /
+          720);
+  const lambda =
+    (d -
+      ((1 + 2 * t1 + c1) * d ** 3) / 6 +
+      ((5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * EP2 + 24 * t1 * t1) * d ** 5) /
+        120) /
+    cosPhi1;
+
+  return {
+    latitude: toDegrees(phi),
+    longitude: centralMeridian(zone) + toDegrees(lambda),
+  };
+};
+
+// The 100 km square letters cycle every three zones for columns and
+// start five rows later in even zones.
+const columnLetters = zone => COLUMN_SETS[(zone - 1) % 3];
+const rowOffset = zone => (zone % 2 === 0 ? 5 : 0);
+
+// MGRS references truncate rather than round, so a reference always names
+// the square the point lies in.
+export const toMgrs = (coordinate, digits = 5) => {
+  const {zone, band, easting, northing} = toUtm(coordinate);
+  const column = columnLetters(zone)[Math.floor(easting / 100000) - 1];
+  const row =
+    ROWS[(Math.floor(northing / 100000) + rowOffset(zone)) % ROWS.length];
+  const scale = 10 ** (5 - digits);
+  const pad = value =>
+    String(Math.floor((value % 100000) / scale)).padStart(digits, '0');
+  return {
+    zone,
+    band,
+    square: `${column}${row}`,
+    easting: pad(easting),
+    northing: pad(northing),
+  };
+};
+
+// `easting` and `northing` are the digit strings within the square, of
+// equal length; fewer digits name the south-west corner of a coarser
+// square.
+export const fromMgrs = ({zone, band, square, easting, northing}) => {
+  const upperBand = band.toUpperCase();
+  const column = columnLetters(zone).indexOf(square[0].toUpperCase());
+  const rowLetter = ROWS.indexOf(square[1].toUpperCase());
+  if (column === -1 || rowLetter === -1) {
+    throw new Error(`Invalid MGRS square ${square} for zone ${zone}`);
+  }
+  const scale = 10 ** (5 - easting.length);
+  const row = (rowLetter - rowOffset(zone) + ROWS.length) % ROWS.length;
+  let fullNorthing = row * 100000 + Number(northing || 0) * scale;
+  while (fullNorthing < BAND_MIN_NORTHING[upperBand]) {
+    fullNorthing += 2000000;
+  }
+  return fromUtm({
+    zone,
+    band: upperBand,
+    easting: (column + 1) * 100000 + Number(easting || 0) * scale,
+    northing: fullNorthing,
+  });
+};
+
+export const isLatitudeBand = letter => BANDS.includes(letter.toUpperCase());
@@ -0,0 +1,64 @@
+import {LOG_CATEGORY, logger} from '../logging/logger';
+
+const log = logger.scope(LOG_CATEGORY.GPS);
+
+export const FOLLOW_INTERVAL = 1000;
+// A fix older than this is not sent, so a phone that loses GPS does not
+// keep the vehicle chasing where the operator used to be.
+export const FOLLOW_MAX_AGE = 10000;
+
+// Streams the phone's latest position to the device every `interval` ms
+// while running. `send` resolves true when the position went out and false
+// when the link could not take it; a failed write is logged and the next
+// tick tries again. A tick is skipped while the previous write is pending.
+export const createFollowMe = ({
+  getPosition,
+  send,
+  interval = FOLLOW_INTERVAL,
+  maxAge = FOLLOW_MAX_AGE,
+  now = Date.now,
+}) => {
+  let timer = null;
+  let sending = false;
+  let sent = 0;
+
+  const tick = async () => {
+    const position = getPosition();
+    if (sending || !position || now() - position.timestamp > maxAge) {
+      return;
+    }
+    sending = true;
+    try {
+      if (await send(position)) {
+        sent++;
+      }
+    } catch (err) {
+      log.warn('⚠️ Follow-me update failed:', err.message);
+    } finally {
+      sending = false;
+    }
+  };
+
+  return {
+    start() {
+      if (timer) {
+        return;
+      }
+      log.info(`🏃 Follow-me started, every ${interval} ms`);
+      sent = 0;
+      timer = setInterval(tick, interval);
+      tick();
+    },
+
+    stop() {
+      if (!timer) {
+        return;
+      }
+      clearInterval(timer);
+      timer = null;
+      log.info(`🏃 Follow-me stopped after ${sent} position(s)`);
+    },
+
+    isRunning: () => timer !== null,
+  };
+};
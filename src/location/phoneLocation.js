@@ -0,0 +1,38 @@
+// The phone's own position as the location service reports it, reduced to
+// what the app uses. Heading and speed are null when the platform does not
+// know them (it reports -1 or NaN).
+
+// watchPosition options: GPS rather than network fixes, and no update for
+// moves smaller than the fix is good for anyway.
+export const WATCH_OPTIONS = {
+  enableHighAccuracy: true,
+  distanceFilter: 2,
+  interval: 1000,
+  fastestInterval: 500,
+};
+
+// Fixes worse than this many metres are shown as poor, and setting the home
+// point from one asks for confirmation first.
+export const POOR_ACCURACY = 25;
+
+const knownOrNull = value =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0
+    ? value
+    : null;
+
+export const toPhonePosition = ({coords, timestamp}) => ({
+  latitude: coords.latitude,
+  longitude: coords.longitude,
+  accuracy: knownOrNull(coords.accuracy),
+  heading: knownOrNull(coords.heading),
+  speed: knownOrNull(coords.speed),
+  timestamp: timestamp || Date.now(),
+});
+
+export const isPoorFix = position =>
+  !position || position.accuracy === null || position.accuracy > POOR_ACCURACY;
+
+export const formatAccuracy = accuracy =>
+  accuracy === null || accuracy === undefined
+    ? 'accuracy unknown'
+    : `±${accuracy < 10 ? accuracy.toFixed(1) : Math.round(accuracy)} m`;
@@ -0,0 +1,29 @@
+import {formatEntry} from './logger';
+
+const timestamp = time => new Date(time).toISOString().replace(/[:.]/g, '-');
+
+// One JSON file with everything needed to debug a field report: the phone,
+// the link's state and settings, the route that was loaded and the log.
+// Returns the same {content, fileName, mimeType} shape as exportRoute so it
+// goes through the same share sheet.
+export const buildDiagnostics = ({
+  entries,
+  platform,
+  link,
+  route,
+  now = Date.now(),
+}) => ({
+  content: JSON.stringify(
+    {
+      generatedAt: new Date(now).toISOString(),
+      platform,
+      link,
+      route,
+      log: entries.map(formatEntry),
+    },
+    null,
+    2,
+  ),
+  fileName: `waypoints-diagnostics-${timestamp(now)}.json`,
+  mimeType: 'application/json',
+});
@@ -0,0 +1,132 @@
+import {createEmitter} from '../utils/createEmitter';
+
+// Structured log shared by the whole app. Every line is still printed to
+// the console for Metro, and also kept in a ring buffer that the log screen
+// reads and that is persisted between launches (see storage/logStore.js).
+
+export const LOG_LEVEL = {
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error',
+};
+
+export const LOG_CATEGORY = {
+  BLE: 'ble',
+  GPS: 'gps',
+  ROUTE: 'route',
+  APP: 'app',
+};
+
+export const LOG_CAPACITY = 2000;
+
+const LEVEL_RANK = {
+  [LOG_LEVEL.DEBUG]: 0,
+  [LOG_LEVEL.INFO]: 1,
+  [LOG_LEVEL.WARN]: 2,
+  [LOG_LEVEL.ERROR]: 3,
+};
+
+const CONSOLE_METHOD = {
+  [LOG_LEVEL.DEBUG]: 'log',
+  [LOG_LEVEL.INFO]: 'log',
+  [LOG_LEVEL.WARN]: 'warn',
+  [LOG_LEVEL.ERROR]: 'error',
+};
+
+const formatValue = value => {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return value.message;
+  }
+  try {
+    return JSON.stringify(value);
+  } catch (err) {
+    return String(value);
+  }
+};
+
+export const atLeast = (level, minimum) =>
+  LEVEL_RANK[level] >= LEVEL_RANK[minimum];
+
+// Narrows entries by minimum level, category (null for all) and a
+// case-insensitive text search.
+export const filterEntries = (entries, {level, category, query} = {}) => {
+  const needle = (query || '').trim().toLowerCase();
+  return entries.filter(
+    entry =>
+      (!level || atLeast(entry.level, level)) &&
+      (!category || entry.category === category) &&
+      (!needle || entry.message.toLowerCase().includes(needle)),
+  );
+};
+
+export const formatEntry = entry =>
+  `${new Date(entry.time).toISOString()} ${entry.level.toUpperCase()} [${
+    entry.category
+  }] ${entry.message}`;
+
+// Takes console-style arguments: scope.info('📤 Sending', bytes, err).
+export const createLogger = ({
+  capacity = LOG_CAPACITY,
+  output = console,
+} = {}) => {
+  // Listener failures skip the ring buffer: an 'entry' listener that throws
+  // would otherwise be handed its own failure again.
+  const emitter = createEmitter({
+    log: output && {warn: (...args) => output.warn(...args)},
+  });
+  // Tells entries restored from earlier launches apart from this one's.
+  const session = Date.now().toString(36);
+  let entries = [];
+  let nextId = 1;
+
+  const write = (level, category, args) => {
+    if (output) {
+      output[CONSOLE_METHOD[level]](...args);
+    }
+    const entry = {
+      id: `${session}-${nextId++}`,
+      session,
+      time: Date.now(),
+      level,
+      category,
+      message: args.map(formatValue).join(' '),
+    };
+    entries.push(entry);
+    if (entries.length > capacity) {
+      entries.splice(0, entries.length - capacity);
+    }
+    emitter.emit('entry', entry);
+  };
+
+  return {
+    on: emitter.on,
+
+    scope: category => ({
+      debug: (...args) => write(LOG_LEVEL.DEBUG, category, args),
+      info: (...args) => write(LOG_LEVEL.INFO, category, args),
+      warn: (...args) => write(LOG_LEVEL.WARN, category, args),
+      error: (...args) => write(LOG_LEVEL.ERROR, category, args),
+    }),
+
+    getEntries: () => entries.slice(),
+
+    getSession: () => session,
+
+    // Puts entries from an earlier session in front of this one's.
+    restore(previous) {
+      entries = [...previous, ...entries].slice(-capacity);
+      emitter.emit('restore', entries.length);
+    },
+
+    clear() {
+      entries = [];
+      emitter.emit('clear');
+    },
+  };
+};
+
+export const logger = createLogger();
@@ -0,0 +1,113 @@
+import {getBounds, getDistance, getGreatCircleBearing} from 'geolib';
+
+export const UNIT_SYSTEM = {
+  METRIC: 'metric',
+  IMPERIAL: 'imperial',
+  NAUTICAL: 'nautical',
+};
+
+// Distances switch to the small unit below one large unit.
+const UNITS = {
+  [UNIT_SYSTEM.METRIC]: {
+    large: {label: 'km', meters: 1000},
+    small: {label: 'm', meters: 1},
+    speed: {label: 'km/h', mps: 1000 / 3600},
+  },
+  [UNIT_SYSTEM.IMPERIAL]: {
+    large: {label: 'mi', meters: 1609.344},
+    small: {label: 'ft', meters: 0.3048},
+    speed: {label: 'mph', mps: 1609.344 / 3600},
+  },
+  [UNIT_SYSTEM.NAUTICAL]: {
+    large: {label: 'nm', meters: 1852},
+    small: {label: 'm', meters: 1},
+    speed: {label: 'kn', mps: 1852 / 3600},
+  },
+};
+
+export const DEFAULT_CRUISE_SPEED = 5; // m/s
+export const DEFAULT_MAX_TURN = 120; // degrees
+
+export const speedUnitLabel = units => UNITS[units].speed.label;
+
+export const toMetersPerSecond = (value, units) =>
+  value * UNITS[units].speed.mps;
+
+export const fromMetersPerSecond = (mps, units) => mps / UNITS[units].speed.mps;
+
+export const formatDistance = (meters, units) => {
+  const {large, small} = UNITS[units];
+  return meters >= large.meters
+    ? `${(meters / large.meters).toFixed(2)} ${large.label}`
+    : `${Math.round(meters / small.meters)} ${small.label}`;
+};
+
+export const formatSpeed = (mps, units) =>
+  `${fromMetersPerSecond(mps, units).toFixed(1)} ${speedUnitLabel(units)}`;
+
+export const formatDuration = seconds => {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  if (h > 0) {
+    return `${h}h ${m}m`;
+  }
+  return m > 0 ? `${m}m ${s}s` : `${s}s`;
+};
+
+export const formatBearing = degrees =>
+  `${String(Math.round(degrees) % 360).padStart(3, '0')}°`;
+
+// Signed change of heading in (-180, 180]; positive is a right turn.
+export const turnAngle = (inBearing, outBearing) => {
+  const delta = ((((outBearing - inBearing) % 360) + 540) % 360) - 180;
+  return delta === -180 ? 180 : delta;
+};
+
+// Per-leg and whole-route figures. A waypoint's own speed attribute sets
+// the speed for the leg arriving at it, and its hold time is added to the
+// total; otherwise legs use the cruise speed. Turns sharper than maxTurn
+// are flagged.
+export const analyzeRoute = (
+  waypoints,
+  {cruiseSpeed = DEFAULT_CRUISE_SPEED, maxTurn = DEFAULT_MAX_TURN} = {},
+) => {
+  const legs = [];
+  let cumulative = 0;
+  let elapsed = 0;
+
+  for (let i = 0; i < waypoints.length - 1; i++) {
+    const from = waypoints[i];
+    const to = waypoints[i + 1];
+    const distance = getDistance(from, to);
+    const speed = to.speed > 0 ? to.speed : cruiseSpeed;
+    const duration = speed > 0 ? distance / speed : 0;
+    cumulative += distance;
+    elapsed += duration + (to.hold || 0);
+    legs.push({
+      index: i,
+      distance,
+      bearing: getGreatCircleBearing(from, to),
+      speed,
+      duration,
+      cumulative,
+      elapsed,
+    });
+  }
+
+  const turns = [];
+  for (let i = 1; i < legs.length; i++) {
+    const angle = turnAngle(legs[i - 1].bearing, legs[i].bearing);
+    turns.push({index: i, angle, sharp: Math.abs(angle) > maxTurn});
+  }
+
+  const holdAtStart = (waypoints[0] && waypoints[0].hold) || 0;
+  return {
+    legs,
+    turns,
+    totalDistance: cumulative,
+    totalDuration: elapsed + holdAtStart,
+    bounds: waypoints.length > 0 ? getBounds(waypoints) : null,
+  };
+};
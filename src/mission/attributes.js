@@ -0,0 +1,80 @@
+// Optional per-waypoint mission attributes. A waypoint without any of these
+// is a plain coordinate and encodes exactly as before.
+
+export const WAYPOINT_ACTION = {
+  NONE: 0,
+  LOITER: 1,
+  PHOTO: 2,
+  SAMPLE: 3,
+  LAND: 4,
+  RETURN_HOME: 5,
+};
+
+export const ACTION_LABELS = {
+  [WAYPOINT_ACTION.NONE]: 'None',
+  [WAYPOINT_ACTION.LOITER]: 'Loiter',
+  [WAYPOINT_ACTION.PHOTO]: 'Photo',
+  [WAYPOINT_ACTION.SAMPLE]: 'Sample',
+  [WAYPOINT_ACTION.LAND]: 'Land',
+  [WAYPOINT_ACTION.RETURN_HOME]: 'Return home',
+};
+
+// Numeric attributes in display order. Ranges follow the wire encoding in
+// encoding.js: altitude i16 decimetres, speed u16 cm/s, hold u16 seconds,
+// radius u16 decimetres.
+export const NUMERIC_ATTRIBUTES = [
+  {key: 'altitude', label: 'Altitude', unit: 'm', min: -3276.8, max: 3276.7},
+  {key: 'speed', label: 'Speed', unit: 'm/s', min: 0, max: 655.35},
+  {key: 'hold', label: 'Hold', unit: 's', min: 0, max: 65535},
+  {key: 'radius', label: 'Radius', unit: 'm', min: 0, max: 6553.5},
+];
+
+const isSet = value => value !== undefined && value !== null;
+
+export const hasAttributes = waypoint =>
+  NUMERIC_ATTRIBUTES.some(({key}) => isSet(waypoint[key])) ||
+  (isSet(waypoint.action) && waypoint.action !== WAYPOINT_ACTION.NONE);
+
+export const routeHasAttributes = waypoints => waypoints.some(hasAttributes);
+
+export const validateAttributes = (waypoint, name) => {
+  NUMERIC_ATTRIBUTES.forEach(({key, label, unit, min, max}) => {
+    const value = waypoint[key];
+    if (!isSet(value)) {
+      return;
+    }
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      throw new Error(`Invalid ${name} ${key}`);
+    }
+    if (value < min || value > max) {
+      throw new Error(
+        `${label} of ${name} must be between ${min} and ${max} ${unit}`,
+      );
+    }
+  });
+  if (isSet(waypoint.action) && ACTION_LABELS[waypoint.action] === undefined) {
+    throw new Error(`Unknown action ${waypoint.action} on ${name}`);
+  }
+};
+
+// Applies edited attributes; null/undefined clears a field so the waypoint
+// falls back to a plain coordinate.
+export const setAttributes = (waypoint, changes) => {
+  const next = {...waypoint, ...changes};
+  [...NUMERIC_ATTRIBUTES.map(({key}) => key), 'action'].forEach(key => {
+    if (!isSet(next[key]) || (key === 'action' && next[key] === 0)) {
+      delete next[key];
+    }
+  });
+  return next;
+};
+
+export const describeAttributes = waypoint => {
+  const parts = NUMERIC_ATTRIBUTES.filter(({key}) => isSet(waypoint[key])).map(
+    ({key, label, unit}) => `${label.toLowerCase()} ${waypoint[key]} ${unit}`,
+  );
+  if (isSet(waypoint.action) && waypoint.action !== WAYPOINT_ACTION.NONE) {
+    parts.push(ACTION_LABELS[waypoint.action].toLowerCase());
+  }
+  return parts.join(', ');
+};
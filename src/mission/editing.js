@@ -0,0 +1,85 @@
+// Pure route edits. Each returns a new array so they can be handed straight
+// to setWaypoints; roles (source, destination) follow from position alone.
+
+export const waypointLabel = (index, count) => {
+  if (index === 0) {
+    return 'Source';
+  }
+  if (index === count - 1) {
+    return 'Destination';
+  }
+  return `Waypoint ${index + 1}`;
+};
+
+export const moveWaypoint = (waypoints, index, coordinate) =>
+  waypoints.map((wp, i) =>
+    i === index
+      ? {...wp, latitude: coordinate.latitude, longitude: coordinate.longitude}
+      : wp,
+  );
+
+export const insertWaypoint = (waypoints, index, coordinate) => [
+  ...waypoints.slice(0, index),
+  {latitude: coordinate.latitude, longitude: coordinate.longitude},
+  ...waypoints.slice(index),
+];
+
+export const removeWaypoint = (waypoints, index) =>
+  waypoints.filter((_, i) => i !== index);
+
+export const reorderWaypoint = (waypoints, from, to) => {
+  if (to < 0 || to >= waypoints.length || from === to) {
+    return waypoints;
+  }
+  const next = [...waypoints];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
+
+// Squared distance from p to segment a-b on a local equirectangular plane;
+// only used to rank segments, so the units do not matter.
+const segmentDistance = (p, a, b) => {
+  const scale = Math.cos((p.latitude * Math.PI) / 180);
+  const ax = (a.longitude - p.longitude) * scale;
+  const ay = a.latitude - p.latitude;
+  const bx = (b.longitude - p.longitude) * scale;
+  const by = b.latitude - p.latitude;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t =
+    lengthSq === 0
+      ? 0
+      : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+  const x = ax + t * dx;
+  const y = ay + t * dy;
+  return x * x + y * y;
+};
+
+// Index of the leg (waypoints[i] -> waypoints[i + 1]) closest to the
+// coordinate, or -1 for routes with fewer than two points.
+export const nearestSegmentIndex = (waypoints, coordinate) => {
+  let best = -1;
+  let bestDistance = Infinity;
+  for (let i = 0; i < waypoints.length - 1; i++) {
+    const distance = segmentDistance(
+      coordinate,
+      waypoints[i],
+      waypoints[i + 1],
+    );
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+// Inserts the coordinate into whichever leg it was tapped on.
+export const insertOnRoute = (waypoints, coordinate) => {
+  const segment = nearestSegmentIndex(waypoints, coordinate);
+  return segment === -1
+    ? [...waypoints, coordinate]
+    : insertWaypoint(waypoints, segment + 1, coordinate);
+};
@@ -0,0 +1,224 @@
+import {Buffer} from 'buffer';
+import {WAYPOINT_ACTION} from './attributes';
+import {hasFlag, withFlag} from '../utils/bits';
+
+// Three mission encodings are supported:
+//   text      WP1:lat,lng;WP2:lat,lng;...   (legacy firmware)
+//   binary    [version:u8][flags:u8][count:u16le] then per waypoint
+//             [lat:i32le][lng:i32le] in 1e-7 degree fixed point
+//   extended  binary with MISSION_FLAG.ATTRIBUTES set; each waypoint is
+//             followed by [present:u8][action:u8][altitude:i16le dm]
+//             [speed:u16le cm/s][hold:u16le s][radius:u16le dm]
+// The first byte tells text and binary apart: binary versions are small
+// integers, text missions always start with 'W'. Text and plain binary
+// carry coordinates only, so older firmware keeps working unchanged.
+
+export const MISSION_FORMAT = {
+  TEXT: 'text',
+  BINARY: 'binary',
+  EXTENDED: 'extended',
+};
+
+// Each device can be given its own format, keyed by device id; ANY_DEVICE
+// is the default for the rest. Old firmware only understands text.
+export const ANY_DEVICE = '*';
+
+export const missionFormatFor = (formats, deviceId) =>
+  formats[deviceId] || formats[ANY_DEVICE] || MISSION_FORMAT.TEXT;
+
+// Fences and the home point follow the mission as extra payloads. Text-only
+// firmware predates them and rejects them, so by default they go only to
+// devices on a binary format; missionExtras, keyed like the formats, turns
+// them on or off for a device whatever its format.
+export const acceptsExtras = ({missionFormats, missionExtras}, deviceId) => {
+  const choice =
+    deviceId in missionExtras
+      ? missionExtras[deviceId]
+      : missionExtras[ANY_DEVICE];
+  return typeof choice === 'boolean'
+    ? choice
+    : missionFormatFor(missionFormats, deviceId) !== MISSION_FORMAT.TEXT;
+};
+
+export const MISSION_FLAG = {
+  ATTRIBUTES: 0x01,
+};
+
+export const BINARY_VERSION = 1;
+export const COORDINATE_SCALE = 1e7;
+
+const BINARY_HEADER_SIZE = 4;
+const BINARY_WAYPOINT_SIZE = 8;
+const ATTRIBUTE_BLOCK_SIZE = 10;
+const MAX_WAYPOINTS = 0xffff;
+
+// Bits of the `present` byte; unset attributes are encoded as zero.
+const ATTRIBUTE_BITS = {altitude: 0x01, speed: 0x02, hold: 0x04, radius: 0x08};
+
+const toFixedPoint = degrees => Math.round(degrees * COORDINATE_SCALE);
+
+const fromFixedPoint = value => value / COORDINATE_SCALE;
+
+// Plain decimals at the binary formats' precision: interpolating the number
+// itself would write small values as 1e-7, which the firmware (and
+// decodeTextMission) cannot read.
+const formatDegrees = degrees => degrees.toFixed(7).replace(/\.?0+$/, '');
+
+export const encodeTextMission = waypoints =>
+  waypoints
+    .map(
+      (wp, index) =>
+        `WP${index + 1}:${formatDegrees(wp.latitude)},${formatDegrees(
+          wp.longitude,
+        )}`,
+    )
+    .join(';');
+
+export const decodeTextMission = text =>
+  text
+    .split(';')
+    .filter(Boolean)
+    .map(entry => {
+      const match = /^WP(\d+):(-?[\d.]+),(-?[\d.]+)$/.exec(entry.trim());
+      if (!match) {
+        throw new Error(`Malformed waypoint entry: "${entry}"`);
+      }
+      return {
+        latitude: parseFloat(match[2]),
+        longitude: parseFloat(match[3]),
+      };
+    });
+
+const waypointSize = flags =>
+  hasFlag(flags, MISSION_FLAG.ATTRIBUTES)
+    ? BINARY_WAYPOINT_SIZE + ATTRIBUTE_BLOCK_SIZE
+    : BINARY_WAYPOINT_SIZE;
+
+const writeAttributes = (buffer, offset, wp) => {
+  const present = Object.keys(ATTRIBUTE_BITS).reduce(
+    (bits, key) =>
+      wp[key] !== undefined ? withFlag(bits, ATTRIBUTE_BITS[key]) : bits,
+    0,
+  );
+  buffer.writeUInt8(present, offset);
+  buffer.writeUInt8(wp.action || WAYPOINT_ACTION.NONE, offset + 1);
+  buffer.writeInt16LE(Math.round((wp.altitude || 0) * 10), offset + 2);
+  buffer.writeUInt16LE(Math.round((wp.speed || 0) * 100), offset + 4);
+  buffer.writeUInt16LE(Math.round(wp.hold || 0), offset + 6);
+  buffer.writeUInt16LE(Math.round((wp.radius || 0) * 10), offset + 8);
+};
+
+const readAttributes = (buffer, offset) => {
+  const present = buffer.readUInt8(offset);
+  const values = {
+    altitude: buffer.readInt16LE(offset + 2) / 10,
+    speed: buffer.readUInt16LE(offset + 4) / 100,
+    hold: buffer.readUInt16LE(offset + 6),
+    radius: buffer.readUInt16LE(offset + 8) / 10,
+  };
+  const attributes = {};
+  Object.keys(ATTRIBUTE_BITS).forEach(key => {
+    if (hasFlag(present, ATTRIBUTE_BITS[key])) {
+      attributes[key] = values[key];
+    }
+  });
+  const action = buffer.readUInt8(offset + 1);
+  if (action !== WAYPOINT_ACTION.NONE) {
+    attributes.action = action;
+  }
+  return attributes;
+};
+
+export const encodeBinaryMission = (waypoints, flags = 0) => {
+  if (waypoints.length > MAX_WAYPOINTS) {
+    throw new Error(`Too many waypoints (${waypoints.length})`);
+  }
+
+  const size = waypointSize(flags);
+  const buffer = Buffer.alloc(BINARY_HEADER_SIZE + waypoints.length * size);
+  buffer.writeUInt8(BINARY_VERSION, 0);
+  buffer.writeUInt8(flags, 1);
+  buffer.writeUInt16LE(waypoints.length, 2);
+
+  waypoints.forEach((wp, index) => {
+    const offset = BINARY_HEADER_SIZE + index * size;
+    buffer.writeInt32LE(toFixedPoint(wp.latitude), offset);
+    buffer.writeInt32LE(toFixedPoint(wp.longitude), offset + 4);
+    if (hasFlag(flags, MISSION_FLAG.ATTRIBUTES)) {
+      writeAttributes(buffer, offset + BINARY_WAYPOINT_SIZE, wp);
+    }
+  });
+
+  return buffer;
+};
+
+export const decodeBinaryMission = bytes => {
+  const buffer = Buffer.from(bytes);
+  if (buffer.length < BINARY_HEADER_SIZE) {
+    throw new Error('Binary mission is shorter than its header');
+  }
+
+  const version = buffer.readUInt8(0);
+  if (version !== BINARY_VERSION) {
+    throw new Error(`Unsupported binary mission version ${version}`);
+  }
+
+  const flags = buffer.readUInt8(1);
+  const count = buffer.readUInt16LE(2);
+  const size = waypointSize(flags);
+  const expected = BINARY_HEADER_SIZE + count * size;
+  if (buffer.length < expected) {
+    throw new Error(
+      `Binary mission truncated: expected ${expected} bytes, got ${buffer.length}`,
+    );
+  }
+
+  const waypoints = [];
+  for (let i = 0; i < count; i++) {
+    const offset = BINARY_HEADER_SIZE + i * size;
+    waypoints.push({
+      latitude: fromFixedPoint(buffer.readInt32LE(offset)),
+      longitude: fromFixedPoint(buffer.readInt32LE(offset + 4)),
+      ...(hasFlag(flags, MISSION_FLAG.ATTRIBUTES)
+        ? readAttributes(buffer, offset + BINARY_WAYPOINT_SIZE)
+        : {}),
+    });
+  }
+
+  return {version, flags, waypoints};
+};
+
+export const encodeMission = (waypoints, format = MISSION_FORMAT.TEXT) => {
+  switch (format) {
+    case MISSION_FORMAT.BINARY:
+      return encodeBinaryMission(waypoints);
+    case MISSION_FORMAT.EXTENDED:
+      return encodeBinaryMission(waypoints, MISSION_FLAG.ATTRIBUTES);
+    case MISSION_FORMAT.TEXT:
+      return Buffer.from(encodeTextMission(waypoints), 'utf-8');
+    default:
+      throw new Error(`Unknown mission format: ${format}`);
+  }
+};
+
+export const detectMissionFormat = bytes =>
+  bytes.length > 0 && bytes[0] === 'W'.charCodeAt(0)
+    ? MISSION_FORMAT.TEXT
+    : MISSION_FORMAT.BINARY;
+
+export const decodeMission = bytes => {
+  const buffer = Buffer.from(bytes);
+  if (detectMissionFormat(buffer) === MISSION_FORMAT.TEXT) {
+    return {
+      format: MISSION_FORMAT.TEXT,
+      waypoints: decodeTextMission(buffer.toString('utf-8')),
+    };
+  }
+  const decoded = decodeBinaryMission(buffer);
+  return {
+    format: hasFlag(decoded.flags, MISSION_FLAG.ATTRIBUTES)
+      ? MISSION_FORMAT.EXTENDED
+      : MISSION_FORMAT.BINARY,
+    ...decoded,
+  };
+};
@@ -0,0 +1,236 @@
+import {Buffer} from 'buffer';
+import {COORDINATE_SCALE} from './encoding';
+
+// A fence is {id, type, points}. Keep-in fences bound where the route may
+// go (the union of all of them); keep-out fences are no-go zones. Geometry
+// is done on the raw lat/lng plane, which is fine at the scale of a mission.
+
+export const FENCE_TYPE = {
+  KEEP_IN: 'keepIn',
+  KEEP_OUT: 'keepOut',
+};
+
+export const VIOLATION = {
+  OUTSIDE_KEEP_IN: 'outsideKeepIn',
+  LEAVES_KEEP_IN: 'leavesKeepIn',
+  INSIDE_KEEP_OUT: 'insideKeepOut',
+  CROSSES_KEEP_OUT: 'crossesKeepOut',
+};
+
+export const MIN_FENCE_POINTS = 3;
+
+export const createFence = (type, points) => {
+  if (points.length < MIN_FENCE_POINTS) {
+    throw new Error(`A fence needs at least ${MIN_FENCE_POINTS} points`);
+  }
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    points: points.map(({latitude, longitude}) => ({latitude, longitude})),
+  };
+};
+
+// Ray casting; points exactly on an edge may fall either way.
+export const pointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (
+      a.latitude > point.latitude !== b.latitude > point.latitude &&
+      point.longitude <
+        ((b.longitude - a.longitude) * (point.latitude - a.latitude)) /
+          (b.latitude - a.latitude) +
+          a.longitude
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const orientation = (p, q, r) =>
+  Math.sign(
+    (q.longitude - p.longitude) * (r.latitude - p.latitude) -
+      (q.latitude - p.latitude) * (r.longitude - p.longitude),
+  );
+
+// Proper crossing only: touching at an endpoint or running along an edge
+// does not count.
+export const segmentsIntersect = (a1, a2, b1, b2) =>
+  orientation(a1, a2, b1) * orientation(a1, a2, b2) < 0 &&
+  orientation(b1, b2, a1) * orientation(b1, b2, a2) < 0;
+
+const edges = polygon =>
+  polygon.map((point, i) => [point, polygon[(i + 1) % polygon.length]]);
+
+const crossesBoundary = (from, to, polygon) =>
+  edges(polygon).some(([b1, b2]) => segmentsIntersect(from, to, b1, b2));
+
+const midpoint = (a, b) => ({
+  latitude: (a.latitude + b.latitude) / 2,
+  longitude: (a.longitude + b.longitude) / 2,
+});
+
+// The midpoint check catches legs that pass exactly through vertices, which
+// the proper-crossing test deliberately ignores.
+export const segmentInsidePolygon = (from, to, polygon) =>
+  pointInPolygon(from, polygon) &&
+  pointInPolygon(to, polygon) &&
+  pointInPolygon(midpoint(from, to), polygon) &&
+  !crossesBoundary(from, to, polygon);
+
+export const segmentTouchesPolygon = (from, to, polygon) =>
+  pointInPolygon(from, polygon) ||
+  pointInPolygon(to, polygon) ||
+  pointInPolygon(midpoint(from, to), polygon) ||
+  crossesBoundary(from, to, polygon);
+
+const legLabel = segment => `leg ${segment + 1}-${segment + 2}`;
+
+// Lists every way the route breaks the fences. Waypoint violations carry
+// `index`, leg violations carry `segment` (the leg from waypoint
+// `segment` to `segment + 1`).
+export const checkRoute = (waypoints, fences) => {
+  const keepIn = fences.filter(f => f.type === FENCE_TYPE.KEEP_IN);
+  const keepOut = fences.filter(f => f.type === FENCE_TYPE.KEEP_OUT);
+  const violations = [];
+
+  waypoints.forEach((wp, index) => {
+    if (keepIn.length > 0 && !keepIn.some(f => pointInPolygon(wp, f.points))) {
+      violations.push({
+        kind: VIOLATION.OUTSIDE_KEEP_IN,
+        index,
+        message: `Waypoint ${index + 1} is outside the keep-in fence`,
+      });
+    }
+    keepOut
+      .filter(f => pointInPolygon(wp, f.points))
+      .forEach(f =>
+        violations.push({
+          kind: VIOLATION.INSIDE_KEEP_OUT,
+          index,
+          fenceId: f.id,
+          message: `Waypoint ${index + 1} is inside a keep-out zone`,
+        }),
+      );
+  });
+
+  for (let segment = 0; segment < waypoints.length - 1; segment++) {
+    const from = waypoints[segment];
+    const to = waypoints[segment + 1];
+    if (
+      keepIn.length > 0 &&
+      keepIn.some(f => pointInPolygon(from, f.points)) &&
+      keepIn.some(f => pointInPolygon(to, f.points)) &&
+      !keepIn.some(f => segmentInsidePolygon(from, to, f.points))
+    ) {
+      violations.push({
+        kind: VIOLATION.LEAVES_KEEP_IN,
+        segment,
+        message: `The ${legLabel(segment)} leaves the keep-in fence`,
+      });
+    }
+    keepOut
+      .filter(f => segmentTouchesPolygon(from, to, f.points))
+      .forEach(f =>
+        violations.push({
+          kind: VIOLATION.CROSSES_KEEP_OUT,
+          segment,
+          fenceId: f.id,
+          message: `The ${legLabel(segment)} crosses a keep-out zone`,
+        }),
+      );
+  }
+
+  return violations;
+};
+
+export const offendingSegments = violations => [
+  ...new Set(
+    violations.filter(v => v.segment !== undefined).map(v => v.segment),
+  ),
+];
+
+export const offendingWaypoints = violations => [
+  ...new Set(violations.filter(v => v.index !== undefined).map(v => v.index)),
+];
+
+// Fence upload payload, sent over the same framed transfer as missions:
+//   ['F'][version:u8 = 1][count:u8] then per fence
+//   [type:u8 0 keep-in / 1 keep-out][points:u16le] then [lat:i32le][lng:i32le]...
+// The leading 'F' keeps it distinct from text ('W') and binary (version 1)
+// missions.
+export const FENCE_MAGIC = 'F'.charCodeAt(0);
+export const FENCE_VERSION = 1;
+
+const FENCE_TYPE_CODES = [FENCE_TYPE.KEEP_IN, FENCE_TYPE.KEEP_OUT];
+const MAX_FENCES = 0xff;
+
+export const isFencePayload = bytes =>
+  bytes.length > 0 && bytes[0] === FENCE_MAGIC;
+
+export const encodeFences = fences => {
+  if (fences.length > MAX_FENCES) {
+    throw new Error(`Too many fences (${fences.length})`);
+  }
+  const size = fences.reduce((total, f) => total + 3 + f.points.length * 8, 3);
+  const buffer = Buffer.alloc(size);
+  buffer.writeUInt8(FENCE_MAGIC, 0);
+  buffer.writeUInt8(FENCE_VERSION, 1);
+  buffer.writeUInt8(fences.length, 2);
+
+  let offset = 3;
+  fences.forEach(fence => {
+    buffer.writeUInt8(FENCE_TYPE_CODES.indexOf(fence.type), offset);
+    buffer.writeUInt16LE(fence.points.length, offset + 1);
+    offset += 3;
+    fence.points.forEach(point => {
+      buffer.writeInt32LE(
+        Math.round(point.latitude * COORDINATE_SCALE),
+        offset,
+      );
+      buffer.writeInt32LE(
+        Math.round(point.longitude * COORDINATE_SCALE),
+        offset + 4,
+      );
+      offset += 8;
+    });
+  });
+  return buffer;
+};
+
+export const decodeFences = bytes => {
+  const buffer = Buffer.from(bytes);
+  if (!isFencePayload(buffer) || buffer.length < 3) {
+    throw new Error('Not a fence payload');
+  }
+  const version = buffer.readUInt8(1);
+  if (version !== FENCE_VERSION) {
+    throw new Error(`Unsupported fence version ${version}`);
+  }
+
+  const fences = [];
+  let offset = 3;
+  for (let i = 0; i < buffer.readUInt8(2); i++) {
+    if (offset + 3 > buffer.length) {
+      throw new Error('Fence payload truncated');
+    }
+    const type = FENCE_TYPE_CODES[buffer.readUInt8(offset)];
+    const count = buffer.readUInt16LE(offset + 1);
+    offset += 3;
+    if (!type || offset + count * 8 > buffer.length) {
+      throw new Error('Fence payload truncated or malformed');
+    }
+    const points = [];
+    for (let p = 0; p < count; p++) {
+      points.push({
+        latitude: buffer.readInt32LE(offset) / COORDINATE_SCALE,
+        longitude: buffer.readInt32LE(offset + 4) / COORDINATE_SCALE,
+      });
+      offset += 8;
+    }
+    fences.push({type, points});
+  }
+  return fences;
+};
@@ -0,0 +1,50 @@
+// Undo/redo for route edits. The history is a plain value like the
+// waypoints it holds, so every step returns a new history and the App can
+// keep it in a single piece of state.
+
+export const MAX_HISTORY = 100;
+
+export const createHistory = (present = []) => ({
+  past: [],
+  present,
+  future: [],
+});
+
+// Records `next` as the current route. Recording the route already shown
+// is a no-op so re-renders and cancelled edits leave no empty steps.
+export const recordEdit = (history, next) => {
+  if (next === history.present) {
+    return history;
+  }
+  return {
+    past: [...history.past, history.present].slice(-MAX_HISTORY),
+    present: next,
+    future: [],
+  };
+};
+
+export const canUndo = history => history.past.length > 0;
+
+export const canRedo = history => history.future.length > 0;
+
+export const undo = history => {
+  if (!canUndo(history)) {
+    return history;
+  }
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+  };
+};
+
+export const redo = history => {
+  if (!canRedo(history)) {
+    return history;
+  }
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+  };
+};
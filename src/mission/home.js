@@ -0,0 +1,46 @@
+import {Buffer} from 'buffer';
+import {COORDINATE_SCALE} from './encoding';
+
+// The home point is where the vehicle returns to when the mission ends or
+// the link is lost; the operator sets it from the phone's position. It is
+// sent after the mission (and fences) over the same framed transfer:
+//   ['H'][version:u8 = 1][lat:i32le][lng:i32le]
+export const HOME_MAGIC = 'H'.charCodeAt(0);
+export const HOME_VERSION = 1;
+const HOME_SIZE = 10;
+
+export const isHomePayload = bytes =>
+  bytes.length > 0 && bytes[0] === HOME_MAGIC;
+
+export const encodeHome = ({latitude, longitude}) => {
+  const buffer = Buffer.alloc(HOME_SIZE);
+  buffer.writeUInt8(HOME_MAGIC, 0);
+  buffer.writeUInt8(HOME_VERSION, 1);
+  buffer.writeInt32LE(Math.round(latitude * COORDINATE_SCALE), 2);
+  buffer.writeInt32LE(Math.round(longitude * COORDINATE_SCALE), 6);
+  return buffer;
+};
+
+export const decodeHome = bytes => {
+  const buffer = Buffer.from(bytes);
+  if (!isHomePayload(buffer) || buffer.length < HOME_SIZE) {
+    throw new Error('Not a home payload');
+  }
+  const version = buffer.readUInt8(1);
+  if (version !== HOME_VERSION) {
+    throw new Error(`Unsupported home version ${version}`);
+  }
+  return {
+    latitude: buffer.readInt32LE(2) / COORDINATE_SCALE,
+    longitude: buffer.readInt32LE(6) / COORDINATE_SCALE,
+  };
+};
+
+// The home point as it is kept in state: where, how sure the phone was of
+// it and when it was set.
+export const createHome = ({latitude, longitude, accuracy = null}) => ({
+  latitude,
+  longitude,
+  accuracy,
+  setAt: new Date().toISOString(),
+});
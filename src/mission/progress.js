@@ -0,0 +1,63 @@
+import {getDistance} from 'geolib';
+
+export const WAYPOINT_STATUS = {
+  REACHED: 'reached',
+  ACTIVE: 'active',
+  PENDING: 'pending',
+};
+
+// Progress is just the index of the waypoint the vehicle is heading for;
+// everything before it counts as reached. null means no report yet.
+export const applyProgressEvent = (activeIndex, event, waypointCount) => {
+  switch (event.type) {
+    case 'reached':
+      return Math.min(event.index + 1, waypointCount);
+    case 'target':
+      return Math.min(event.index, waypointCount);
+    default:
+      return activeIndex;
+  }
+};
+
+export const isMissionComplete = (activeIndex, waypointCount) =>
+  activeIndex !== null && waypointCount > 0 && activeIndex >= waypointCount;
+
+export const waypointStatus = (index, activeIndex) => {
+  if (activeIndex === null) {
+    return WAYPOINT_STATUS.PENDING;
+  }
+  if (index < activeIndex) {
+    return WAYPOINT_STATUS.REACHED;
+  }
+  return index === activeIndex
+    ? WAYPOINT_STATUS.ACTIVE
+    : WAYPOINT_STATUS.PENDING;
+};
+
+// Splits the planned route at the vehicle: `completed` runs through the
+// reached waypoints up to the vehicle, `remaining` from the vehicle through
+// the waypoints still to come.
+export const splitRoute = (waypoints, activeIndex, vehicle) => {
+  if (activeIndex === null || (activeIndex === 0 && !vehicle)) {
+    return {completed: [], remaining: waypoints};
+  }
+
+  const reached = waypoints.slice(0, activeIndex);
+  const ahead = waypoints.slice(activeIndex);
+  const pivot = vehicle || reached[reached.length - 1];
+
+  return {
+    completed: vehicle ? [...reached, vehicle] : reached,
+    remaining: ahead.length > 0 ? [pivot, ...ahead] : [],
+  };
+};
+
+// Kilometres still to travel: vehicle -> active waypoint -> ... -> last.
+export const remainingDistance = (waypoints, activeIndex, vehicle) => {
+  const {remaining} = splitRoute(waypoints, activeIndex, vehicle);
+  let total = 0;
+  for (let i = 0; i < remaining.length - 1; i++) {
+    total += getDistance(remaining[i], remaining[i + 1]);
+  }
+  return total / 1000;
+};
@@ -0,0 +1,232 @@
+// Survey pattern generation. Everything happens on a local flat plane in
+// metres around the area's centroid, which is accurate enough for fields a
+// few kilometres across.
+
+export const SURVEY_PATTERN = {
+  LAWNMOWER: 'lawnmower',
+  SPIRAL: 'spiral',
+};
+
+export const MIN_SURVEY_SPACING = 1;
+export const MAX_SURVEY_WAYPOINTS = 2000;
+
+const EARTH_RADIUS = 6371008.8;
+const toRad = deg => (deg * Math.PI) / 180;
+const toDeg = rad => (rad * 180) / Math.PI;
+
+const createProjection = points => {
+  const origin = {
+    latitude: points.reduce((sum, p) => sum + p.latitude, 0) / points.length,
+    longitude: points.reduce((sum, p) => sum + p.longitude, 0) / points.length,
+  };
+  const scale = Math.cos(toRad(origin.latitude));
+  return {
+    toLocal: p => ({
+      x: toRad(p.longitude - origin.longitude) * EARTH_RADIUS * scale,
+      y: toRad(p.latitude - origin.latitude) * EARTH_RADIUS,
+    }),
+    toGeo: ({x, y}) => ({
+      latitude: origin.latitude + toDeg(y / EARTH_RADIUS),
+      longitude: origin.longitude + toDeg(x / (EARTH_RADIUS * scale)),
+    }),
+  };
+};
+
+const signedArea = polygon =>
+  polygon.reduce((sum, p, i) => {
+    const q = polygon[(i + 1) % polygon.length];
+    return sum + (p.x * q.y - q.x * p.y);
+  }, 0) / 2;
+
+const cross = (o, a, b) =>
+  (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+// Counter-clockwise convex hull (monotone chain).
+export const convexHull = points => {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) {
+    return sorted;
+  }
+  const half = list => {
+    const chain = [];
+    list.forEach(p => {
+      while (
+        chain.length >= 2 &&
+        cross(chain[chain.length - 2], chain[chain.length - 1], p) <= 0
+      ) {
+        chain.pop();
+      }
+      chain.push(p);
+    });
+    chain.pop();
+    return chain;
+  };
+  return [...half(sorted), ...half([...sorted].reverse())];
+};
+
+// Parallel passes along `heading` (degrees clockwise from north), spaced
+// `spacing` metres apart and alternating direction. Each pass is clipped to
+// the polygon (even-odd), so concave areas get split passes, and extended
+// by `overshoot` metres at both ends to give the vehicle room to turn.
+const lawnmower = (polygon, {spacing, heading, overshoot}) => {
+  const along = {x: Math.sin(toRad(heading)), y: Math.cos(toRad(heading))};
+  const across = {x: along.y, y: -along.x};
+  const rotated = polygon.map(p => ({
+    u: p.x * along.x + p.y * along.y,
+    v: p.x * across.x + p.y * across.y,
+  }));
+  const vs = rotated.map(p => p.v);
+  const vMin = Math.min(...vs);
+  const vMax = Math.max(...vs);
+
+  const path = [];
+  let reverse = false;
+  for (let v = vMin + spacing / 2; v < vMax; v += spacing) {
+    const crossings = [];
+    rotated.forEach((a, i) => {
+      const b = rotated[(i + 1) % rotated.length];
+      if (a.v > v !== b.v > v) {
+        crossings.push(a.u + ((v - a.v) / (b.v - a.v)) * (b.u - a.u));
+      }
+    });
+    crossings.sort((a, b) => a - b);
+
+    const passes = [];
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      passes.push([crossings[i] - overshoot, crossings[i + 1] + overshoot]);
+    }
+    if (reverse) {
+      passes.reverse().forEach(pass => pass.reverse());
+    }
+    passes.forEach(pass =>
+      pass.forEach(u =>
+        path.push({
+          x: u * along.x + v * across.x,
+          y: u * along.y + v * across.y,
+        }),
+      ),
+    );
+    if (passes.length > 0) {
+      reverse = !reverse;
+    }
+    if (path.length > MAX_SURVEY_WAYPOINTS) {
+      break;
+    }
+  }
+  return path;
+};
+
+const lineIntersection = (p1, p2, p3, p4) => {
+  const d = (p1.x - p2.x) * (p3.y - p4.y) - (p1.y - p2.y) * (p3.x - p4.x);
+  if (Math.abs(d) < 1e-9) {
+    return null;
+  }
+  const a = p1.x * p2.y - p1.y * p2.x;
+  const b = p3.x * p4.y - p3.y * p4.x;
+  return {
+    x: (a * (p3.x - p4.x) - (p1.x - p2.x) * b) / d,
+    y: (a * (p3.y - p4.y) - (p1.y - p2.y) * b) / d,
+  };
+};
+
+// Moves every edge of a counter-clockwise convex polygon inwards by
+// `distance`; null once the polygon has collapsed.
+const insetPolygon = (polygon, distance) => {
+  const shifted = polygon.map((a, i) => {
+    const b = polygon[(i + 1) % polygon.length];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const nx = (-(b.y - a.y) / length) * distance;
+    const ny = ((b.x - a.x) / length) * distance;
+    return [
+      {x: a.x + nx, y: a.y + ny},
+      {x: b.x + nx, y: b.y + ny},
+    ];
+  });
+  const inset = [];
+  for (let i = 0; i < shifted.length; i++) {
+    const prev = shifted[(i + shifted.length - 1) % shifted.length];
+    const point = lineIntersection(
+      prev[0],
+      prev[1],
+      shifted[i][0],
+      shifted[i][1],
+    );
+    if (!point) {
+      return null;
+    }
+    inset.push(point);
+  }
+  // An edge that flipped direction means the inset went past a vertex.
+  const flipped = inset.some((a, i) => {
+    const b = inset[(i + 1) % inset.length];
+    const p = polygon[i];
+    const q = polygon[(i + 1) % polygon.length];
+    return (b.x - a.x) * (q.x - p.x) + (b.y - a.y) * (q.y - p.y) <= 0;
+  });
+  return flipped || signedArea(inset) <= 0 ? null : inset;
+};
+
+// Rings `spacing` apart working inwards from the boundary, each closed back
+// to its first corner before stepping in. Works on the convex hull of the
+// area; the first ring starts half a spacing inside the boundary.
+const spiral = (polygon, {spacing}) => {
+  const hull = convexHull(polygon);
+  const path = [];
+  for (let ring = 0; ; ring++) {
+    const inset = insetPolygon(hull, spacing / 2 + ring * spacing);
+    if (!inset) {
+      break;
+    }
+    path.push(...inset, inset[0]);
+    if (path.length > MAX_SURVEY_WAYPOINTS) {
+      break;
+    }
+  }
+  return path;
+};
+
+export const generateSurvey = (
+  area,
+  {
+    pattern = SURVEY_PATTERN.LAWNMOWER,
+    spacing = 20,
+    heading = 0,
+    overshoot = 0,
+  } = {},
+) => {
+  if (area.length < 3) {
+    throw new Error('Draw at least 3 corners for the survey area');
+  }
+  if (!(spacing >= MIN_SURVEY_SPACING)) {
+    throw new Error(`Line spacing must be at least ${MIN_SURVEY_SPACING} m`);
+  }
+  if (!Number.isFinite(heading) || !(overshoot >= 0)) {
+    throw new Error('Heading and overshoot must be numbers');
+  }
+
+  const projection = createProjection(area);
+  let polygon = area.map(projection.toLocal);
+  // Corners on one line, or on top of each other, enclose less than a
+  // square metre and leave nothing to cover.
+  if (Math.abs(signedArea(polygon)) < 1) {
+    throw new Error('The survey area has no width; spread the corners out');
+  }
+  if (signedArea(polygon) < 0) {
+    polygon = polygon.reverse();
+  }
+
+  const path =
+    pattern === SURVEY_PATTERN.SPIRAL
+      ? spiral(polygon, {spacing})
+      : lawnmower(polygon, {spacing, heading, overshoot});
+
+  if (path.length > MAX_SURVEY_WAYPOINTS) {
+    throw new Error(
+      `Survey needs more than ${MAX_SURVEY_WAYPOINTS} waypoints; increase the spacing`,
+    );
+  }
+  if (path.length < 2) {
+    throw new Error('The survey area is narrower than the line spacing');
+  }
+  return path.map(projection.toGeo);
+};
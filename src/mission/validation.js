@@ -0,0 +1,25 @@
+import {validateAttributes} from './attributes';
+
+export const validateCoordinates = (coord, name) => {
+  if (
+    !coord ||
+    typeof coord.latitude !== 'number' ||
+    typeof coord.longitude !== 'number' ||
+    Number.isNaN(coord.latitude) ||
+    Number.isNaN(coord.longitude)
+  ) {
+    throw new Error(`Invalid ${name} coordinate`);
+  }
+  if (coord.latitude < -90 || coord.latitude > 90) {
+    throw new Error(`Invalid ${name} latitude: ${coord.latitude}`);
+  }
+  if (coord.longitude < -180 || coord.longitude > 180) {
+    throw new Error(`Invalid ${name} longitude: ${coord.longitude}`);
+  }
+};
+
+export const validateWaypoints = waypoints =>
+  waypoints.forEach((waypoint, index) => {
+    validateCoordinates(waypoint, `waypoint ${index + 1}`);
+    validateAttributes(waypoint, `waypoint ${index + 1}`);
+  });
@@ -0,0 +1,94 @@
+import {getDistance} from 'geolib';
+import {NUMERIC_ATTRIBUTES} from './attributes';
+
+// Compares the route on screen with the mission read back from a device.
+// Waypoints are paired by position in the list: a pair further apart than
+// the tolerance is shifted, a pair whose attributes differ is changed, and
+// whatever is left over on either side is missing (never stored) or extra
+// (stored but no longer on screen).
+
+export const DIFF_KIND = {
+  MATCH: 'match',
+  SHIFTED: 'shifted',
+  CHANGED: 'changed',
+  MISSING: 'missing',
+  EXTRA: 'extra',
+};
+
+export const DEFAULT_TOLERANCE = 1; // metres
+
+// Resolution of each attribute on the wire (see encoding.js); smaller
+// differences are rounding, not a wrong upload.
+const ATTRIBUTE_RESOLUTION = {altitude: 0.1, speed: 0.01, hold: 1, radius: 0.1};
+
+const sameValue = (key, a, b) => {
+  if (a === undefined || b === undefined) {
+    return a === b;
+  }
+  return Math.abs(a - b) < ATTRIBUTE_RESOLUTION[key] / 2 + 1e-9;
+};
+
+const attributeDifferences = (expected, actual) => {
+  const keys = NUMERIC_ATTRIBUTES.map(({key}) => key).filter(
+    key => !sameValue(key, expected[key], actual[key]),
+  );
+  if ((expected.action || 0) !== (actual.action || 0)) {
+    keys.push('action');
+  }
+  return keys;
+};
+
+// Attributes are only compared when the device was sent them, i.e. the
+// read-back mission is in the extended format.
+export const diffMission = (
+  expected,
+  stored,
+  {tolerance = DEFAULT_TOLERANCE, compareAttributes = false} = {},
+) => {
+  const entries = [];
+  const count = Math.max(expected.length, stored.length);
+
+  for (let index = 0; index < count; index++) {
+    const wp = expected[index];
+    const actual = stored[index];
+    if (!actual) {
+      entries.push({kind: DIFF_KIND.MISSING, index, expected: wp});
+    } else if (!wp) {
+      entries.push({kind: DIFF_KIND.EXTRA, index, actual});
+    } else {
+      const offset = getDistance(wp, actual, 0.01);
+      const attributes = compareAttributes
+        ? attributeDifferences(wp, actual)
+        : [];
+      let kind = DIFF_KIND.MATCH;
+      if (offset > tolerance) {
+        kind = DIFF_KIND.SHIFTED;
+      } else if (attributes.length > 0) {
+        kind = DIFF_KIND.CHANGED;
+      }
+      entries.push({kind, index, expected: wp, actual, offset, attributes});
+    }
+  }
+
+  return {
+    entries,
+    matches: entries.every(entry => entry.kind === DIFF_KIND.MATCH),
+  };
+};
+
+export const countDiff = diff =>
+  diff.entries.reduce(
+    (counts, entry) => ({...counts, [entry.kind]: counts[entry.kind] + 1}),
+    Object.values(DIFF_KIND).reduce((zero, kind) => ({...zero, [kind]: 0}), {}),
+  );
+
+export const summarizeDiff = diff => {
+  const counts = countDiff(diff);
+  if (diff.matches) {
+    return `All ${counts.match} waypoints match`;
+  }
+  return Object.values(DIFF_KIND)
+    .filter(kind => kind !== DIFF_KIND.MATCH && counts[kind] > 0)
+    .map(kind => `${counts[kind]} ${kind}`)
+    .join(', ');
+};
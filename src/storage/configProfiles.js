@@ -0,0 +1,57 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {validateConfig} from '../deviceConfig/deviceConfig';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+import {createRouteId} from './routeLibrary';
+
+const log = logger.scope(LOG_CATEGORY.BLE);
+
+// Named sets of device config values, so one tuned configuration can be
+// written to every board in the fleet.
+const STORAGE_KEY = '@waypoints/configProfiles';
+
+export const loadProfiles = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEY);
+  if (!stored) {
+    return [];
+  }
+  try {
+    const profiles = JSON.parse(stored);
+    return Array.isArray(profiles) ? profiles : [];
+  } catch (err) {
+    log.warn('⚠️ Config profiles are corrupt, starting empty:', err.message);
+    return [];
+  }
+};
+
+const writeProfiles = async profiles => {
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  return profiles;
+};
+
+// Saving under an existing name replaces that profile.
+export const saveProfile = async ({name, values}) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Profile name is required');
+  }
+  const problems = Object.values(validateConfig(values));
+  if (problems.length > 0) {
+    throw new Error(problems[0]);
+  }
+  const profiles = await loadProfiles();
+  const existing = profiles.find(profile => profile.name === trimmed);
+  const profile = {
+    id: existing ? existing.id : createRouteId(),
+    name: trimmed,
+    values,
+    updatedAt: Date.now(),
+  };
+  await writeProfiles([
+    profile,
+    ...profiles.filter(other => other.id !== profile.id),
+  ]);
+  return profile;
+};
+
+export const deleteProfile = async id =>
+  writeProfiles((await loadProfiles()).filter(profile => profile.id !== id));
@@ -0,0 +1,102 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  CHARACTERISTIC_UUID,
+  CONFIG_CHARACTERISTIC_UUID,
+  DEVICE_NAME_PATTERNS,
+  DFU_CHARACTERISTIC_UUID,
+  SERVICE_UUID,
+  TELEMETRY_CHARACTERISTIC_UUID,
+} from '../ble/config';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+
+const log = logger.scope(LOG_CATEGORY.BLE);
+
+// Link settings chosen in the device picker: the default device, friendly
+// names for boards, the mission format per board (see missionFormatFor),
+// whether a board takes fences and a home point (see acceptsExtras), and
+// overrides for the compile-time UUIDs and patterns.
+const STORAGE_KEY = '@waypoints/deviceSettings';
+
+export const DEFAULT_DEVICE_SETTINGS = {
+  defaultDevice: null,
+  friendlyNames: {},
+  missionFormats: {},
+  missionExtras: {},
+  namePatterns: DEVICE_NAME_PATTERNS,
+  serviceUUID: SERVICE_UUID,
+  characteristicUUID: CHARACTERISTIC_UUID,
+  telemetryCharacteristicUUID: TELEMETRY_CHARACTERISTIC_UUID,
+  configCharacteristicUUID: CONFIG_CHARACTERISTIC_UUID,
+  dfuCharacteristicUUID: DFU_CHARACTERISTIC_UUID,
+  stayConnected: false,
+};
+
+const UUID_PATTERN =
+  /^([0-9a-f]{4}|[0-9a-f]{8}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+const UUID_SETTINGS = [
+  'serviceUUID',
+  'characteristicUUID',
+  'telemetryCharacteristicUUID',
+  'configCharacteristicUUID',
+  'dfuCharacteristicUUID',
+];
+
+export const validateDeviceSettings = settings => {
+  UUID_SETTINGS.forEach(key => {
+    if (!UUID_PATTERN.test(settings[key] || '')) {
+      throw new Error(`Invalid UUID for ${key}: "${settings[key]}"`);
+    }
+  });
+  if (!Array.isArray(settings.namePatterns)) {
+    throw new Error('Name patterns must be a list');
+  }
+};
+
+export const parseNamePatterns = text =>
+  text
+    .split(',')
+    .map(pattern => pattern.trim().toLowerCase())
+    .filter(Boolean);
+
+export const loadDeviceSettings = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEY);
+  if (!stored) {
+    return DEFAULT_DEVICE_SETTINGS;
+  }
+  try {
+    return {...DEFAULT_DEVICE_SETTINGS, ...JSON.parse(stored)};
+  } catch (err) {
+    log.warn('⚠️ Device settings are corrupt, using defaults:', err.message);
+    return DEFAULT_DEVICE_SETTINGS;
+  }
+};
+
+export const saveDeviceSettings = async settings => {
+  validateDeviceSettings(settings);
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+export const friendlyName = (settings, device) =>
+  (device && settings.friendlyNames[device.id]) || null;
+
+// What the link needs: the preferred device carries its friendly name so
+// status messages show it.
+export const toLinkSettings = settings => ({
+  serviceUUID: settings.serviceUUID,
+  characteristicUUID: settings.characteristicUUID,
+  telemetryCharacteristicUUID: settings.telemetryCharacteristicUUID,
+  configCharacteristicUUID: settings.configCharacteristicUUID,
+  dfuCharacteristicUUID: settings.dfuCharacteristicUUID,
+  namePatterns: settings.namePatterns,
+  stayConnected: settings.stayConnected,
+  missionFormats: settings.missionFormats,
+  missionExtras: settings.missionExtras,
+  preferredDevice: settings.defaultDevice && {
+    ...settings.defaultDevice,
+    name:
+      friendlyName(settings, settings.defaultDevice) ||
+      settings.defaultDevice.name,
+  },
+});
@@ -0,0 +1,27 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+
+const log = logger.scope(LOG_CATEGORY.ROUTE);
+
+// Known vehicles and their bound routes, kept between launches so the
+// fleet does not have to be rebuilt from a scan every time.
+const STORAGE_KEY = '@waypoints/fleet';
+
+export const loadFleet = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEY);
+  if (!stored) {
+    return [];
+  }
+  try {
+    const fleet = JSON.parse(stored);
+    return Array.isArray(fleet) ? fleet : [];
+  } catch (err) {
+    log.warn('⚠️ Stored fleet is corrupt, starting empty:', err.message);
+    return [];
+  }
+};
+
+export const saveFleet = async fleet => {
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(fleet));
+  return fleet;
+};
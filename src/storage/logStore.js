@@ -0,0 +1,76 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+
+// The log ring buffer, kept between launches so a failed field session can
+// still be inspected afterwards. Writes are batched: a busy transfer logs
+// far more often than AsyncStorage should be hit.
+const STORAGE_KEY = '@waypoints/logs';
+export const LOG_SAVE_DELAY = 2000;
+
+const log = logger.scope(LOG_CATEGORY.APP);
+
+export const loadLogs = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEY);
+  if (!stored) {
+    return [];
+  }
+  try {
+    const entries = JSON.parse(stored);
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    log.warn('⚠️ Stored log is corrupt, starting empty:', err.message);
+    return [];
+  }
+};
+
+export const saveLogs = async entries => {
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  return entries;
+};
+
+// Restores the previous session's entries into `target` and keeps saving
+// it after changes. Returns a function that stops saving, for useEffect.
+export const persistLogs = (target = logger, delay = LOG_SAVE_DELAY) => {
+  let timer = null;
+  let loaded = false;
+  let stopped = false;
+
+  // Not logged through `target`: that would schedule another save and keep
+  // a broken storage busy forever.
+  const save = () => {
+    timer = null;
+    saveLogs(target.getEntries()).catch(err =>
+      console.log('⚠️ Saving the log failed:', err.message),
+    );
+  };
+  const schedule = () => {
+    if (loaded && !timer && !stopped) {
+      timer = setTimeout(save, delay);
+    }
+  };
+
+  const unsubscribers = ['entry', 'clear'].map(event =>
+    target.on(event, schedule),
+  );
+  loadLogs()
+    .then(previous => {
+      if (!stopped && previous.length > 0) {
+        target.restore(previous);
+      }
+    })
+    .catch(err => log.warn('⚠️ Loading the log failed:', err.message))
+    .finally(() => {
+      // Saving before this point would overwrite the previous session.
+      loaded = true;
+      schedule();
+    });
+
+  return () => {
+    stopped = true;
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    if (timer) {
+      clearTimeout(timer);
+      save();
+    }
+  };
+};
@@ -0,0 +1,32 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {COORDINATE_FORMAT} from '../geo/coordinates';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+import {TILE_MODE} from '../tiles/tilePacks';
+
+const log = logger.scope(LOG_CATEGORY.APP);
+
+// Display choices that are not tied to a device, kept between launches.
+const STORAGE_KEY = '@waypoints/preferences';
+
+export const DEFAULT_PREFERENCES = {
+  coordinateFormat: COORDINATE_FORMAT.DECIMAL,
+  tileMode: TILE_MODE.AUTO,
+};
+
+export const loadPreferences = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEY);
+  if (!stored) {
+    return DEFAULT_PREFERENCES;
+  }
+  try {
+    return {...DEFAULT_PREFERENCES, ...JSON.parse(stored)};
+  } catch (err) {
+    log.warn('⚠️ Preferences are corrupt, using defaults:', err.message);
+    return DEFAULT_PREFERENCES;
+  }
+};
+
+export const savePreferences = async preferences => {
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  return preferences;
+};
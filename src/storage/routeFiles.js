@@ -0,0 +1,71 @@
+import {Platform, Share} from 'react-native';
+import {Buffer} from 'buffer';
+import DocumentPicker from 'react-native-document-picker';
+import RNFS from 'react-native-fs';
+
+const toPath = uri => decodeURIComponent(uri.replace(/^file:\/\//, ''));
+
+// Resolves with the picked file's name and the path of its cached copy, or
+// null when the user backs out of the picker.
+const pickCopy = async () => {
+  let file;
+  try {
+    file = await DocumentPicker.pickSingle({
+      type: [DocumentPicker.types.allFiles],
+      copyTo: 'cachesDirectory',
+    });
+  } catch (err) {
+    if (DocumentPicker.isCancel(err)) {
+      return null;
+    }
+    throw err;
+  }
+
+  if (file.copyError) {
+    throw new Error(`Could not read ${file.name}: ${file.copyError}`);
+  }
+  return {name: file.name, path: toPath(file.fileCopyUri || file.uri)};
+};
+
+const pickFile = async encoding => {
+  const file = await pickCopy();
+  return (
+    file && {name: file.name, content: await RNFS.readFile(file.path, encoding)}
+  );
+};
+
+export const pickRouteFile = async () => {
+  const file = await pickFile('utf8');
+  return file && {name: file.name, text: file.content};
+};
+
+// Firmware images are binary, so they are read as base64.
+export const pickFirmwareFile = async () => {
+  const file = await pickFile('base64');
+  return file && {name: file.name, bytes: Buffer.from(file.content, 'base64')};
+};
+
+// Tile packs can be far larger than memory, so only the path is returned
+// and the caller reads the file in pieces.
+export const pickTilePackFile = pickCopy;
+
+// Drops the picker's cached copy once it has been unpacked.
+export const discardPickedFile = async ({path}) => {
+  if (path.startsWith(RNFS.CachesDirectoryPath)) {
+    await RNFS.unlink(path);
+  }
+};
+
+// iOS shares the file itself; Android's Share API only takes text, so the
+// content goes in the message and the cached copy is left for file managers.
+export const shareRouteFile = async ({content, fileName}) => {
+  const path = `${RNFS.CachesDirectoryPath}/${fileName}`;
+  await RNFS.writeFile(path, content, 'utf8');
+
+  return Share.share(
+    Platform.OS === 'ios'
+      ? {url: `file://${path}`, title: fileName}
+      : {message: content, title: fileName},
+    {subject: fileName, dialogTitle: `Share ${fileName}`},
+  );
+};
@@ -0,0 +1,118 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+
+const log = logger.scope(LOG_CATEGORY.ROUTE);
+
+// Saved routes live on the phone only, as one JSON array under a single
+// key, so the library works in the field without connectivity.
+const STORAGE_KEY = '@waypoints/routeLibrary';
+
+export const createRouteId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const loadRoutes = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEY);
+  if (!stored) {
+    return [];
+  }
+  try {
+    const routes = JSON.parse(stored);
+    return Array.isArray(routes) ? routes : [];
+  } catch (err) {
+    log.warn('⚠️ Route library is corrupt, starting empty:', err.message);
+    return [];
+  }
+};
+
+const writeRoutes = async routes => {
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(routes));
+  return routes;
+};
+
+const updateRoutes = async update => writeRoutes(update(await loadRoutes()));
+
+const requireName = name => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Route name is required');
+  }
+  return trimmed;
+};
+
+const findRoute = (routes, id) => {
+  const route = routes.find(r => r.id === id);
+  if (!route) {
+    throw new Error(`Route ${id} not found`);
+  }
+  return route;
+};
+
+// Extra fields (anything besides name/notes/waypoints) are stored as-is so
+// other features can attach their own data to a route.
+export const saveRoute = async ({name, notes = '', waypoints, ...extra}) => {
+  if (!waypoints || waypoints.length === 0) {
+    throw new Error('Cannot save an empty route');
+  }
+  const now = Date.now();
+  const route = {
+    ...extra,
+    id: createRouteId(),
+    name: requireName(name),
+    notes: notes.trim(),
+    waypoints,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await updateRoutes(routes => [route, ...routes]);
+  return route;
+};
+
+export const updateRoute = async (id, changes) => {
+  let updated = null;
+  await updateRoutes(routes =>
+    routes.map(route => {
+      if (route.id !== id) {
+        return route;
+      }
+      updated = {...route, ...changes, id, updatedAt: Date.now()};
+      return updated;
+    }),
+  );
+  if (!updated) {
+    throw new Error(`Route ${id} not found`);
+  }
+  return updated;
+};
+
+export const renameRoute = (id, name) =>
+  updateRoute(id, {name: requireName(name)});
+
+export const duplicateRoute = async id => {
+  const routes = await loadRoutes();
+  const source = findRoute(routes, id);
+  const now = Date.now();
+  const copy = {
+    ...source,
+    id: createRouteId(),
+    name: `${source.name} (copy)`,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await writeRoutes([copy, ...routes]);
+  return copy;
+};
+
+export const deleteRoute = id =>
+  updateRoutes(routes => routes.filter(route => route.id !== id));
+
+export const searchRoutes = (routes, query) => {
+  const needle = (query || '').trim().toLowerCase();
+  const matches = needle
+    ? routes.filter(
+        route =>
+          route.name.toLowerCase().includes(needle) ||
+          (route.notes || '').toLowerCase().includes(needle),
+      )
+    : routes;
+  return [...matches].sort((a, b) => b.updatedAt - a.updatedAt);
+};
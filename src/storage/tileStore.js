@@ -0,0 +1,202 @@
+import {Platform} from 'react-native';
+import {Buffer} from 'buffer';
+import RNFS from 'react-native-fs';
+import {LOG_CATEGORY, logger} from '../logging/logger';
+import {openMbtiles} from '../tiles/mbtiles';
+import {
+  createCoverage,
+  parseBoundsMetadata,
+  RASTER_TILE_FORMATS,
+} from '../tiles/tilePacks';
+
+const log = logger.scope(LOG_CATEGORY.APP);
+
+// Every tile pack is a folder of {z}/{x}/{y}.{format} files with a
+// pack.json describing it. On Android the folder is in the app's external
+// files directory so packs can also be copied in over USB.
+export const TILES_DIRECTORY = `${
+  (Platform.OS === 'android' && RNFS.ExternalDirectoryPath) ||
+  RNFS.DocumentDirectoryPath
+}/tiles`;
+
+const PACK_FILE = 'pack.json';
+const TILE_NAME = /^(\d+)\.(\w+)$/;
+const NUMBER_NAME = /^\d+$/;
+// Progress is reported every this many tiles.
+const PROGRESS_INTERVAL = 50;
+
+const packPath = id => `${TILES_DIRECTORY}/${id}`;
+
+const slugify = name =>
+  name
+    .toLowerCase()
+    .replace(/\.mbtiles$/, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'tiles';
+
+const ensureTilesDirectory = async () => {
+  if (!(await RNFS.exists(TILES_DIRECTORY))) {
+    await RNFS.mkdir(TILES_DIRECTORY);
+  }
+};
+
+const uniquePackId = async name => {
+  const base = slugify(name);
+  let id = base;
+  for (let n = 2; await RNFS.exists(packPath(id)); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+};
+
+const writePack = async pack => {
+  await RNFS.writeFile(
+    `${pack.path}/${PACK_FILE}`,
+    JSON.stringify(pack),
+    'utf8',
+  );
+  return pack;
+};
+
+// Builds pack.json for a folder copied in by hand by walking its tiles.
+const scanFolder = async folder => {
+  const coverage = createCoverage();
+  let format = null;
+  for (const z of await RNFS.readDir(folder.path)) {
+    if (!z.isDirectory() || !NUMBER_NAME.test(z.name)) {
+      continue;
+    }
+    for (const x of await RNFS.readDir(z.path)) {
+      if (!x.isDirectory() || !NUMBER_NAME.test(x.name)) {
+        continue;
+      }
+      for (const y of await RNFS.readDir(x.path)) {
+        const match = y.name.match(TILE_NAME);
+        if (match && RASTER_TILE_FORMATS.includes(match[2].toLowerCase())) {
+          format = format || match[2];
+          coverage.add(Number(z.name), Number(x.name), Number(match[1]));
+        }
+      }
+    }
+  }
+  const result = coverage.result();
+  if (result.tileCount === 0) {
+    return null;
+  }
+  log.info(`🗺️ Found ${result.tileCount} tiles in ${folder.name}`);
+  return writePack({
+    id: folder.name,
+    name: folder.name,
+    path: folder.path,
+    format,
+    ...result,
+    size: null,
+    importedAt: new Date().toISOString(),
+  });
+};
+
+const readPack = async folder => {
+  const file = `${folder.path}/${PACK_FILE}`;
+  if (!(await RNFS.exists(file))) {
+    return scanFolder(folder);
+  }
+  try {
+    // The folder may have moved with an app reinstall, so the path on disk
+    // wins over the stored one.
+    return {
+      ...JSON.parse(await RNFS.readFile(file, 'utf8')),
+      path: folder.path,
+    };
+  } catch (err) {
+    log.warn(
+      `⚠️ ${folder.name}/${PACK_FILE} is corrupt, rescanning:`,
+      err.message,
+    );
+    return scanFolder(folder);
+  }
+};
+
+export const listTilePacks = async () => {
+  await ensureTilesDirectory();
+  const packs = [];
+  for (const folder of await RNFS.readDir(TILES_DIRECTORY)) {
+    if (!folder.isDirectory()) {
+      continue;
+    }
+    const pack = await readPack(folder);
+    if (pack) {
+      packs.push(pack);
+    }
+  }
+  return packs.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Unpacks an MBTiles file into a new pack folder. A failed import leaves
+// nothing behind.
+export const importMbtiles = async ({path, name}, onProgress) => {
+  const mbtiles = await openMbtiles(async (position, length) =>
+    Buffer.from(await RNFS.read(path, length, position, 'base64'), 'base64'),
+  );
+  const format = String(mbtiles.metadata.format || 'png').toLowerCase();
+  if (!RASTER_TILE_FORMATS.includes(format)) {
+    throw new Error(
+      `${name} holds ${format} tiles; only raster tiles (${RASTER_TILE_FORMATS.join(
+        ', ',
+      )}) can be shown`,
+    );
+  }
+
+  await ensureTilesDirectory();
+  const id = await uniquePackId(mbtiles.metadata.name || name);
+  const folder = packPath(id);
+  const coverage = createCoverage();
+  const createdDirectories = new Set();
+  let size = 0;
+  let count = 0;
+
+  try {
+    await mbtiles.forEachTile(async (zoom, x, y, data) => {
+      const directory = `${folder}/${zoom}/${x}`;
+      if (!createdDirectories.has(directory)) {
+        await RNFS.mkdir(directory);
+        createdDirectories.add(directory);
+      }
+      await RNFS.writeFile(
+        `${directory}/${y}.${format}`,
+        Buffer.from(data).toString('base64'),
+        'base64',
+      );
+      coverage.add(zoom, x, y);
+      size += data.length;
+      count++;
+      if (onProgress && count % PROGRESS_INTERVAL === 0) {
+        onProgress(count);
+      }
+    });
+  } catch (err) {
+    await RNFS.unlink(folder).catch(() => {});
+    throw err;
+  }
+
+  const result = coverage.result();
+  if (result.tileCount === 0) {
+    await RNFS.unlink(folder).catch(() => {});
+    throw new Error(`${name} contains no tiles`);
+  }
+  log.info(`🗺️ Imported ${result.tileCount} tiles from ${name} as ${id}`);
+  return writePack({
+    id,
+    name: mbtiles.metadata.name || name.replace(/\.mbtiles$/i, ''),
+    path: folder,
+    format,
+    ...result,
+    bounds: parseBoundsMetadata(mbtiles.metadata.bounds) || result.bounds,
+    size,
+    importedAt: new Date().toISOString(),
+  });
+};
+
+export const deleteTilePack = async pack => {
+  await RNFS.unlink(pack.path);
+  log.info(`🗑️ Deleted tile pack ${pack.name}`);
+};
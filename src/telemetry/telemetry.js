@@ -0,0 +1,102 @@
+import {Buffer} from 'buffer';
+import {COORDINATE_SCALE} from '../mission/encoding';
+
+// Telemetry notifications from the vehicle. Every message starts with a
+// type byte; multi-byte fields are little-endian.
+//   POSITION 'T' [lat:i32][lng:i32][heading:u16 centidegrees]
+//                [speed:u16 cm/s][battery:u8 %][fix:u8]
+//   REACHED  'R' [index:u16]   waypoint `index` (0-based) was reached
+//   TARGET   'N' [index:u16]   vehicle is now heading for waypoint `index`
+
+export const TELEMETRY_TYPE = {
+  POSITION: 0x54,
+  REACHED: 0x52,
+  TARGET: 0x4e,
+};
+
+export const FIX_QUALITY = {
+  0: 'No fix',
+  1: '2D',
+  2: '3D',
+  3: 'DGPS',
+  4: 'RTK',
+};
+
+export const TRAIL_LENGTH = 500;
+
+const POSITION_SIZE = 15;
+
+export const encodePosition = ({
+  latitude,
+  longitude,
+  heading = 0,
+  speed = 0,
+  battery = 0,
+  fix = 0,
+}) => {
+  const buffer = Buffer.alloc(POSITION_SIZE);
+  buffer.writeUInt8(TELEMETRY_TYPE.POSITION, 0);
+  buffer.writeInt32LE(Math.round(latitude * COORDINATE_SCALE), 1);
+  buffer.writeInt32LE(Math.round(longitude * COORDINATE_SCALE), 5);
+  buffer.writeUInt16LE(Math.round((((heading % 360) + 360) % 360) * 100), 9);
+  buffer.writeUInt16LE(Math.round(speed * 100), 11);
+  buffer.writeUInt8(battery, 13);
+  buffer.writeUInt8(fix, 14);
+  return buffer;
+};
+
+const parsePosition = buffer => {
+  if (buffer.length < POSITION_SIZE) {
+    throw new Error(`Position telemetry too short (${buffer.length} bytes)`);
+  }
+  return {
+    type: 'position',
+    latitude: buffer.readInt32LE(1) / COORDINATE_SCALE,
+    longitude: buffer.readInt32LE(5) / COORDINATE_SCALE,
+    heading: buffer.readUInt16LE(9) / 100,
+    speed: buffer.readUInt16LE(11) / 100,
+    battery: buffer.readUInt8(13),
+    fix: buffer.readUInt8(14),
+  };
+};
+
+export const encodeWaypointEvent = (type, index) => {
+  const buffer = Buffer.alloc(3);
+  buffer.writeUInt8(type, 0);
+  buffer.writeUInt16LE(index, 1);
+  return buffer;
+};
+
+const parseWaypointEvent = (buffer, type) => {
+  if (buffer.length < 3) {
+    throw new Error(`${type} telemetry too short (${buffer.length} bytes)`);
+  }
+  return {type, index: buffer.readUInt16LE(1)};
+};
+
+export const parseTelemetry = (bytes, receivedAt = Date.now()) => {
+  const buffer = Buffer.from(bytes);
+  switch (buffer[0]) {
+    case TELEMETRY_TYPE.POSITION:
+      return {...parsePosition(buffer), receivedAt};
+    case TELEMETRY_TYPE.REACHED:
+      return {...parseWaypointEvent(buffer, 'reached'), receivedAt};
+    case TELEMETRY_TYPE.TARGET:
+      return {...parseWaypointEvent(buffer, 'target'), receivedAt};
+    default:
+      return {type: 'unknown', raw: buffer, receivedAt};
+  }
+};
+
+export const hasFix = sample => sample && sample.fix > 0;
+
+// Appends a position to the breadcrumb trail, keeping the newest `limit`
+// points.
+export const appendToTrail = (trail, sample, limit = TRAIL_LENGTH) => {
+  if (!hasFix(sample)) {
+    return trail;
+  }
+  const point = {latitude: sample.latitude, longitude: sample.longitude};
+  const next = [...trail, point];
+  return next.length > limit ? next.slice(next.length - limit) : next;
+};
@@ -0,0 +1,54 @@
+import {openSqlite} from './sqlite';
+import {flipTileRow} from './tilePacks';
+
+// MBTiles 1.3 (https://github.com/mapbox/mbtiles-spec): a `metadata`
+// table of name/value pairs and the tiles either in a `tiles` table or,
+// deduplicated, in `map` and `images` tables joined on tile_id.
+
+export const openMbtiles = async read => {
+  const db = await openSqlite(read);
+  if (!db.hasTable('metadata')) {
+    throw new Error('Not an MBTiles file: no metadata table');
+  }
+  const metadata = {};
+  await db.forEachRow('metadata', row => {
+    metadata[row.name] = row.value;
+  });
+
+  const hasTiles = db.hasTable('tiles');
+  if (!hasTiles && !(db.hasTable('map') && db.hasTable('images'))) {
+    throw new Error('Not an MBTiles file: no tiles table');
+  }
+
+  return {
+    metadata,
+
+    // Calls `onTile(zoom, x, y, bytes)` for every tile, with y already in
+    // the XYZ scheme.
+    forEachTile: async onTile => {
+      const emit = (row, data) =>
+        onTile(
+          row.zoom_level,
+          row.tile_column,
+          flipTileRow(row.tile_row, row.zoom_level),
+          data,
+        );
+
+      if (hasTiles) {
+        await db.forEachRow('tiles', row => emit(row, row.tile_data));
+        return;
+      }
+      const placements = new Map();
+      await db.forEachRow('map', row => {
+        const list = placements.get(row.tile_id) || [];
+        list.push(row);
+        placements.set(row.tile_id, list);
+      });
+      await db.forEachRow('images', async image => {
+        for (const row of placements.get(image.tile_id) || []) {
+          await emit(row, image.tile_data);
+        }
+      });
+    },
+  };
+};
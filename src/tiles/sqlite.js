@@ -0,0 +1,208 @@
+import {Buffer} from 'buffer';
+
+// Just enough of the SQLite file format (https://www.sqlite.org/fileformat.html)
+// to walk the rows of ordinary tables: the header, table b-tree pages,
+// overflow chains and records. There is no SQL engine; MBTiles only needs
+// full scans. `read(offset, length)` resolves with the bytes of the
+// database file at `offset`, so large files are read a page at a time.
+
+const HEADER = 'SQLite format 3\u0000';
+const TABLE_INTERIOR = 0x05;
+const TABLE_LEAF = 0x0d;
+
+// Big-endian variable-length integer of 1 to 9 bytes. Values past 2^53
+// lose precision, which rowids and payload sizes never reach.
+const readVarint = (buffer, offset) => {
+  let value = 0;
+  for (let i = 0; i < 8; i++) {
+    const byte = buffer[offset + i];
+    value = value * 128 + (byte % 0x80);
+    if (byte < 0x80) {
+      return {value, length: i + 1};
+    }
+  }
+  return {value: value * 256 + buffer[offset + 8], length: 9};
+};
+
+const INTEGER_SIZES = {1: 1, 2: 2, 3: 3, 4: 4, 5: 6, 6: 8};
+
+// Decodes a record into its column values: null, number, string or Buffer.
+export const decodeRecord = payload => {
+  const {value: headerSize, length} = readVarint(payload, 0);
+  const types = [];
+  for (let offset = length; offset < headerSize; ) {
+    const type = readVarint(payload, offset);
+    types.push(type.value);
+    offset += type.length;
+  }
+
+  let offset = headerSize;
+  return types.map(type => {
+    if (type === 0) {
+      return null;
+    }
+    if (type === 8 || type === 9) {
+      return type - 8;
+    }
+    if (INTEGER_SIZES[type]) {
+      const size = INTEGER_SIZES[type];
+      const value =
+        size <= 6
+          ? payload.readIntBE(offset, size)
+          : Number(payload.readBigInt64BE(offset));
+      offset += size;
+      return value;
+    }
+    if (type === 7) {
+      const value = payload.readDoubleBE(offset);
+      offset += 8;
+      return value;
+    }
+    const size = Math.floor((type - 12) / 2);
+    const bytes = payload.slice(offset, offset + size);
+    offset += size;
+    return type % 2 === 0 ? bytes : bytes.toString('utf8');
+  });
+};
+
+// Columns of a CREATE TABLE statement, skipping table constraints. An
+// INTEGER PRIMARY KEY column is an alias for the rowid.
+export const parseColumns = sql => {
+  const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+  const definitions = [];
+  let depth = 0;
+  let current = '';
+  for (const char of body) {
+    if (char === ',' && depth === 0) {
+      definitions.push(current);
+      current = '';
+      continue;
+    }
+    if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    }
+    current += char;
+  }
+  definitions.push(current);
+  return definitions
+    .map(definition => definition.trim())
+    .filter(
+      definition =>
+        !/^(constraint|primary|unique|check|foreign)\b/i.test(definition),
+    )
+    .map(definition => ({
+      name: definition.match(/^["`[]?([^"`\]\s]+)/)[1],
+      rowid: /^\S+\s+integer\s+primary\s+key\b/i.test(definition),
+    }));
+};
+
+export const openSqlite = async read => {
+  const header = Buffer.from(await read(0, 100));
+  if (header.slice(0, 16).toString('latin1') !== HEADER) {
+    throw new Error('Not an SQLite database');
+  }
+  const rawPageSize = header.readUInt16BE(16);
+  const pageSize = rawPageSize === 1 ? 65536 : rawPageSize;
+  const usable = pageSize - header[20];
+  const maxLocal = usable - 35;
+  const minLocal = Math.floor(((usable - 12) * 32) / 255) - 23;
+
+  const readPage = async number =>
+    Buffer.from(await read((number - 1) * pageSize, pageSize));
+
+  const readPayload = async (page, offset, size) => {
+    let local = size;
+    if (size > maxLocal) {
+      const spill = minLocal + ((size - minLocal) % (usable - 4));
+      local = spill <= maxLocal ? spill : minLocal;
+    }
+    if (local === size) {
+      return page.slice(offset, offset + size);
+    }
+    const parts = [page.slice(offset, offset + local)];
+    let remaining = size - local;
+    let next = page.readUInt32BE(offset + local);
+    while (remaining > 0 && next) {
+      const overflow = await readPage(next);
+      const chunk = Math.min(remaining, usable - 4);
+      parts.push(overflow.slice(4, 4 + chunk));
+      remaining -= chunk;
+      next = overflow.readUInt32BE(0);
+    }
+    return Buffer.concat(parts);
+  };
+
+  // Calls `onRow(rowid, values)` for every row in rowid order, waiting for
+  // it before reading on.
+  const forEachRow = async (rootPage, onRow) => {
+    const walk = async number => {
+      const page = await readPage(number);
+      const start = number === 1 ? 100 : 0;
+      const type = page[start];
+      const cellCount = page.readUInt16BE(start + 3);
+      if (type !== TABLE_INTERIOR && type !== TABLE_LEAF) {
+        throw new Error(`Unsupported b-tree page type ${type}`);
+      }
+      const headerSize = type === TABLE_INTERIOR ? 12 : 8;
+      for (let i = 0; i < cellCount; i++) {
+        const cell = page.readUInt16BE(start + headerSize + i * 2);
+        if (type === TABLE_INTERIOR) {
+          await walk(page.readUInt32BE(cell));
+          continue;
+        }
+        const size = readVarint(page, cell);
+        const rowid = readVarint(page, cell + size.length);
+        const payload = await readPayload(
+          page,
+          cell + size.length + rowid.length,
+          size.value,
+        );
+        await onRow(rowid.value, decodeRecord(payload));
+      }
+      if (type === TABLE_INTERIOR) {
+        await walk(page.readUInt32BE(start + 8));
+      }
+    };
+    await walk(rootPage);
+  };
+
+  const schema = [];
+  await forEachRow(1, (rowid, [type, name, tableName, rootPage, sql]) => {
+    schema.push({type, name, tableName, rootPage, sql});
+  });
+
+  const findTable = name =>
+    schema.find(
+      entry =>
+        entry.type === 'table' &&
+        entry.name.toLowerCase() === name.toLowerCase(),
+    ) || null;
+
+  return {
+    pageSize,
+    schema,
+    hasTable: name => findTable(name) !== null,
+
+    // Rows as objects keyed by column name. The rowid alias column is
+    // stored as null and filled in from the rowid.
+    forEachRow: async (name, onRow) => {
+      const table = findTable(name);
+      if (!table) {
+        throw new Error(`No table named ${name}`);
+      }
+      const columns = parseColumns(table.sql);
+      await forEachRow(table.rootPage, (rowid, values) =>
+        onRow(
+          Object.fromEntries(
+            columns.map((column, index) => [
+              column.name,
+              column.rowid ? rowid : values[index] ?? null,
+            ]),
+          ),
+        ),
+      );
+    },
+  };
+};
@@ -0,0 +1,100 @@
+// Tile pack coverage and the choice between the online basemap and
+// offline tiles. Tiles use the XYZ scheme of web maps: x grows eastwards
+// and y southwards from the top-left tile at each zoom level.
+
+export const TILE_MODE = {
+  AUTO: 'auto',
+  ONLINE: 'online',
+  OFFLINE: 'offline',
+};
+
+export const TILE_MODE_LABELS = {
+  [TILE_MODE.AUTO]: 'Auto',
+  [TILE_MODE.ONLINE]: 'Online',
+  [TILE_MODE.OFFLINE]: 'Offline',
+};
+
+// Raster formats LocalTile can draw; vector MBTiles (pbf) cannot be shown.
+export const RASTER_TILE_FORMATS = ['png', 'jpg', 'jpeg', 'webp'];
+
+const tileLongitude = (x, zoom) => (x / 2 ** zoom) * 360 - 180;
+
+const tileLatitude = (y, zoom) =>
+  (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / 2 ** zoom))) * 180) / Math.PI;
+
+// MBTiles number rows from the bottom (TMS).
+export const flipTileRow = (row, zoom) => 2 ** zoom - 1 - row;
+
+// Tracks which tiles a pack holds as they are imported or found on disk.
+// The bounds come from the deepest zoom level, which is the most precise.
+export const createCoverage = () => {
+  const zooms = {};
+  let tileCount = 0;
+
+  return {
+    add: (zoom, x, y) => {
+      const extent = zooms[zoom];
+      zooms[zoom] = extent
+        ? {
+            minX: Math.min(extent.minX, x),
+            maxX: Math.max(extent.maxX, x),
+            minY: Math.min(extent.minY, y),
+            maxY: Math.max(extent.maxY, y),
+          }
+        : {minX: x, maxX: x, minY: y, maxY: y};
+      tileCount++;
+    },
+
+    result: () => {
+      const levels = Object.keys(zooms).map(Number);
+      if (levels.length === 0) {
+        return {tileCount: 0, minZoom: null, maxZoom: null, bounds: null};
+      }
+      const maxZoom = Math.max(...levels);
+      const extent = zooms[maxZoom];
+      return {
+        tileCount,
+        minZoom: Math.min(...levels),
+        maxZoom,
+        bounds: {
+          minLat: tileLatitude(extent.maxY + 1, maxZoom),
+          maxLat: tileLatitude(extent.minY, maxZoom),
+          minLng: tileLongitude(extent.minX, maxZoom),
+          maxLng: tileLongitude(extent.maxX + 1, maxZoom),
+        },
+      };
+    },
+  };
+};
+
+// MBTiles metadata stores bounds as "left,bottom,right,top".
+export const parseBoundsMetadata = text => {
+  const values = String(text || '')
+    .split(',')
+    .map(Number);
+  if (values.length !== 4 || values.some(Number.isNaN)) {
+    return null;
+  }
+  const [minLng, minLat, maxLng, maxLat] = values;
+  return {minLat, minLng, maxLat, maxLng};
+};
+
+export const boundsPolygon = bounds => [
+  {latitude: bounds.minLat, longitude: bounds.minLng},
+  {latitude: bounds.minLat, longitude: bounds.maxLng},
+  {latitude: bounds.maxLat, longitude: bounds.maxLng},
+  {latitude: bounds.maxLat, longitude: bounds.minLng},
+];
+
+export const coversPoint = (bounds, {latitude, longitude}) =>
+  !!bounds &&
+  latitude >= bounds.minLat &&
+  latitude <= bounds.maxLat &&
+  longitude >= bounds.minLng &&
+  longitude <= bounds.maxLng;
+
+// Offline tiles replace the basemap when chosen, or in auto mode once the
+// online basemap has failed to load and there is a pack to show.
+export const shouldUseOfflineTiles = ({mode, basemapFailed, packs}) =>
+  mode === TILE_MODE.OFFLINE ||
+  (mode === TILE_MODE.AUTO && basemapFailed && packs.length > 0);
@@ -0,0 +1,132 @@
+import {Buffer} from 'buffer';
+
+// Everything that needs bitwise operators lives here, each use marked for
+// the lint rule against them: checksums and hashes shared with the firmware
+// and helpers for the bit masks in its wire formats.
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      // eslint-disable-next-line no-bitwise
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    // eslint-disable-next-line no-bitwise
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Standard CRC-32 (IEEE 802.3), same as esp_crc32_le on the firmware side.
+export const crc32 = bytes => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    // eslint-disable-next-line no-bitwise
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  // eslint-disable-next-line no-bitwise
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Bit masks in the wire formats: whether `flag` is set in `bits`, and
+// `bits` with it set or cleared.
+// eslint-disable-next-line no-bitwise
+export const hasFlag = (bits, flag) => (bits & flag) !== 0;
+
+// eslint-disable-next-line no-bitwise
+export const withFlag = (bits, flag) => bits | flag;
+
+// eslint-disable-next-line no-bitwise
+export const withoutFlag = (bits, flag) => bits & ~flag;
+
+// Plain SHA-256 (FIPS 180-4). React Native has no crypto module, and the
+// ESP32 bootloader and OTA code identify images by this hash.
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+// eslint-disable-next-line no-bitwise
+const rotr = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+export const sha256 = bytes => {
+  const message = Buffer.from(bytes);
+  const bitLength = message.length * 8;
+  const padded = Buffer.alloc(Math.ceil((message.length + 9) / 64) * 64);
+  message.copy(padded);
+  padded[message.length] = 0x80;
+  // Images stay far below 2^32 bits, so the high length word stays zero.
+  padded.writeUInt32BE(Math.floor(bitLength / 0x100000000), padded.length - 8);
+  // eslint-disable-next-line no-bitwise
+  padded.writeUInt32BE(bitLength >>> 0, padded.length - 4);
+
+  const hash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+    0x1f83d9ab, 0x5be0cd19,
+  ]);
+  const w = new Uint32Array(64);
+
+  for (let block = 0; block < padded.length; block += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = padded.readUInt32BE(block + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      // eslint-disable-next-line no-bitwise
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      // eslint-disable-next-line no-bitwise
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      // eslint-disable-next-line no-bitwise
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      // eslint-disable-next-line no-bitwise
+      const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      // eslint-disable-next-line no-bitwise
+      const ch = (e & f) ^ (~e & g);
+      // eslint-disable-next-line no-bitwise
+      const t1 = (h + s1 + ch + K[i] + w[i]) >>> 0;
+      // eslint-disable-next-line no-bitwise
+      const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      // eslint-disable-next-line no-bitwise
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      // eslint-disable-next-line no-bitwise
+      const t2 = (s0 + maj) >>> 0;
+      h = g;
+      g = f;
+      f = e;
+      // eslint-disable-next-line no-bitwise
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      // eslint-disable-next-line no-bitwise
+      a = (t1 + t2) >>> 0;
+    }
+
+    hash[0] += a;
+    hash[1] += b;
+    hash[2] += c;
+    hash[3] += d;
+    hash[4] += e;
+    hash[5] += f;
+    hash[6] += g;
+    hash[7] += h;
+  }
+
+  const digest = Buffer.alloc(32);
+  hash.forEach((word, i) => digest.writeUInt32BE(word, i * 4));
+  return digest;
+};
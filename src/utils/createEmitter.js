@@ -0,0 +1,29 @@
+// Minimal event emitter; `on` returns an unsubscribe function so it can be
+// handed straight back from a useEffect. A listener that throws does not stop
+// the others; the failure goes to `log` (a logger scope) when one is given.
+export const createEmitter = ({log = null} = {}) => {
+  const listeners = {};
+
+  return {
+    on(event, listener) {
+      listeners[event] = [...(listeners[event] || []), listener];
+      return () => {
+        listeners[event] = (listeners[event] || []).filter(
+          fn => fn !== listener,
+        );
+      };
+    },
+
+    emit(event, payload) {
+      (listeners[event] || []).forEach(listener => {
+        try {
+          listener(payload);
+        } catch (err) {
+          if (log) {
+            log.warn(`⚠️ ${event} listener failed:`, err.message);
+          }
+        }
+      });
+    },
+  };
+};